@@ -1,103 +1,87 @@
-import { getModelId, safeParseJsonLoosely, promiseWithTimeout, normalizeTF, selectSmartContextRows, inferLikelyCurrentTF } from './utils.js';
-import { TF_VALIDITY_MS, TF_ORDER } from './config.js';
-import { getAllAnalyses, saveAnalysis } from './database.js';
-
-// --- FAST FALLBACK for Timeout (Free-tier 30s limit protection) ---
-export function createFallbackAnalysis(userId, detectedTf, existingContext = null) {
-  // If we have existing context, preserve as much data as possible
-  if (existingContext && typeof existingContext === 'object') {
-    const existingData = existingContext.detailed_technical_data || existingContext;
-    return {
-      detected_tf: detectedTf || existingContext?.detected_tf || 'Unknown',
-      tfs_used_for_confluence: existingContext?.tfs_used_for_confluence || [],
-      request_update_for_tf: existingContext?.request_update_for_tf || null,
-      reasoning_trace: ['Timeout: Using cached analysis from previous successful analysis.'],
-      detailed_technical_data: {
-        trend_bias: existingData?.trend_bias || 'Unknown',
-        structure: existingData?.structure || { parent_bias: 'Unknown', market_structure: 'Unknown' },
-        value: existingData?.value || { at_key_level: false, key_levels_summary: 'Pending full analysis' },
-        trigger: existingData?.trigger || { candlestick_patterns: [], divergence: 'unknown' },
-        trade_setup: existingData?.trade_setup || { action: 'WAIT', confidence: 'Low', risk_flags: [] }
-      },
-      user_response_text: `⏳ สถานะ: WAIT (Low)\n⏱️ TF ปัจจุบัน: ${detectedTf || 'Unknown'}\n\n📌 ข้อมูลจากการวิเคราะห์ครั้งก่อน\nกำลังประมวลผล... กรุณารอสักครู่`
-    };
-  }
-  
-  // Fallback if no context available
-  return {
-    detected_tf: detectedTf || 'Unknown',
-    tfs_used_for_confluence: [],
-    request_update_for_tf: null,
-    reasoning_trace: ['Timeout: Using cached/fallback analysis. Please re-upload for full analysis.'],
-    detailed_technical_data: {
-      trend_bias: 'Unknown',
-      structure: { parent_bias: 'Unknown', market_structure: 'Unknown' },
-      value: { at_key_level: false, key_levels_summary: 'Pending full analysis' },
-      trigger: { candlestick_patterns: [], divergence: 'unknown' },
-      trade_setup: { action: 'WAIT', confidence: 'Low', risk_flags: ['Timeout - Incomplete Analysis'] }
-    },
-    user_response_text: '⚠️ สถานะ: WAIT (Low)\n⏱️ TF ปัจจุบัน: ' + (detectedTf || 'Unknown') + '\n\n⚠️ การวิเคราะห์ใช้เวลานาน กรุณาส่งรูปกราฟใหม่เพื่อให้ได้ผลลัพธ์ที่ถูกต้อง'
-  };
+import { safeParseJsonLoosely, normalizeTF, normalizeSymbol, selectSmartContextRows, inferLikelyCurrentTF, filterRowsBySymbol, listSymbolsFromRows } from './utils.js';
+import { TF_VALIDITY_MS, TF_ORDER, UNKNOWN_SYMBOL } from './config.js';
+import { getAllAnalyses, saveAnalysis, saveMarker } from './database.js';
+import { generateText } from './providers.js';
+import { CHART_ANALYSIS_SCHEMA, TRADE_STYLE_SCHEMA, REANALYZE_SCHEMA } from './schemas.js';
+import { checkTradeSetup, describeSetupCheck } from './tradesetup.js';
+import { formatLevelsInline, normalizeKeyLevels } from './levels.js';
+import { formatConfluenceForPrompt } from './confluence.js';
+import { withFreshness } from './freshness.js';
+import { formatDateTimeUTC } from './settings.js';
+import { t, normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+// Max number of pairs sent as candidate context when the chart's pair is not known in advance
+const MAX_CONTEXT_PAIRS = 3;
+
+// options.language (i18n.js) -> the language the model writes its reply text in. Structured fields
+// are always requested in English: they are stored and rendered for users of any language.
+export function replyLanguage(options) {
+  const lang = normalizeLanguage(options?.language) || DEFAULT_LANGUAGE;
+  return { lang, name: t(lang, 'prompt.language') };
 }
 
 // --- CORE ANALYSIS (UPDATED FOR TOP-DOWN + FRESHNESS AWARENESS) ---
 
+function buildPairContextBlock(symbol, likelyTf, contextRows) {
+  let block = "[SYMBOL: " + symbol + "] Context selection based on last-updated TF: " + (likelyTf || 'Unknown') + "\n";
+  block += "--------------------------------\n";
+  contextRows.forEach(row => {
+    const data = JSON.parse(row.analysis_json);
+    const freshBadge = row.freshnessPercent >= 75 ? '🟢' : row.freshnessPercent >= 50 ? '🟡' : '🔴';
+    block += `
+        [${symbol} TF: ${row.tf}] ${freshBadge} Freshness: ${row.freshnessPercent}%
+        - Updated: ${row.ageMins} mins ago
+        - Trend Bias: ${data.trend_bias || 'Unknown'}
+        - Setup Action: ${data.trade_setup?.action || 'N/A'}
+        - Entry Zone: ${data.trade_setup?.entry_zone || 'N/A'}
+        - Key Levels: ${data.value?.key_levels_summary || data.key_levels?.summary || 'N/A'}
+        - Level Prices: ${formatLevelsInline(data.key_levels) || 'N/A'}
+        --------------------------------
+      `;
+  });
+  return block;
+}
+
 export async function analyzeChartStructured(userId, base64Image, existingRows, env, options = {}) {
-  const modelId = getModelId(env);
-  const apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/' + modelId + ':generateContent?key=' + env.GEMINI_API_KEY;
   const signal = options.signal;
   const mimeType = options.mimeType || 'image/jpeg';
+  const language = replyLanguage(options);
 
-  // 1) ENRICH WITH FRESHNESS INFO (like trade style)
-  const enrichedRows = (existingRows || []).map(row => {
-    const tf = normalizeTF(row.tf);
-    const maxAge = TF_VALIDITY_MS[tf] || (24 * 60 * 60 * 1000);
-    const ageMs = Date.now() - Number(row.timestamp || 0);
-    const isFresh = ageMs <= maxAge;
-    const freshnessPercent = Math.max(0, Math.min(100, Math.round((1 - ageMs / maxAge) * 100)));
-    const ageMins = Math.floor(ageMs / 60000);
-    return {
-      ...row,
-      tf,
-      isFresh,
-      freshnessPercent,
-      ageMins
-    };
-  });
+  // 1) ENRICH WITH FRESHNESS INFO (market-hours aware, like trade style)
+  const enrichedRows = (existingRows || []).map(row => withFreshness(row, env));
 
   // 2) FILTER VALID (FRESH) DATA
   const validRows = enrichedRows.filter(row => row.isFresh);
 
-  // 3) SMART CONTEXT (reduce noise): send only relevant Parent TF chain
-  const likelyTf = inferLikelyCurrentTF(validRows);
-  const contextRows = selectSmartContextRows(validRows, likelyTf);
+  // 3) SMART CONTEXT (reduce noise): send only relevant Parent TF chain, one block per pair.
+  // If the pair is known up front use only that pair; otherwise offer the most recent pairs
+  // and let the model pick the block matching the chart symbol (blocks are never merged).
+  const pairs = options.symbol
+    ? [normalizeSymbol(options.symbol)]
+    : listSymbolsFromRows(validRows).slice(0, MAX_CONTEXT_PAIRS);
+
+  const blocks = [];
+  for (const symbol of pairs) {
+    const pairRows = filterRowsBySymbol(validRows, symbol);
+    // options.likelyTf: TF already read from this chart (batch pre-scan) beats the DB guess
+    const likelyTf = normalizeTF(options.likelyTf) || inferLikelyCurrentTF(pairRows);
+    const contextRows = selectSmartContextRows(pairRows, likelyTf, symbol);
+    if (contextRows.length > 0) blocks.push(buildPairContextBlock(symbol, likelyTf, contextRows));
+  }
 
   // Prepare Context string with FRESHNESS PERCENTAGES
   let existingContextStr = "No valid higher timeframe data available.";
-  if (contextRows.length > 0) {
-    existingContextStr = "=== VALID EXISTING DATA (SMART CONTEXT: PARENT TFs ONLY WITH FRESHNESS) ===\n";
-    existingContextStr += "Context selection based on last-updated TF: " + (likelyTf || 'Unknown') + "\n";
+  if (blocks.length > 0) {
+    existingContextStr = "=== VALID EXISTING DATA (SMART CONTEXT: PARENT TFs ONLY WITH FRESHNESS, GROUPED BY PAIR) ===\n";
     existingContextStr += "Freshness Scale: 🟢 >75% (Fresh) | 🟡 50-75% (Aging) | 🔴 <50% (Stale)\n";
-    existingContextStr += "--------------------------------\n";
-    contextRows.forEach(row => {
-      const data = JSON.parse(row.analysis_json);
-      const freshBadge = row.freshnessPercent >= 75 ? '🟢' : row.freshnessPercent >= 50 ? '🟡' : '🔴';
-      existingContextStr += `
-        [TF: ${row.tf}] ${freshBadge} Freshness: ${row.freshnessPercent}%
-        - Updated: ${row.ageMins} mins ago
-        - Trend Bias: ${data.trend_bias || 'Unknown'}
-        - Setup Action: ${data.trade_setup?.action || 'N/A'}
-        - Entry Zone: ${data.trade_setup?.entry_zone || 'N/A'}
-        - Key Levels: ${data.value?.key_levels_summary || data.key_levels?.summary || 'N/A'}
-        --------------------------------
-      `;
-    });
+    existingContextStr += "PAIR RULE: Use ONLY the block whose SYMBOL matches the chart symbol. If none matches, treat as no HTF data.\n";
+    existingContextStr += blocks.join('\n');
   }
 
   // UPDATED SYSTEM PROMPT: Optimized for speed + Strict Top-Down + Freshness Awareness
   const systemInstruction = {
     role: "user",
-    parts: [{ text: `ROLE: Expert Technical Analyst (Thai ONLY).
+    parts: [{ text: `ROLE: Expert Technical Analyst (replies in ${language.name}).
 METHOD: Strict Top-Down (Structure -> Value -> Trigger) + Confluence + Freshness Check.
 
 CONTEXT:
@@ -112,7 +96,8 @@ HARD RULES (CRITICAL):
 2. No Man's Land (no value zone) = WAIT
 3. Indicators confirm only, don't set direction
 4. If HTF <50% fresh and critical → flag for update
-5. Output Thai ONLY
+5. user_response_text in ${language.name} ONLY; every other field (reasoning_trace, structure, value, trigger, labels) in English
+6. Never use context from a different currency pair than the chart
 
 ANALYSIS (Hierarchical):
 - P1: Market Structure + HTF bias check + freshness concern
@@ -120,10 +105,12 @@ ANALYSIS (Hierarchical):
 - P3: Entry Trigger confirmed? (Patterns + Indicators)
 
 ANTI-HALLUCINATION: If unsure → use null/"unknown". No guessing prices.
+KEY LEVELS: list up to 8 support/resistance/fib prices readable on the chart's price axis as numbers ([] if none can be read).
 
 OUTPUT: JSON ONLY with this exact structure:
 {
-  "detected_tf": "TF detected from image",
+  "symbol": "Currency pair read from the chart (e.g. XAUUSD, EURUSD) or null",
+  "detected_tf": "TF detected from image (one of ${TF_ORDER.join('/')})",
   "tfs_used_for_confluence": ["list", "of", "TFs"],
   "request_update_for_tf": null or ["HTF_LIST"],
   "reasoning_trace": ["P1: ...", "P2: ...", "P3: ..."],
@@ -132,9 +119,10 @@ OUTPUT: JSON ONLY with this exact structure:
     "structure": { "parent_bias": "...", "market_structure": "HH/HL/LH/LL/Range" },
     "value": { "at_key_level": true/false, "key_levels_summary": "" },
     "trigger": { "candlestick_patterns": [], "divergence": "none/bullish/bearish", "indicator_snapshot": {} },
+    "key_levels": [ { "price": 0, "type": "support/resistance/fib", "strength": "strong/medium/weak", "label": "e.g. Previous high, Fib 61.8%" } ],
     "trade_setup": { "action": "BUY/SELL/WAIT/HOLD", "entry_zone": null, "target_price": null, "stop_loss": null, "confidence": "High/Medium/Low", "risk_flags": [] }
   },
-  "user_response_text": "THAI ONLY output in EXACT format:\n\n📢 สถานะ: [ACTION] (Confidence)\n⏱️ TF: [Detected]\n📚 Confluence: [TF list]\n\n🔍 Top-Down:\n1️⃣ Structure: [HTF bias + current structure + conflict]\n2️⃣ Value: [Key levels or 'No Man's Land']\n3️⃣ Trigger: [Patterns/Indicators]\n\n🎯 Setup:\n- Entry: [Zone]\n- TP: [Price]\n- SL: [Price]\n\n💡 สรุป: [Confluence strength + risks. Max 10-20 sentences]"
+  "user_response_text": "${language.name.toUpperCase()} ONLY output in EXACT format:\n\n${t(language.lang, 'prompt.chart_reply_format')}"
 }`
     }]
   };
@@ -142,151 +130,71 @@ OUTPUT: JSON ONLY with this exact structure:
   const userMessage = {
     role: "user",
     parts: [
-      { text: "Analyze this chart strictly using Top-Down Analysis logic. Output THAI ONLY." },
-      { inline_data: { mime_type: mimeType, data: base64Image } }
+      { text: `Analyze this chart strictly using Top-Down Analysis logic. Write user_response_text in ${language.name} ONLY.` },
+      { image: { base64: base64Image, mimeType } }
     ]
   };
 
-  const payload = {
-    contents: [systemInstruction, userMessage],
-    generationConfig: {
-      temperature: 0.2,
-      topK: 40,
-      topP: 0.8,
-      maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1200)
-    }
-  };
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload),
-    signal
+  // options.slot: the caller already holds a limiter slot (acquired outside its timeout budget)
+  // options.budgetMs: time for the whole model fallback chain
+  // Output that still fails the schema after repair throws (category 'bad_output'): nothing to store
+  const result = await generateText(env, {
+    kind: 'chart',
+    userId,
+    slot: options.slot,
+    signal,
+    budgetMs: options.budgetMs,
+    schema: CHART_ANALYSIS_SCHEMA,
+    messages: [systemInstruction, userMessage],
+    temperature: 0.2,
+    topK: 40,
+    topP: 0.8,
+    maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1200)
   });
-
-  if (!response.ok) {
-    const errText = await response.text().catch(() => '');
-    throw new Error('AI API Error: ' + response.status + ' ' + (errText ? ('- ' + errText.slice(0, 200)) : ''));
-  }
-
-  try {
-    const data = await response.json();
-    const rawText = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-    return safeParseJsonLoosely(rawText);
-  } catch (e) {
-    console.error("JSON Parse Error", e);
-    return {
-      detected_tf: 'Unknown',
-      tfs_used_for_confluence: [],
-      request_update_for_tf: null,
-      reasoning_trace: ["ParseError: Invalid JSON from model"],
-      detailed_technical_data: { note: "Analysis failed" },
-      user_response_text: "⚠️ เกิดข้อผิดพลาดในการประมวลผล (JSON Structure Error)"
-    };
-  }
+  const parsed = result.parsed;
+  parsed.symbol = options.symbol ? normalizeSymbol(options.symbol) : normalizeSymbol(parsed.symbol);
+  // Prices -> numbers, direction check, R:R (an inconsistent BUY/SELL becomes WAIT)
+  parsed.detailed_technical_data.trade_setup = checkTradeSetup(parsed.detailed_technical_data.trade_setup, parsed.symbol);
+  parsed._model = `${result.provider}:${result.model}`;
+  return parsed;
 }
 
-// --- CHAT WITH CONTEXT (DB-FIRST AGENTIC) ---
-
-export async function chatWithGeminiText(userId, userText, env) {
-  const modelId = getModelId(env);
-  const apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/' + modelId + ':generateContent?key=' + env.GEMINI_API_KEY;
-
-  // 1) Detect requested TF (if any)
-  const tfRegex = new RegExp('(M1|M5|M15|M30|H1|H4|1D|D1|1W|WEEK|DAY|HOUR)', 'i');
-  const match = userText.match(tfRegex);
-
-  let targetTF = null;
-  if (match) targetTF = normalizeTF(match[0]);
+// --- BATCH PRE-SCAN (pair + TF of each image, no analysis) ---
+// One request for the whole batch; returns [{ symbol, tf }] aligned with `images` (null when unreadable).
+export async function detectChartsMeta(images, env, options = {}) {
+  const parts = [{
+    text: `You will receive ${images.length} trading chart screenshots, numbered 1..${images.length} in order.
+For EACH image read only the currency pair/symbol and the chart timeframe from the chart header/labels.
+Timeframe must be one of: ${TF_ORDER.join(', ')} (or null if unreadable). Symbol like XAUUSD, EURUSD (or null).
+Do NOT analyze the market.
+OUTPUT: JSON ONLY: { "charts": [ { "index": 1, "symbol": "...", "tf": "..." } ] }`
+  }];
+  images.forEach((img, i) => {
+    parts.push({ text: `Image ${i + 1}:` });
+    parts.push({ image: { base64: img.base64, mimeType: img.mimeType || 'image/jpeg' } });
+  });
 
-  // 2) Fetch ALL data from D1 (DB-First)
-  const rows = await getAllAnalyses(userId, env);
+  const { parsed } = await generateText(env, {
+    kind: 'prescan',
+    userId: options.userId,
+    slot: options.slot,
+    signal: options.signal,
+    budgetMs: options.budgetMs,
+    parse: safeParseJsonLoosely,
+    messages: [{ role: "user", parts }],
+    temperature: 0,
+    maxOutputTokens: 300
+  });
 
-  // 3) Determine freshness per TF (still enforce safety)
-  const enriched = (rows || []).map(r => {
-    const tf = normalizeTF(r.tf);
-    const maxAge = TF_VALIDITY_MS[tf] || (24 * 60 * 60 * 1000);
-    const ageMs = Date.now() - r.timestamp;
-    const isFresh = ageMs <= maxAge;
-    let data = {};
-    try { data = JSON.parse(r.analysis_json || '{}'); } catch (_) { data = {}; }
+  const charts = Array.isArray(parsed?.charts) ? parsed.charts : [];
 
+  return images.map((_, i) => {
+    const chart = charts.find(c => Number(c?.index) === i + 1) || charts[i] || {};
     return {
-      tf,
-      isFresh,
-      ageMins: Math.floor(ageMs / 60000),
-      timestamp_readable: r.timestamp_readable,
-      data
+      symbol: chart.symbol ? normalizeSymbol(chart.symbol) : null,
+      tf: TF_VALIDITY_MS[normalizeTF(chart.tf)] ? normalizeTF(chart.tf) : null
     };
   });
-
-  // 4) If user explicitly asks for a TF, require fresh data for that TF
-  if (targetTF) {
-    const hasFresh = enriched.some(x => x.tf === targetTF && x.isFresh);
-    if (!hasFresh) {
-      return '❌ ไม่พบข้อมูล ' + targetTF + ' ที่เป็นปัจจุบัน\n\n📸 กรุณาส่งรูปกราฟ Timeframe **' + targetTF + '** เข้ามาก่อน เพื่อให้ผมวิเคราะห์ต่อได้ครับ';
-    }
-  }
-
-  // 5) Build DB state summary (include all TFs; mark stale vs fresh)
-  let marketState = "";
-  if (enriched.length > 0) {
-    // Prefer HTF -> LTF order
-    enriched.sort((a, b) => TF_ORDER.indexOf(a.tf) - TF_ORDER.indexOf(b.tf));
-
-    const lines = enriched.map(x => {
-      const d = x.data || {};
-      const setup = d.trade_setup || d.detailed_technical_data?.trade_setup || {};
-      const value = d.value || d.detailed_technical_data?.value || {};
-      const trigger = d.trigger || d.detailed_technical_data?.trigger || {};
-      const structure = d.structure || d.detailed_technical_data?.structure || {};
-
-      const freshness = x.isFresh ? "🟢 Fresh" : "🔴 Stale";
-      const keyLevels = value?.key_levels_summary || d.key_levels?.summary || '-';
-      const trig = [
-        trigger?.divergence ? 'Div=' + trigger.divergence : null,
-        Array.isArray(trigger?.candlestick_patterns) && trigger.candlestick_patterns.length ? 'Patterns=' + trigger.candlestick_patterns.join(',') : null
-      ].filter(Boolean).join(' | ') || '-';
-
-      return [
-        '- TF ' + x.tf + ' (' + freshness + ', Age=' + x.ageMins + 'm, Updated=' + (x.timestamp_readable || '-') + ')',
-        '  Trend=' + (d.trend_bias || structure?.parent_bias || 'Unknown') + ' | Action=' + (setup?.action || 'N/A'),
-        '  Entry=' + (setup?.entry_zone || '-') + ' | TP=' + (setup?.target_price || '-') + ' | SL=' + (setup?.stop_loss || '-'),
-        '  P1(Structure)=' + (structure?.market_structure || '-') + ' | P2(Value)=' + keyLevels + ' | P3(Trigger)=' + trig
-      ].join('\n');
-    }).join('\n');
-
-    marketState = '=== CURRENT MARKET STATE (Database: ALL TFs) ===\n' + lines + '\n===============================================';
-  } else {
-    marketState = '=== CURRENT MARKET STATE ===\nNo technical data available in database.\nUser must upload charts first.\n================================';
-}
-
-  // 6) LLM Response Generation (Hard Rules + DB-first + Thai-only output)
-  const payload = {
-    contents: [{
-      role: "user",
-      parts: [{ text: 'Role: Assistant Trader & Technical Analyst (Thai Language ONLY - NO ENGLISH).\n\n' + marketState + '\n\nUser Question: "' + userText + '"\n\nHard Rules:\n- Answer STRICTLY in Thai language only. NO English at all.\n- Answer strictly based on the Database state above (no hallucinated prices/trends).\n- Respect Top-Down: do not recommend counter-trend against the highest available Parent TF bias, unless the DB explicitly shows price at a major HTF key level + clear reversal trigger.\n- If data is missing/stale for any critical TF to answer safely, ask the user to upload that TF.\n\nOutput format:\n- Provide answer in Thai only (concise, actionable, no internal reasoning steps).\n- Think the analysis internally, output only the conclusion.\n- Use emoji for clarity (🔍 🎯 ⚠️ etc.)\n      ' }]
-    }],
-    generationConfig: {
-      temperature: 0.2,
-      maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1200)
-    }
-  };
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) return "⚠️ AI Error: Unable to process request.";
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || "ขออภัย ไม่สามารถตอบคำถามได้ขณะนี้";
-  } catch (e) {
-    console.error(safeError(e));
-    return "⚠️ System Error during chat.";
-  }
 }
 
 // --- TRADE STYLE ANALYSIS ---
@@ -301,8 +209,13 @@ function pickMostRecentRowByTF(rows, candidateTFs) {
   return best;
 }
 
-export function selectRowsForTradeStyle(validRows, mode) {
-  // validRows: raw DB rows already filtered by age rules (TF_VALIDITY_MS)
+// TFs a trade-style plan is not made without (checked after selectRowsForTradeStyle)
+export const TRADE_STYLE_CRITICAL_TFS = { SCALP: ['H1'], SWING: ['1D', 'H4'] };
+
+export function selectRowsForTradeStyle(allValidRows, mode, symbol = null) {
+  // validRows: raw DB rows already filtered by age rules (TF_VALIDITY_MS), narrowed to ONE pair
+  const validRows = filterRowsBySymbol(allValidRows, symbol);
+  const pair = validRows.length ? normalizeSymbol(validRows[0].symbol) : null;
   const byTF = new Map((validRows || []).map(r => [normalizeTF(r.tf), r]));
   const picked = new Map();
 
@@ -321,7 +234,7 @@ export function selectRowsForTradeStyle(validRows, mode) {
 
     const likelyTf = ltf ? normalizeTF(ltf.tf) : 'M5';
     // Parents for confluence (HTF chain)
-    const parents = selectSmartContextRows(validRows, likelyTf);
+    const parents = selectSmartContextRows(validRows, likelyTf, pair);
     for (const r of parents) add(r);
 
     // Ensure we keep at least H1 if exists (helps filter noise)
@@ -339,7 +252,7 @@ export function selectRowsForTradeStyle(validRows, mode) {
 
   } else {
     // Unknown mode -> fallback to safer HTF chain
-    const fallback = selectSmartContextRows(validRows, 'M15');
+    const fallback = selectSmartContextRows(validRows, 'M15', pair);
     for (const r of fallback) add(r);
   }
 
@@ -348,8 +261,9 @@ export function selectRowsForTradeStyle(validRows, mode) {
   return arr;
 }
 
-export function buildTradeStyleContext(enrichedSelected, mode) {
-  const header = '=== DB CONTEXT FOR ' + mode + ' (Selected TFs Only / Smart Context) ===';
+// confluence: computeConfluence() result for the same rows, appended as the deterministic baseline
+export function buildTradeStyleContext(enrichedSelected, mode, symbol = null, confluence = null) {
+  const header = '=== DB CONTEXT FOR ' + mode + (symbol ? ' | PAIR ' + symbol : '') + ' (Selected TFs Only / Smart Context) ===';
   const lines = (enrichedSelected || []).map(x => {
     const d = x.data || {};
     const detailed = d.detailed_technical_data || {};
@@ -366,7 +280,7 @@ export function buildTradeStyleContext(enrichedSelected, mode) {
     const recommendStr = (x.recommendUpdate) ? ' [REQUEST UPDATE]' : '';
     
     return [
-      '[TF ' + x.tf + '] ' + freshnessBadge + ' | Age=' + x.ageMins + 'm | Updated=' + (x.timestamp_readable || '-') + recommendStr,
+      '[TF ' + x.tf + '] ' + freshnessBadge + ' | Age=' + x.ageMins + 'm | Updated=' + formatDateTimeUTC(x.timestamp) + recommendStr,
       '- TrendBias: ' + (d.trend_bias || detailed.trend_bias || '-'),
       '- Structure: ' + JSON.stringify(structure || {}).slice(0, 380),
       '- Value: ' + JSON.stringify(value || {}).slice(0, 380),
@@ -377,16 +291,16 @@ export function buildTradeStyleContext(enrichedSelected, mode) {
     ].join('\n');
   });
 
-  return [header, lines.join('\n')].join('\n');
+  const blocks = [header, lines.join('\n')];
+  if (confluence) blocks.push(formatConfluenceForPrompt(confluence));
+  return blocks.join('\n');
 }
 
-export async function analyzeTradeStyleWithGemini(mode, contextStr, env) {
-  const modelId = getModelId(env);
-  const apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/' + modelId + ':generateContent?key=' + env.GEMINI_API_KEY;
-
-  const modeThai = (mode === 'SCALP') ? 'เล่นสั้น (Scalp)' : 'เล่นสวิง (Swing)';
+export async function analyzeTradeStyleWithGemini(mode, contextStr, env, options = {}) {
+  const language = replyLanguage(options);
+  const modeLabel = t(language.lang, mode === 'SCALP' ? 'trade.mode.SCALP' : 'trade.mode.SWING');
 
-  const baseText = '\nRole: Expert Technical Analyst (Thai).\nTask: Create a trading plan for mode = "' + modeThai + '" using ONLY the DB context provided.\nMethodology: Strict Top-Down (Structure -> Value -> Trigger) + Confluence.\n\n' + contextStr + '\n\n*** FRESHNESS & UPDATE POLICY ***\nEach TF has a freshness percentage (shown as 🟢/🟡/🔴 %):\n- 🟢 (>75%): Fresh, high confidence\n- 🟡 (50-75%): Aging, use with caution\n- 🔴 (<50%): Stale, data may be outdated\n- [REQUEST UPDATE] flag: AI marked this TF as recommended for update\n\nYou MUST evaluate:\n1) If TF is <50% freshness and is CRITICAL for your decision (HTF bias, key structure, entry trigger), add to request_update_for_tf.\n2) If TF is <50% freshness but supporting only, you may proceed with caution (add to risk_notes).\n3) Priority: HTF (1D/H4) freshness > MTF (H1/M30) > LTF (M15/M5) for structure decisions.\n\n*** HARD RULES (MUST FOLLOW) ***\n1) Strict Top-Down: Direction must follow Higher TF (1D/H4) first.\n2) No counter-trend trades. Exception ONLY when price is at a clearly major Support/Resistance or key Fib zone; if exception applies, you MUST label "Counter-trend (Risky)" and reduce confidence.\n3) If price is in No Man\'s Land (no clear value zone), output action = WAIT.\n4) Indicators (RSI/MACD/Stoch/MA/Volume) are CONFIRMATION only, not direction setters.\n5) Use only what exists in DB context. If missing critical TFs for safe call, set request_update_for_tf accordingly.\n6) If critical HTF data is too stale (<30% freshness), prefer WAIT action with request_update_for_tf.\n\n*** MODE-SPECIFIC GUIDANCE ***\n- SCALP: prioritize precise trigger on LTF, tight invalidation, quick TP; still filter by HTF bias. Ensure H1 is fresh (>50%).\n- SWING: prioritize HTF structure/value; TP wider; trigger can be from H1/M30. Ensure 1D/H4 is fresh (>50%).\n\n*** OUTPUT FORMAT (JSON ONLY + THAI LANGUAGE ONLY) ***\n{\n  "mode": "SCALP|SWING",\n  "tfs_used_for_confluence": ["1D","H4","H1","M15"],\n  "request_update_for_tf": ["1D", "H4"] | null,\n  "reasoning_trace": [\n    "P1 Structure: ... (freshness concern if any)",\n    "P2 Value: ...",\n    "P3 Trigger: ..."\n  ],\n  "trade_plan": {\n    "action": "BUY|SELL|WAIT|HOLD",\n    "entry_zone": "...",\n    "target_price": "...",\n    "stop_loss": "...",\n    "confidence": "High|Medium|Low",\n    "probability_pct": 0\n  },\n  "risk_notes": [\n    "Any data freshness concerns",\n    "Counter-trend warnings if applicable"\n  ],\n  "user_response_text": "CRITICAL: Output THAI LANGUAGE ONLY. Use exactly this format:\\n\\n⚡ **โหมด:** ' + modeThai + '\\n📢 **สถานะ:** [ACTION] (Confidence/Probability%)\\n📚 **TF ที่ใช้:** [List TFs]\\n\\n🔍 **Top-Down Analysis:**\\n1️⃣ **Structure (ภาพใหญ่):** [HTF bias, current structure, any conflict]\\n2️⃣ **Area of Value:** [Key levels/Fib zones]\\n3️⃣ **Entry Trigger:** [Patterns/Indicators]\\n\\n🎯 **Setup:**\\n- **Entry:** [Zone]\\n- **TP:** [Target]\\n- **SL:** [Stop]\\n\\n💡 **สรุป:** [Confluence strength + risk warnings. Max 10-20 sentences. Do NOT output reasoning steps - think privately.]"\n}\n      ';
+  const baseText = '\nRole: Expert Technical Analyst (replies in ' + language.name + ').\nTask: Create a trading plan for mode = "' + modeLabel + '" using ONLY the DB context provided.\nMethodology: Strict Top-Down (Structure -> Value -> Trigger) + Confluence.\n\n' + contextStr + '\n\n*** FRESHNESS & UPDATE POLICY ***\nEach TF has a freshness percentage (shown as 🟢/🟡/🔴 %):\n- 🟢 (>75%): Fresh, high confidence\n- 🟡 (50-75%): Aging, use with caution\n- 🔴 (<50%): Stale, data may be outdated\n- [REQUEST UPDATE] flag: AI marked this TF as recommended for update\n\nYou MUST evaluate:\n1) If TF is <50% freshness and is CRITICAL for your decision (HTF bias, key structure, entry trigger), add to request_update_for_tf.\n2) If TF is <50% freshness but supporting only, you may proceed with caution (add to risk_notes).\n3) Priority: HTF (1D/H4) freshness > MTF (H1/M30) > LTF (M15/M5) for structure decisions.\n\n*** HARD RULES (MUST FOLLOW) ***\n1) Strict Top-Down: Direction must follow Higher TF (1D/H4) first.\n2) No counter-trend trades. Exception ONLY when price is at a clearly major Support/Resistance or key Fib zone; if exception applies, you MUST label "Counter-trend (Risky)" and reduce confidence.\n3) If price is in No Man\'s Land (no clear value zone), output action = WAIT.\n4) Indicators (RSI/MACD/Stoch/MA/Volume) are CONFIRMATION only, not direction setters.\n5) Use only what exists in DB context. If missing critical TFs for safe call, set request_update_for_tf accordingly.\n6) If critical HTF data is too stale (<30% freshness), prefer WAIT action with request_update_for_tf.\n\n*** MODE-SPECIFIC GUIDANCE ***\n- SCALP: prioritize precise trigger on LTF, tight invalidation, quick TP; still filter by HTF bias. Ensure H1 is fresh (>50%).\n- SWING: prioritize HTF structure/value; TP wider; trigger can be from H1/M30. Ensure 1D/H4 is fresh (>50%).\n\n*** OUTPUT FORMAT (JSON ONLY; user_response_text in ' + language.name.toUpperCase() + ' ONLY, other fields in English) ***\n{\n  "mode": "SCALP|SWING",\n  "tfs_used_for_confluence": ["1D","H4","H1","M15"],\n  "request_update_for_tf": ["1D", "H4"] | null,\n  "reasoning_trace": [\n    "P1 Structure: ... (freshness concern if any)",\n    "P2 Value: ...",\n    "P3 Trigger: ..."\n  ],\n  "trade_plan": {\n    "action": "BUY|SELL|WAIT|HOLD",\n    "entry_zone": "...",\n    "target_price": "...",\n    "stop_loss": "...",\n    "confidence": "High|Medium|Low",\n    "probability_pct": 0\n  },\n  "risk_notes": [\n    "Any data freshness concerns",\n    "Counter-trend warnings if applicable"\n  ],\n  "user_response_text": "CRITICAL: Output ' + language.name.toUpperCase() + ' LANGUAGE ONLY. Use exactly this format:\\n\\n' + t(language.lang, 'prompt.trade_reply_format', { mode: modeLabel }) + '"\n}\n      ';
 
   const instruction = {
     role: "user",
@@ -395,101 +309,93 @@ export async function analyzeTradeStyleWithGemini(mode, contextStr, env) {
     }]
   };
 
-  const payload = {
-    contents: [instruction],
-    generationConfig: {
-      temperature: 0.2,
-      topP: 0.8,
-      maxOutputTokens: 1200
-    }
-  };
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+  const result = await generateText(env, {
+    kind: 'trade_style',
+    userId: options.userId,
+    schema: TRADE_STYLE_SCHEMA,
+    messages: [instruction],
+    temperature: 0.2,
+    topP: 0.8,
+    maxOutputTokens: 1200
   });
 
-  if (!response.ok) {
-    const errText = await response.text().catch(() => '');
-    throw new Error('AI API Error: ' + response.status + ' ' + (errText ? ('- ' + errText.slice(0, 200)) : ''));
-  }
+  // The reply text is the model's; the setup check is added on top (first, when it overrides the action)
+  const plan = checkTradeSetup(result.parsed.trade_plan, options.symbol);
+  const notes = describeSetupCheck(plan, language.lang).join('\n');
+  let text = result.parsed.user_response_text;
+  if (notes) text = plan.setup_status === 'inconsistent' ? `${notes}\n\n${text}` : `${text}\n\n${notes}`;
 
-  const data = await response.json();
-  const rawText = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-  return safeParseJsonLoosely(rawText);
+  return { ...result.parsed, trade_plan: plan, user_response_text: text, _model: `${result.provider}:${result.model}` };
 }
 
 // --- DB RE-ANALYZE ---
 
 export async function analyzeDBStructured(userId, dbRows, env, options = {}) {
-  const modelId = getModelId(env);
-  const apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/' + modelId + ':generateContent?key=' + env.GEMINI_API_KEY;
-
   // Build compact DB context (HTF -> LTF)
   const rows = (dbRows || []).slice().sort((a, b) => TF_ORDER.indexOf(normalizeTF(a.tf)) - TF_ORDER.indexOf(normalizeTF(b.tf)));
+  const symbol = rows.length ? normalizeSymbol(rows[0].symbol) : UNKNOWN_SYMBOL;
   const lines = rows.map(r => {
     const d = r.data || JSON.parse(r.analysis_json || '{}');
     const tf = normalizeTF(r.tf);
     const fresh = (r.isFresh === undefined) ? true : !!r.isFresh;
-    return '[TF ' + tf + '] ' + (fresh ? '🟢 Fresh' : '🔴 Stale') + ' | Updated=' + (r.timestamp_readable || '-') + ' | Trend=' + (d.trend_bias || '-') + ' | Entry=' + ((d.trade_setup||{}).entry_zone || '-') + ' | TP=' + ((d.trade_setup||{}).target_price || '-') + ' | SL=' + ((d.trade_setup||{}).stop_loss || '-');
+    return '[TF ' + tf + '] ' + (fresh ? '🟢 Fresh' : '🔴 Stale') + ' | Updated=' + formatDateTimeUTC(r.timestamp) + ' | Trend=' + (d.trend_bias || '-') + ' | Entry=' + ((d.trade_setup||{}).entry_zone || '-') + ' | TP=' + ((d.trade_setup||{}).target_price || '-') + ' | SL=' + ((d.trade_setup||{}).stop_loss || '-');
   }).join('\n');
 
   const instruction = {
     role: 'user',
-    parts: [{ text: 'Role: Expert Technical Analyst (Thai).\nTask: Re-evaluate the provided DB state for each TF listed below.\nDo NOT invent prices. Use only the given DB values. For large TFs (H4/1D/1W) you MAY request an update by returning them in request_update_for_tf.\n\nDB CONTEXT:\n' + lines + '\n\nOUTPUT: Return JSON ONLY with shape:\n{ "results": [ { "detected_tf": "M15", "tfs_used_for_confluence": ["H4","H1"], "request_update_for_tf": null|[...], "reasoning_trace": [...], "detailed_technical_data": {...}, "user_response_text": "..." } ] }' }]
+    parts: [{ text: 'Role: Expert Technical Analyst.\nTask: Re-evaluate the provided DB state for each TF listed below.\nDo NOT invent prices. Use only the given DB values. Write every text field in English (results are stored and shown in any language). For large TFs (H4/1D/1W) you MAY request an update by returning them in request_update_for_tf.\n\nDB CONTEXT (PAIR ' + symbol + '):\n' + lines + '\n\nOUTPUT: Return JSON ONLY with shape:\n{ "results": [ { "detected_tf": "M15", "tfs_used_for_confluence": ["H4","H1"], "request_update_for_tf": null|[...], "reasoning_trace": [...], "detailed_technical_data": {...}, "user_response_text": "..." } ] }' }]
   };
 
-  const payload = { contents: [instruction], generationConfig: { temperature: 0.2, maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1600) } };
-
-  const resp = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => '');
-    throw new Error('AI API Error: ' + resp.status + ' ' + (t ? ('- ' + t.slice(0, 200)) : ''));
-  }
-  const data = await resp.json();
-  const rawText = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  return safeParseJsonLoosely(rawText);
+  const result = await generateText(env, {
+    kind: 'reanalyze',
+    userId,
+    schema: REANALYZE_SCHEMA,
+    messages: [instruction],
+    temperature: 0.2,
+    maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1600)
+  });
+  return { ...result.parsed, _model: `${result.provider}:${result.model}` };
 }
 
-export async function reanalyzeFromDB(userId, env, requestUrl) {
+export async function reanalyzeFromDB(userId, symbol, env, requestUrl) {
   try {
-    const all = (await getAllAnalyses(userId, env)) || [];
+    const all = (await getAllAnalyses(userId, env, symbol)) || [];
     const rows = all.filter(r => !String(r.tf || '').startsWith('_'));
 
     // Enrich freshness
     const enriched = rows.map(r => {
-      const tf = normalizeTF(r.tf);
       const ts = Number(r.timestamp || 0);
-      const ageMs = ts ? (Date.now() - ts) : Number.MAX_SAFE_INTEGER;
-      const maxAge = TF_VALIDITY_MS[tf];
-      const isFresh = !maxAge ? true : ageMs <= maxAge;
+      const { tf, ageMs, isFresh: withinValidity } = withFreshness(r, env);
+      // TFs without a validity rule never expire here
+      const isFresh = !TF_VALIDITY_MS[tf] || withinValidity;
       let data = {};
       try { data = JSON.parse(r.analysis_json || '{}'); } catch (_) { data = {}; }
-      return { tf: tf, timestamp: ts, timestamp_readable: r.timestamp_readable, ageMs, isFresh, data, analysis_json: r.analysis_json };
+      return { symbol: r.symbol, tf: tf, timestamp: ts, ageMs, isFresh, data, analysis_json: r.analysis_json };
     });
 
     const freshRows = enriched.filter(r => r.isFresh);
     if (freshRows.length === 0) {
       // Nothing fresh to re-analyze: write marker and exit
       const now = Date.now();
-      const nowR = new Date(now).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-      await saveAnalysis(userId, '_REANALYZE', now, nowR, { status: 'no_fresh_data', inspected_count: enriched.length }, env);
+      await saveMarker(userId, '_REANALYZE', now, { status: 'no_fresh_data', symbol, inspected_count: enriched.length }, env);
       return;
     }
 
-    // Ask LLM to re-evaluate DB context
+    // Ask LLM to re-evaluate DB context (schema-validated; an invalid reply throws -> error marker)
     const result = await analyzeDBStructured(userId, freshRows, env);
-    const results = Array.isArray(result?.results) ? result.results : [];
+    // Only TFs that were sent for re-evaluation may be overwritten
+    const sentTFs = new Set(freshRows.map(r => r.tf));
+    const results = result.results.filter(r => sentTFs.has(normalizeTF(r.detected_tf)));
+    const previousByTF = new Map(freshRows.map(r => [r.tf, r.data]));
 
     const now = Date.now();
-    const nowReadable = new Date(now).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
 
     for (const r of results) {
       try {
-        const detectedTF = normalizeTF(r.detected_tf || r.tf || 'Unknown');
-        const detailed = r.detailed_technical_data || r.detailed || {};
+        const detectedTF = normalizeTF(r.detected_tf);
+        const detailed = r.detailed_technical_data;
         const toStore = {
+          symbol,
           detected_tf: detectedTF,
           tfs_used_for_confluence: r.tfs_used_for_confluence || [],
           request_update_for_tf: r.request_update_for_tf || null,
@@ -500,33 +406,36 @@ export async function reanalyzeFromDB(userId, env, requestUrl) {
           value: detailed.value || {},
           trigger: detailed.trigger || {},
           indicators: detailed.indicators || {},
-          key_levels: detailed.key_levels || {},
+          // Re-analysis sees no chart: keep the levels read from the last image unless new ones came back
+          key_levels: normalizeKeyLevels(detailed.key_levels).length
+            ? normalizeKeyLevels(detailed.key_levels)
+            : normalizeKeyLevels(previousByTF.get(detectedTF)?.key_levels),
           raw_extraction: detailed.raw_extraction || {},
           notes: detailed.notes || null,
+          ai_model: result._model || null,
           reanalysis: true
         };
 
         if (Array.isArray(r.request_update_for_tf) && r.request_update_for_tf.length > 0) {
           toStore.trade_setup = { ...(toStore.trade_setup || {}), action: 'WAIT', confidence: 'Low' };
           const rt = Array.isArray(toStore.reasoning_trace) ? toStore.reasoning_trace : [];
-          rt.push('Decision: WAIT (ต้องการภาพ TF เพิ่มเติม: ' + r.request_update_for_tf.join(', ') + ')');
+          rt.push('Decision: WAIT (needs updated TF charts: ' + r.request_update_for_tf.join(', ') + ')');
           toStore.reasoning_trace = rt;
         }
 
-        await saveAnalysis(userId, detectedTF, now, nowReadable, toStore, env);
+        await saveAnalysis(userId, symbol, detectedTF, now, toStore, env, { source: 'reanalyze' });
       } catch (e) {
         console.error('Failed to save reanalysis result for row:', e);
       }
     }
 
     // Save summary marker
-    await saveAnalysis(userId, '_REANALYZE', now, nowReadable, { status: 'done', count: results.length, finishedAt: now }, env);
+    await saveMarker(userId, '_REANALYZE', now, { status: 'done', symbol, count: results.length, finishedAt: now }, env);
   } catch (e) {
     console.error('Reanalyze failed:', e);
     try {
       const at = Date.now();
-      const r = new Date(at).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-      await saveAnalysis(userId, '_REANALYZE', at, r, { status: 'error', error: String(e?.message || e) }, env);
+      await saveMarker(userId, '_REANALYZE', at, { status: 'error', symbol, error: String(e?.message || e) }, env);
     } catch (_) {}
   }
 }
\ No newline at end of file
@@ -0,0 +1,202 @@
+import { TF_ORDER } from './config.js';
+import { normalizeTF, normalizeSymbol } from './utils.js';
+
+// --- BATCH UPLOADS (multi-timeframe sets) ---
+// Images that arrive within BATCH_WINDOW_SECONDS of each other form one batch (the window slides
+// with every new image). The consumer holds the batch's jobs until the window closes, reads each
+// chart's pair/TF in one AI call, then re-orders the jobs HTF -> LTF (queue_order) so every child
+// TF is analyzed after its parents are stored. When the last job of a multi-image batch finishes,
+// a combined top-down summary is stored and pushed.
+//
+// status: collecting -> ready (window closed) -> ordering -> running -> done
+
+// Jobs of a batch stuck in collecting/ordering (e.g. the orderer crashed) are released after this
+export const BATCH_ORDERING_GRACE_MS = 2 * 60 * 1000;
+
+// 0 disables batching (every image is analyzed on its own, immediately)
+export function getBatchWindowMs(env) {
+  const seconds = Number(env.BATCH_WINDOW_SECONDS ?? 15);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// Returns { batch_id, window_ends_at } for the incoming image, or null when batching is off
+export async function joinOrOpenBatch(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const windowMs = getBatchWindowMs(env);
+  if (!windowMs) return null;
+
+  const now = Date.now();
+  const windowEndsAt = now + windowMs;
+
+  // A window that already ended is closed here so it cannot absorb this image
+  await env.DB.prepare(`
+    UPDATE analysis_batches SET status = 'ready'
+    WHERE user_id = ? AND status = 'collecting' AND window_ends_at <= ?
+  `).bind(userId, now).run();
+
+  const join = () => env.DB.prepare(`
+    UPDATE analysis_batches SET window_ends_at = ?
+    WHERE user_id = ? AND status = 'collecting'
+    RETURNING batch_id, window_ends_at
+  `).bind(windowEndsAt, userId).first();
+
+  const joined = await join();
+  if (joined?.batch_id) return joined;
+
+  const batchId = `b_${now}_${userId.slice(-6)}`;
+  try {
+    await env.DB.prepare(`
+      INSERT INTO analysis_batches (batch_id, user_id, created_at, window_ends_at, status, finished_at, summary_text)
+      VALUES (?, ?, ?, ?, 'collecting', NULL, NULL)
+    `).bind(batchId, userId, now, windowEndsAt).run();
+  } catch (e) {
+    // Another image of the same burst opened the batch first (unique open batch per user)
+    const raced = await join();
+    if (raced?.batch_id) return raced;
+    throw e;
+  }
+  return { batch_id: batchId, window_ends_at: windowEndsAt };
+}
+
+// Earliest end of a still-open window (ms), or null. Lets the consumer come back when it closes.
+export async function getOpenBatchWindowEnd(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`
+    SELECT MIN(window_ends_at) AS t FROM analysis_batches
+    WHERE user_id = ? AND status = 'collecting'
+  `).bind(userId).first();
+  return row?.t != null ? Number(row.t) : null;
+}
+
+// Atomically claims the user's batches whose window has closed (only one runner orders a batch)
+export async function claimDueBatches(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    UPDATE analysis_batches SET status = 'ordering'
+    WHERE user_id = ? AND status IN ('collecting','ready') AND window_ends_at <= ?
+    RETURNING batch_id
+  `).bind(userId, Date.now()).all();
+  return (results || []).map(r => r.batch_id);
+}
+
+export async function markBatchRunning(batchId, env) {
+  if (!env.DB) throw new Error("No DB");
+  await env.DB.prepare(`UPDATE analysis_batches SET status = 'running' WHERE batch_id = ? AND status = 'ordering'`)
+    .bind(batchId).run();
+}
+
+export async function listBatchJobs(batchId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    SELECT job_id, message_id, status, queue_order, created_at, pre_tf, pre_symbol, result_tf, result_symbol, last_error
+    FROM analysis_jobs
+    WHERE batch_id = ?
+    ORDER BY COALESCE(queue_order, created_at) ASC
+  `).bind(batchId).all();
+  return results || [];
+}
+
+export async function countBatchJobs(batchId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`SELECT COUNT(*) AS c FROM analysis_jobs WHERE batch_id = ?`).bind(batchId).first();
+  return Number(row?.c || 0);
+}
+
+// HTF -> LTF within each pair; pairs keep their first-arrival order; unreadable TFs go last.
+// `jobs` must be in arrival order and carry pre_tf / pre_symbol.
+export function orderJobsTopDown(jobs) {
+  const pairRank = new Map();
+  jobs.forEach(job => {
+    const symbol = normalizeSymbol(job.pre_symbol);
+    if (!pairRank.has(symbol)) pairRank.set(symbol, pairRank.size);
+  });
+  const tfRank = job => {
+    const idx = TF_ORDER.indexOf(normalizeTF(job.pre_tf));
+    return idx === -1 ? TF_ORDER.length : idx;
+  };
+
+  return jobs
+    .map((job, arrival) => ({ job, arrival }))
+    .sort((a, b) =>
+      (pairRank.get(normalizeSymbol(a.job.pre_symbol)) - pairRank.get(normalizeSymbol(b.job.pre_symbol))) ||
+      (tfRank(a.job) - tfRank(b.job)) ||
+      (a.arrival - b.arrival))
+    .map(x => x.job);
+}
+
+// Stores the detected pair/TF and the new order. Slots are the batch's existing queue_order
+// values, so the batch keeps its place relative to other queued jobs.
+export async function applyBatchOrder(orderedJobs, env) {
+  if (!env.DB) throw new Error("No DB");
+  const slots = orderedJobs
+    .map(j => Number(j.queue_order ?? j.created_at))
+    .sort((a, b) => a - b);
+
+  const statements = orderedJobs.map((job, i) => env.DB.prepare(`
+    UPDATE analysis_jobs SET queue_order = ?, pre_tf = ?, pre_symbol = ?
+    WHERE job_id = ? AND status = 'queued'
+  `).bind(slots[i], job.pre_tf || null, job.pre_symbol || null, job.job_id));
+  if (statements.length) await env.DB.batch(statements);
+}
+
+// Marks the batch done once none of its jobs are pending. Returns true for the single caller that closed it.
+export async function completeBatchIfFinished(batchId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`
+    UPDATE analysis_batches
+    SET status = 'done', finished_at = ?
+    WHERE batch_id = ?
+      AND status = 'running'
+      AND NOT EXISTS (
+        SELECT 1 FROM analysis_jobs
+        WHERE batch_id = ? AND status IN ('queued','processing')
+      )
+    RETURNING batch_id
+  `).bind(Date.now(), batchId, batchId).first();
+  return Boolean(row?.batch_id);
+}
+
+export async function saveBatchSummary(batchId, summaryText, env) {
+  if (!env.DB) throw new Error("No DB");
+  await env.DB.prepare(`UPDATE analysis_batches SET summary_text = ? WHERE batch_id = ?`)
+    .bind(summaryText, batchId).run();
+}
+
+export async function getLatestBatchSummary(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  return await env.DB.prepare(`
+    SELECT batch_id, finished_at, summary_text
+    FROM analysis_batches
+    WHERE user_id = ? AND status = 'done' AND summary_text IS NOT NULL
+    ORDER BY finished_at DESC
+    LIMIT 1
+  `).bind(userId).first();
+}
+
+// --- MAINTENANCE ---
+
+// Batches left open with no pending jobs (all cancelled/purged, or orderer crashed) are closed without a summary
+export async function closeStaleBatches(env, windowEndedBefore) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    UPDATE analysis_batches
+    SET status = 'done', finished_at = ?
+    WHERE status != 'done'
+      AND window_ends_at < ?
+      AND NOT EXISTS (
+        SELECT 1 FROM analysis_jobs j
+        WHERE j.batch_id = analysis_batches.batch_id AND j.status IN ('queued','processing')
+      )
+    RETURNING batch_id
+  `).bind(Date.now(), windowEndedBefore).all();
+  return (results || []).length;
+}
+
+export async function purgeOldBatches(env, finishedBefore) {
+  if (!env.DB) throw new Error("No DB");
+  const res = await env.DB.prepare(`
+    DELETE FROM analysis_batches
+    WHERE status = 'done' AND COALESCE(finished_at, created_at) < ?
+  `).bind(finishedBefore).run();
+  return Number(res?.meta?.changes || 0);
+}
@@ -0,0 +1,265 @@
+import { normalizeTF, normalizeSymbol, filterRowsBySymbol, listSymbolsFromRows, detectSymbolInText, safeError } from './utils.js';
+import { TF_VALIDITY_MS, TF_ORDER } from './config.js';
+import { getAllAnalyses } from './database.js';
+import { generateText, supportsToolCalls } from './providers.js';
+import { validateSchema } from './schemas.js';
+import { replyLanguage, selectRowsForTradeStyle, TRADE_STYLE_CRITICAL_TFS } from './ai.js';
+import { withFreshness, isMarketOpen } from './freshness.js';
+import { formatDateTimeUTC } from './settings.js';
+import { normalizeKeyLevels } from './levels.js';
+import { t } from './i18n.js';
+import { loadChatMemory, appendChatTurn, selectTurnsWithinBudget } from './chatmemory.js';
+
+// --- AI CHAT (DB-first, tool calling) ---
+// The model reads the stored analyses through tools instead of getting the whole DB pasted into the
+// prompt: it lists the fresh TFs, fetches only the ones the question needs and may chain calls
+// ("compare H1 and H4, which is fresher?" -> list_fresh_tfs, get_analysis x2, get_freshness x2).
+// Every tool wraps code the menus already use (freshness.js, selectRowsForTradeStyle). The model never
+// rewrites stored data: request_reanalysis only asks, and the answer carries the same REANALYZE:<pair>
+// confirm button as a typed "re-analyze" (see handleReanalyzeConfirmRequest).
+//
+// Models without function calling (gemma*, AI_TOOL_CALLING=off) get the same tool results
+// precomputed in the prompt, so the answer is built from the same data either way.
+
+// Model turns that may call tools; the turn after the last one must answer
+const MAX_TOOL_ROUNDS = 4;
+// Calls beyond this in one turn are dropped (a model listing every TF twice)
+const MAX_CALLS_PER_ROUND = 8;
+
+const optionalSymbol = { type: 'string', nullable: true, description: 'Pair, e.g. XAUUSD. Omit for the pair of the conversation.' };
+const tfArg = { type: 'string', enum: TF_ORDER, coerce: normalizeTF, description: 'Timeframe: ' + TF_ORDER.join(', ') };
+
+const minutes = (ms) => Math.round(ms / 60000);
+
+// Stored analysis of one TF -> the fields an answer is built from (no raw extraction / trace)
+function summarizeAnalysis(data) {
+  const d = data || {};
+  const detailed = d.detailed_technical_data || {};
+  return {
+    trend_bias: d.trend_bias || detailed.trend_bias || null,
+    trade_setup: d.trade_setup || detailed.trade_setup || {},
+    structure: d.structure || detailed.structure || {},
+    value: d.value || detailed.value || {},
+    trigger: d.trigger || detailed.trigger || {},
+    key_levels: normalizeKeyLevels(d.key_levels || detailed.key_levels),
+    notes: d.notes || detailed.notes || null,
+    request_update_for_tf: d.request_update_for_tf || null
+  };
+}
+
+// Rows of the tool's pair (HTF first) with their freshness; an unknown pair is reported back to the model
+function pairRows(args, context) {
+  if (!context.knownSymbols.length) {
+    return { error: 'No analyses stored. The user must upload chart screenshots first.' };
+  }
+  const symbol = args.symbol ? normalizeSymbol(args.symbol) : context.symbol;
+  if (!context.knownSymbols.includes(symbol)) {
+    return { error: `No analyses stored for ${args.symbol}.`, known_pairs: context.knownSymbols };
+  }
+  context.lastSymbol = symbol;
+  const rows = filterRowsBySymbol(context.rows, symbol)
+    .map(r => withFreshness(r, context.env, context.now))
+    .sort((a, b) => TF_ORDER.indexOf(a.tf) - TF_ORDER.indexOf(b.tf));
+  return { symbol, rows };
+}
+
+function findTF(args, context) {
+  const found = pairRows(args, context);
+  if (found.error) return found;
+  const row = found.rows.find(r => r.tf === args.tf);
+  if (!row) return { symbol: found.symbol, tf: args.tf, found: false, stored_tfs: found.rows.map(r => r.tf) };
+  return { symbol: found.symbol, row };
+}
+
+const CHAT_TOOLS = [
+  {
+    name: 'list_fresh_tfs',
+    description: 'List the stored timeframes of a pair: fresh ones with freshness % and age, stale ones, and the other pairs on record. Call this first.',
+    parameters: { type: 'object', properties: { symbol: optionalSymbol } },
+    run(args, context) {
+      const found = pairRows(args, context);
+      if (found.error) return found;
+      const describe = (r) => ({ tf: r.tf, freshness_percent: r.freshnessPercent, age_minutes: r.ageMins, updated_utc: formatDateTimeUTC(r.timestamp) });
+      return {
+        symbol: found.symbol,
+        market_open: isMarketOpen(context.env, context.now),
+        fresh: found.rows.filter(r => r.isFresh).map(describe),
+        stale: found.rows.filter(r => !r.isFresh).map(describe),
+        other_pairs: context.knownSymbols.filter(s => s !== found.symbol)
+      };
+    }
+  },
+  {
+    name: 'get_analysis',
+    description: 'Fetch the stored analysis of one timeframe: trend bias, trade setup (entry/TP/SL), structure, value zones, trigger and key levels, with its freshness.',
+    parameters: { type: 'object', required: ['tf'], properties: { tf: tfArg, symbol: optionalSymbol } },
+    run(args, context) {
+      const found = findTF(args, context);
+      if (!found.row) return found;
+      const r = found.row;
+      let data = {};
+      try { data = JSON.parse(r.analysis_json || '{}'); } catch (_) { data = {}; }
+      return {
+        symbol: found.symbol,
+        tf: r.tf,
+        fresh: r.isFresh,
+        freshness_percent: r.freshnessPercent,
+        updated_utc: formatDateTimeUTC(r.timestamp),
+        ...(r.isFresh ? {} : { warning: `STALE: do not trade from it, ask the user for a new ${r.tf} chart` }),
+        ...summarizeAnalysis(data)
+      };
+    }
+  },
+  {
+    name: 'get_freshness',
+    description: 'Freshness of one timeframe: fresh or stale, freshness %, wall-clock age, trading-time age (market closures do not count) and validity window.',
+    parameters: { type: 'object', required: ['tf'], properties: { tf: tfArg, symbol: optionalSymbol } },
+    run(args, context) {
+      const found = findTF(args, context);
+      if (!found.row) return found;
+      const r = found.row;
+      return {
+        symbol: found.symbol,
+        tf: r.tf,
+        fresh: r.isFresh,
+        freshness_percent: r.freshnessPercent,
+        age_minutes: r.ageMins,
+        trading_age_minutes: minutes(r.ageMs),
+        market_closed_minutes: minutes(r.pausedMs),
+        valid_for_minutes: minutes(r.maxAgeMs),
+        updated_utc: formatDateTimeUTC(r.timestamp),
+        market_open: isMarketOpen(context.env, context.now)
+      };
+    }
+  },
+  {
+    name: 'select_trade_style_tfs',
+    description: 'Which fresh timeframes a SCALP or SWING plan would use (same selection as the Trade Style menu) and which critical ones are missing.',
+    parameters: {
+      type: 'object',
+      required: ['mode'],
+      properties: { mode: { type: 'string', enum: Object.keys(TRADE_STYLE_CRITICAL_TFS) }, symbol: optionalSymbol }
+    },
+    run(args, context) {
+      const found = pairRows(args, context);
+      if (found.error) return found;
+      // Same stale filter as the Trade Style menu: TFs without a validity rule never expire
+      const validRows = found.rows.filter(r => !TF_VALIDITY_MS[r.tf] || r.isFresh);
+      const selected = selectRowsForTradeStyle(validRows, args.mode, found.symbol).map(r => normalizeTF(r.tf));
+      const missing = TRADE_STYLE_CRITICAL_TFS[args.mode].filter(tf => !selected.includes(tf));
+      return { symbol: found.symbol, mode: args.mode, selected_tfs: selected, missing_critical_tfs: missing, ready: missing.length === 0 };
+    }
+  },
+  {
+    name: 'request_reanalysis',
+    description: 'Offer a re-analysis of the fresh stored timeframes of a pair. Only when the user asks to re-analyze or refresh; it does not read new charts. Nothing runs until the user taps the confirm button shown under your answer.',
+    parameters: { type: 'object', properties: { symbol: optionalSymbol } },
+    run(args, context) {
+      const found = pairRows(args, context);
+      if (found.error) return found;
+      // Same selection as the confirm step: TFs without a validity rule never expire
+      const fresh = found.rows.filter(r => !TF_VALIDITY_MS[r.tf] || r.isFresh).map(r => r.tf);
+      if (!fresh.length) return { pending_confirmation: false, symbol: found.symbol, reason: 'No fresh timeframes to re-analyze; the user must upload new charts.' };
+      context.reanalyzeSymbol = found.symbol;
+      return { pending_confirmation: true, symbol: found.symbol, fresh_tfs: fresh, note: 'Not started. Tell the user to tap the confirm button under this answer.' };
+    }
+  }
+];
+
+// Arguments are checked against the tool's schema; problems go back to the model as the result
+async function runToolCall(call, context) {
+  const tool = CHAT_TOOLS.find(x => x.name === call.name);
+  if (!tool) return { error: `Unknown tool ${call.name}` };
+  const { ok, value, issues } = validateSchema(call.args || {}, tool.parameters);
+  if (!ok) return { error: 'Invalid arguments: ' + issues.join('; ') };
+  try {
+    return await tool.run(value, context);
+  } catch (e) {
+    console.error(`[Chat] Tool ${call.name} failed:`, safeError(e));
+    return { error: 'Tool failed' };
+  }
+}
+
+// No tool-capable model: the overview and every TF of the pair, as the tools would return them
+async function prefetchToolResults(context) {
+  const results = [{ name: 'list_fresh_tfs', args: {} }];
+  const overview = await runToolCall(results[0], context);
+  results[0].result = overview;
+  for (const tf of [...(overview.fresh || []), ...(overview.stale || [])].map(x => x.tf)) {
+    const call = { name: 'get_analysis', args: { tf } };
+    results.push({ ...call, result: await runToolCall(call, context) });
+  }
+  return results.map(r => `${r.name}(${JSON.stringify(r.args)}) -> ${JSON.stringify(r.result)}`).join('\n');
+}
+
+function buildChatPrompt(userText, language, context, prefetched) {
+  const otherPairs = context.knownSymbols.filter(x => x !== context.symbol);
+  const database = prefetched
+    ? '=== DATABASE (tool results, ' + context.symbol + ' ONLY) ===\n' + prefetched + '\n==============================='
+    : 'The user\'s stored chart analyses (the Database) are only available through the tools. Call list_fresh_tfs first, then fetch just the TFs the question needs (get_analysis, get_freshness, select_trade_style_tfs). '
+      + (context.symbol ? 'Pair of this conversation: ' + context.symbol + '.' : 'No analyses are stored yet.')
+      + (otherPairs.length ? ' Other pairs on record: ' + otherPairs.join(', ') + '.' : '');
+
+  return 'Role: Assistant Trader & Technical Analyst (' + language.name + ' Language ONLY).\n\n' + database + '\n\nUser Question: "' + userText + '"\n\nHard Rules:\n- Answer STRICTLY in ' + language.name + ' language only (trading terms like BUY/SELL/TP/SL may stay as-is).\n- Answer strictly based on the Database (no hallucinated prices/trends). Never state a price, trend or setup you did not read from it.\n- Earlier messages of this conversation only tell you what the user refers to ("that", "why not SELL"). Take every price, trend and setup from the Database; where an earlier answer differs, the Database is newer and wins.\n- Never mix pairs: answer about one currency pair unless the user asks to compare pairs.\n- A TF marked stale (fresh=false) must not be used for entries; ask the user to upload a new chart of that TF. If the TF the user asks about is missing or stale, say so and ask for it.\n- Respect Top-Down: do not recommend counter-trend against the highest available Parent TF bias, unless the Database explicitly shows price at a major HTF key level + clear reversal trigger.\n- Offer a re-analysis only when the user asks for one; it starts only after they confirm.\n\nOutput format:\n- Provide answer in ' + language.name + ' only (concise, actionable, no internal reasoning steps, no tool names).\n- Think the analysis internally, output only the conclusion.\n- Use emoji for clarity (🔍 🎯 ⚠️ etc.)\n      ';
+}
+
+// Tool loop: model turn -> run its calls -> results back, until it answers (or the rounds run out)
+async function runAgent(env, userId, messages, context) {
+  const base = { kind: 'chat', userId, temperature: 0.2, maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1200), tools: CHAT_TOOLS };
+  for (let round = 0; ; round++) {
+    const toolChoice = round < MAX_TOOL_ROUNDS ? 'auto' : 'none';
+    const { text, toolCalls } = await generateText(env, { ...base, messages, toolChoice });
+    if (!toolCalls.length || toolChoice === 'none') return text;
+
+    const calls = toolCalls.slice(0, MAX_CALLS_PER_ROUND);
+    messages.push({ role: 'assistant', parts: calls.map(call => ({ toolCall: call })) });
+    const results = [];
+    for (const call of calls) {
+      results.push({ toolResult: { id: call.id, name: call.name, result: await runToolCall(call, context) } });
+    }
+    messages.push({ role: 'user', parts: results });
+  }
+}
+
+// options: { language (i18n.js) }
+// -> { text, reanalyzeSymbol }: reanalyzeSymbol = pair the user asked to re-analyze (needs a confirm button), else null
+export async function chatWithGeminiText(userId, userText, env, options = {}) {
+  const language = replyLanguage(options);
+
+  try {
+    // One pair per conversation: named in the question, else the pair of the previous exchange,
+    // else the most recently updated one. The tools can still read another pair when asked.
+    const rows = (await getAllAnalyses(userId, env)).filter(r => !String(r.tf || '').startsWith('_'));
+    const knownSymbols = listSymbolsFromRows(rows);
+    const memory = await loadChatMemory(userId, env);
+    const symbol = detectSymbolInText(userText, knownSymbols)
+      || (knownSymbols.includes(memory.symbol) ? memory.symbol : null)
+      || knownSymbols[0] || null;
+
+    const context = {
+      userId, env, rows, knownSymbols, symbol, lastSymbol: symbol, now: Date.now(),
+      reanalyzeSymbol: null
+    };
+    const useTools = supportsToolCalls(env, 'chat');
+    const prefetched = useTools || !symbol ? null : await prefetchToolResults(context);
+
+    // Earlier exchanges go first as plain turns; the rules sit in the latest message
+    const history = selectTurnsWithinBudget(memory.turns, env).flatMap(turn => [
+      { role: 'user', parts: [{ text: turn.question }] },
+      { role: 'assistant', parts: [{ text: turn.answer }] }
+    ]);
+    const messages = [...history, { role: 'user', parts: [{ text: buildChatPrompt(userText, language, context, prefetched) }] }];
+
+    const text = useTools
+      ? await runAgent(env, userId, messages, context)
+      : (await generateText(env, { kind: 'chat', userId, messages, temperature: 0.2, maxOutputTokens: Number(env.AI_MAX_OUTPUT_TOKENS || 1200) })).text;
+    if (!text) return { text: t(language.lang, 'chat.empty'), reanalyzeSymbol: null };
+    // Only the question and the answer are remembered, not the tool traffic
+    await appendChatTurn(userId, env, { question: userText, answer: text, symbol: context.lastSymbol });
+    return { text, reanalyzeSymbol: context.reanalyzeSymbol };
+  } catch (e) {
+    console.error(safeError(e));
+    const key = e?.category === 'rate_limit' ? 'chat.rate_limit' : (e?.status ? 'chat.ai_error' : 'chat.system_error');
+    return { text: t(language.lang, key), reanalyzeSymbol: null };
+  }
+}
@@ -0,0 +1,84 @@
+import { safeError } from './utils.js';
+
+// --- CHAT MEMORY (follow-up questions) ---
+// The last CHAT_MEMORY_TURNS question/answer pairs of a user's DB-first chat, kept in KV under
+// chat:{userId} so follow-ups ("and the SL for that?", "why not SELL?") keep their context. The
+// entry expires CHAT_MEMORY_TTL_SECONDS after the last exchange; the NEW_TOPIC quick reply clears it.
+//
+// Memory is conversation context only: answers still take every price, trend and setup from the
+// stored analyses (see chat.js). Without ANALYSIS_KV the chat stays stateless.
+
+const CHAT_MEMORY_PREFIX = 'chat:';
+// Per stored message: a long answer is cut rather than pushing every older turn out of the budget
+const MAX_STORED_CHARS = 1500;
+
+// 0 turns disables memory; KV rejects a TTL under 60 seconds
+export function getChatMemoryConfig(env) {
+  const turns = Number(env.CHAT_MEMORY_TURNS ?? 5);
+  const ttl = Number(env.CHAT_MEMORY_TTL_SECONDS ?? 3600);
+  const maxTokens = Number(env.CHAT_MEMORY_MAX_TOKENS ?? 1500);
+  return {
+    turns: Number.isFinite(turns) && turns > 0 ? Math.floor(turns) : 0,
+    ttlSeconds: Number.isFinite(ttl) ? Math.max(60, Math.floor(ttl)) : 3600,
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : 1500
+  };
+}
+
+// Rough count for budgeting only (~3 characters per token across Thai and English text)
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 3);
+}
+
+const clip = (text) => {
+  const s = String(text || '');
+  return s.length > MAX_STORED_CHARS ? s.slice(0, MAX_STORED_CHARS) + '…' : s;
+};
+
+// -> { turns: [{ question, answer, symbol, at }] oldest first, symbol: pair of the last exchange }
+export async function loadChatMemory(userId, env) {
+  const empty = { turns: [], symbol: null };
+  if (!env.ANALYSIS_KV || !getChatMemoryConfig(env).turns) return empty;
+  try {
+    const stored = await env.ANALYSIS_KV.get(CHAT_MEMORY_PREFIX + userId, 'json');
+    const turns = Array.isArray(stored?.turns) ? stored.turns : [];
+    return { turns, symbol: turns.length ? turns[turns.length - 1].symbol || null : null };
+  } catch (e) {
+    console.warn(`[Chat] Failed to load memory for ${userId}:`, safeError(e));
+    return empty;
+  }
+}
+
+export async function appendChatTurn(userId, env, { question, answer, symbol }) {
+  const config = getChatMemoryConfig(env);
+  if (!env.ANALYSIS_KV || !config.turns) return;
+  try {
+    const { turns } = await loadChatMemory(userId, env);
+    turns.push({ question: clip(question), answer: clip(answer), symbol: symbol || null, at: Date.now() });
+    await env.ANALYSIS_KV.put(
+      CHAT_MEMORY_PREFIX + userId,
+      JSON.stringify({ turns: turns.slice(-config.turns) }),
+      { expirationTtl: config.ttlSeconds }
+    );
+  } catch (e) {
+    console.warn(`[Chat] Failed to save memory for ${userId}:`, safeError(e));
+  }
+}
+
+export async function clearChatMemory(userId, env) {
+  if (!env.ANALYSIS_KV) return;
+  await env.ANALYSIS_KV.delete(CHAT_MEMORY_PREFIX + userId);
+}
+
+// Newest exchanges that fit in CHAT_MEMORY_MAX_TOKENS, returned oldest first
+export function selectTurnsWithinBudget(turns, env) {
+  const { turns: maxTurns, maxTokens } = getChatMemoryConfig(env);
+  const selected = [];
+  let used = 0;
+  for (const turn of (turns || []).slice(-maxTurns).reverse()) {
+    const cost = estimateTokens(turn.question) + estimateTokens(turn.answer);
+    if (used + cost > maxTokens) break;
+    used += cost;
+    selected.unshift(turn);
+  }
+  return selected;
+}
@@ -28,4 +28,25 @@ export const PARENT_TF_MAP = {
 };
 
 export const CANCEL_TEXT = 'CANCEL';
-export const MAIN_MENU_TEXT = 'MAIN_MENU';
\ No newline at end of file
+export const MAIN_MENU_TEXT = 'MAIN_MENU';
+
+// --- CURRENCY PAIRS ---
+
+// Pair used when the chart symbol could not be read (kept separate so it never mixes with real pairs)
+export const UNKNOWN_SYMBOL = 'UNKNOWN';
+
+// Pseudo-pair for internal marker rows (_JOB, _REANALYZE, ...)
+export const SYSTEM_SYMBOL = '_SYS';
+
+// ISO-style codes used to recognise 6-letter pairs (incl. broker suffixes like EURUSDm, XAUUSD.pro)
+export const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'NZD', 'CAD', 'CHF', 'XAU', 'XAG', 'BTC', 'ETH'];
+
+export const SYMBOL_ALIASES = {
+  'GOLD': 'XAUUSD',
+  'XAU': 'XAUUSD',
+  'ทอง': 'XAUUSD',
+  'SILVER': 'XAGUSD',
+  'XAG': 'XAGUSD',
+  'BITCOIN': 'BTCUSD',
+  'BTC': 'BTCUSD'
+};
@@ -0,0 +1,140 @@
+import { normalizeTF } from './utils.js';
+import { TF_ORDER } from './config.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- MULTI-TIMEFRAME CONFLUENCE (deterministic, no AI) ---
+// Reads the stored trend_bias, structure.market_structure and trade_setup.action of each TF,
+// turns them into a direction in [-1 (bearish) .. +1 (bullish)] and weighs every TF by its rank
+// in TF_ORDER (1W heaviest) times its freshness. Result:
+//   netBias   weighted mean direction, -1..+1
+//   direction 'Bullish' | 'Bearish' | 'Neutral'
+//   score     alignment 0..100 (how strongly the TFs pull the same way)
+//   conflicts ["H1 bullish vs H4 bearish", "M15: bias Bullish vs action SELL", ...]
+
+// Share of each stored field in a TF's direction
+const SIGNAL_WEIGHTS = { bias: 0.5, structure: 0.3, action: 0.2 };
+// |direction| below this counts as neutral (no side to conflict with)
+const SIDE_THRESHOLD = 0.34;
+const DIRECTION_THRESHOLD = 0.25;
+const MIN_FRESHNESS_WEIGHT = 0.2;
+const MAX_CONFLICTS = 6;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function biasSignal(bias) {
+  const b = String(bias || '').toLowerCase();
+  if (b.includes('bull')) return 1;
+  if (b.includes('bear')) return -1;
+  return 0;
+}
+
+// "HH/HL" -> +1, "LH/LL" -> -1, "Range" / mixed / unknown -> 0
+function structureSignal(structure) {
+  const s = String(structure || '').toUpperCase();
+  const bull = /\bHH\b|\bHL\b/.test(s) || s.includes('UPTREND');
+  const bear = /\bLH\b|\bLL\b/.test(s) || s.includes('DOWNTREND');
+  if (bull && !bear) return 1;
+  if (bear && !bull) return -1;
+  return 0;
+}
+
+function actionSignal(action) {
+  const a = String(action || '').toUpperCase();
+  if (a === 'BUY') return 1;
+  if (a === 'SELL') return -1;
+  return 0;
+}
+
+const sideName = (d) => (d > 0 ? 'bullish' : 'bearish');
+
+// rows: fresh analyses of ONE pair as [{ tf, data, freshnessPercent }] (see enrichRowsWithFreshness)
+export function computeConfluence(rows) {
+  const perTF = [];
+  const conflicts = [];
+
+  for (const row of rows || []) {
+    const tf = normalizeTF(row.tf);
+    const rank = TF_ORDER.indexOf(tf);
+    if (rank === -1) continue;
+
+    const d = row.data || {};
+    const detailed = d.detailed_technical_data || {};
+    const bias = d.trend_bias || detailed.trend_bias;
+    const setup = d.trade_setup || detailed.trade_setup || {};
+    const structure = (d.structure || detailed.structure || {}).market_structure;
+
+    const signals = { bias: biasSignal(bias), structure: structureSignal(structure), action: actionSignal(setup.action) };
+    const direction = Object.entries(SIGNAL_WEIGHTS).reduce((s, [k, w]) => s + w * signals[k], 0);
+    const freshness = row.freshnessPercent === undefined ? 1 : Math.max(MIN_FRESHNESS_WEIGHT, row.freshnessPercent / 100);
+    const weight = (TF_ORDER.length - rank) * freshness;
+
+    // A TF that contradicts itself (bias one way, setup the other) is a conflict on its own
+    if (signals.bias && signals.action && signals.bias !== signals.action) {
+      conflicts.push({ weight, text: `${tf}: bias ${bias} vs action ${String(setup.action).toUpperCase()}` });
+    }
+    perTF.push({ tf, direction: round2(direction), weight: round2(weight), signals });
+  }
+
+  perTF.sort((a, b) => TF_ORDER.indexOf(a.tf) - TF_ORDER.indexOf(b.tf));
+
+  // Cross-TF: every lower TF pointing against a higher one
+  for (let i = 0; i < perTF.length; i++) {
+    for (let j = i + 1; j < perTF.length; j++) {
+      const hi = perTF[i], lo = perTF[j];
+      if (Math.abs(hi.direction) < SIDE_THRESHOLD || Math.abs(lo.direction) < SIDE_THRESHOLD) continue;
+      if (Math.sign(hi.direction) === Math.sign(lo.direction)) continue;
+      conflicts.push({ weight: hi.weight + lo.weight, text: `${lo.tf} ${sideName(lo.direction)} vs ${hi.tf} ${sideName(hi.direction)}` });
+    }
+  }
+  conflicts.sort((a, b) => b.weight - a.weight);
+
+  const totalWeight = perTF.reduce((s, x) => s + x.weight, 0);
+  const netBias = totalWeight ? perTF.reduce((s, x) => s + x.weight * x.direction, 0) / totalWeight : 0;
+  const direction = netBias >= DIRECTION_THRESHOLD ? 'Bullish' : netBias <= -DIRECTION_THRESHOLD ? 'Bearish' : 'Neutral';
+
+  return {
+    netBias: round2(netBias),
+    direction,
+    score: Math.round(Math.abs(netBias) * 100),
+    perTF,
+    conflicts: conflicts.slice(0, MAX_CONFLICTS).map(c => c.text)
+  };
+}
+
+const signed = (n) => (n > 0 ? '+' : '') + n.toFixed(2);
+
+// Block appended to the trade-style prompt: the model gets the baseline instead of re-deriving it
+export function formatConfluenceForPrompt(result) {
+  return [
+    '=== CODE-COMPUTED CONFLUENCE (deterministic baseline from the DB) ===',
+    `Direction: ${result.direction} | Alignment: ${result.score}/100 | Net bias: ${signed(result.netBias)} (-1 bearish .. +1 bullish)`,
+    'Per TF (direction, weight = TF rank x freshness): ' + result.perTF.map(x => `${x.tf} ${signed(x.direction)} (w ${x.weight})`).join(', '),
+    'Conflicts: ' + (result.conflicts.length ? result.conflicts.join('; ') : 'none'),
+    'Use this as the baseline. If your plan goes against it, explain why in risk_notes and lower confidence.'
+  ].join('\n');
+}
+
+const directionLabel = (lang, direction) => t(lang, `confluence.direction.${direction}`);
+
+export function formatConfluenceLine(result, lang = DEFAULT_LANGUAGE) {
+  return t(lang, 'confluence.line', { direction: directionLabel(lang, result.direction), score: result.score });
+}
+
+export function formatConfluenceMessage(symbol, result, lang = DEFAULT_LANGUAGE) {
+  const icon = (d) => (d >= SIDE_THRESHOLD ? '📈' : d <= -SIDE_THRESHOLD ? '📉' : '➖');
+  const lines = [`🧮 Multi-TF Confluence (${symbol})`, t(lang, 'confluence.subtitle'), ''];
+  lines.push(t(lang, 'confluence.overall', { direction: directionLabel(lang, result.direction) }));
+  lines.push(t(lang, 'confluence.score', { score: result.score, net: signed(result.netBias) }));
+  lines.push('');
+  for (const x of result.perTF) {
+    lines.push(t(lang, 'confluence.tf_row', { icon: icon(x.direction), tf: x.tf, direction: signed(x.direction), weight: x.weight }));
+  }
+  lines.push('');
+  if (result.conflicts.length) {
+    lines.push(t(lang, 'confluence.conflicts'));
+    for (const c of result.conflicts) lines.push(`- ${c}`);
+  } else {
+    lines.push(t(lang, 'confluence.no_conflicts'));
+  }
+  return lines.join('\n');
+}
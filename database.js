@@ -1,76 +1,188 @@
+import { UNKNOWN_SYMBOL, SYSTEM_SYMBOL } from './config.js';
+import { runMigrations } from './migrations.js';
+
 // --- DATABASE FUNCTIONS (D1) ---
 
+// Schema is owned by migrations.js (versioned, applied once). This only runs pending migrations.
 export async function initDatabase(env) {
   if (!env.DB) return;
-  await env.DB.prepare(`
-    CREATE TABLE IF NOT EXISTS user_analysis_logs (
-      user_id TEXT,
-      tf TEXT,
-      timestamp INTEGER,
-      timestamp_readable TEXT,
-      analysis_json TEXT,
-      PRIMARY KEY (user_id, tf)
-    )
-  `).run();
-
-  // FIFO queue for sequential image analysis (per-user)
-  await env.DB.prepare(`
-    CREATE TABLE IF NOT EXISTS analysis_jobs (
-      job_id TEXT PRIMARY KEY,
-      user_id TEXT,
-      message_id TEXT,
-      created_at INTEGER,
-      status TEXT,
-      attempt INTEGER,
-      started_at INTEGER,
-      finished_at INTEGER,
-      result_tf TEXT,
-      last_error TEXT
-    )
-  `).run();
-
-  // Helpful index for fetching per-user queue quickly (SQLite/D1 supports CREATE INDEX IF NOT EXISTS)
-  await env.DB.prepare(`
-    CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_status_created
-    ON analysis_jobs(user_id, status, created_at)
-  `).run();
+  await runMigrations(env);
 }
 
-export async function getAllAnalyses(userId, env) {
+export async function getAllAnalyses(userId, env, symbol = null) {
   if (!env.DB) throw new Error("No DB");
+  if (symbol) {
+    const { results } = await env.DB.prepare("SELECT * FROM user_analysis_logs WHERE user_id = ? AND symbol = ?")
+      .bind(userId, symbol).all();
+    return results || [];
+  }
   const stmt = env.DB.prepare("SELECT * FROM user_analysis_logs WHERE user_id = ?");
   const { results } = await stmt.bind(userId).all();
   return results || [];
 }
 
-export async function saveAnalysis(userId, tf, timestamp, timestampReadable, dataObj, env) {
+export async function listUserSymbols(userId, env) {
   if (!env.DB) throw new Error("No DB");
-  const jsonStr = JSON.stringify(dataObj);
-  const stmt = env.DB.prepare(`
-    INSERT INTO user_analysis_logs (user_id, tf, timestamp, timestamp_readable, analysis_json)
+  const { results } = await env.DB.prepare(`
+    SELECT symbol, MAX(timestamp) AS last_ts
+    FROM user_analysis_logs
+    WHERE user_id = ? AND substr(symbol, 1, 1) != '_' AND substr(tf, 1, 1) != '_'
+    GROUP BY symbol
+    ORDER BY last_ts DESC
+  `).bind(userId).all();
+  return (results || []).map(r => r.symbol);
+}
+
+// Timestamps are epoch ms only; readable times are rendered per user at display time (settings.js)
+function prepareUpsertCurrent(env, userId, symbol, tf, timestamp, jsonStr) {
+  return env.DB.prepare(`
+    INSERT INTO user_analysis_logs (user_id, symbol, tf, timestamp, analysis_json)
     VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(user_id, tf) DO UPDATE SET
+    ON CONFLICT(user_id, symbol, tf) DO UPDATE SET
       timestamp = excluded.timestamp,
-      timestamp_readable = excluded.timestamp_readable,
       analysis_json = excluded.analysis_json
-  `);
-  await stmt.bind(userId, tf, timestamp, timestampReadable, jsonStr).run();
+  `).bind(userId, symbol || UNKNOWN_SYMBOL, tf, timestamp, jsonStr);
 }
 
-export async function deleteAnalysis(userId, tf, env) {
+// Updates the current row AND appends a history version (single batch = atomic).
+// options.source: 'chart' (image analysis, default) | 'reanalyze' | 'tf_change'
+export async function saveAnalysis(userId, symbol, tf, timestamp, dataObj, env, options = {}) {
   if (!env.DB) throw new Error("No DB");
-  await env.DB.prepare("DELETE FROM user_analysis_logs WHERE user_id = ? AND tf = ?")
-    .bind(userId, tf).run();
+  const jsonStr = JSON.stringify(dataObj);
+  const sym = symbol || UNKNOWN_SYMBOL;
+  await env.DB.batch([
+    prepareUpsertCurrent(env, userId, sym, tf, timestamp, jsonStr),
+    env.DB.prepare(`
+      INSERT INTO analysis_history (user_id, symbol, tf, timestamp, source, analysis_json)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(userId, sym, tf, timestamp, options.source || 'chart', jsonStr)
+  ]);
 }
 
-export async function updateAnalysisTF(userId, oldTF, newTF, env) {
+// Internal marker rows (_JOB, _REANALYZE) are per-user, not per-pair, and have no history
+export async function saveMarker(userId, tf, timestamp, dataObj, env) {
   if (!env.DB) throw new Error("No DB");
+  await prepareUpsertCurrent(env, userId, SYSTEM_SYMBOL, tf, timestamp, JSON.stringify(dataObj)).run();
+}
 
-  const stmtGet = env.DB.prepare("SELECT * FROM user_analysis_logs WHERE user_id = ? AND tf = ?");
-  const oldRow = await stmtGet.bind(userId, oldTF).first();
+export async function deleteAnalysis(userId, symbol, tf, env) {
+  if (!env.DB) throw new Error("No DB");
+  await env.DB.prepare("DELETE FROM user_analysis_logs WHERE user_id = ? AND symbol = ? AND tf = ?")
+    .bind(userId, symbol, tf).run();
+}
+
+export async function updateAnalysisTF(userId, symbol, oldTF, newTF, env) {
+  if (!env.DB) throw new Error("No DB");
+
+  const stmtGet = env.DB.prepare("SELECT * FROM user_analysis_logs WHERE user_id = ? AND symbol = ? AND tf = ?");
+  const oldRow = await stmtGet.bind(userId, symbol, oldTF).first();
 
   if (!oldRow) return;
 
-  await saveAnalysis(userId, newTF, oldRow.timestamp, oldRow.timestamp_readable, JSON.parse(oldRow.analysis_json), env);
-  await deleteAnalysis(userId, oldTF, env);
-}
\ No newline at end of file
+  await saveAnalysis(userId, symbol, newTF, oldRow.timestamp, JSON.parse(oldRow.analysis_json), env, { source: 'tf_change' });
+  await deleteAnalysis(userId, symbol, oldTF, env);
+}
+
+// --- ANALYSIS HISTORY ---
+
+export async function getAnalysisHistory(userId, symbol, tf, env, limit = 5) {
+  if (!env.DB) throw new Error("No DB");
+  const n = Math.max(1, Math.min(20, Math.floor(Number(limit || 5))));
+  const { results } = await env.DB.prepare(`
+    SELECT id, symbol, tf, timestamp, source, analysis_json
+    FROM analysis_history
+    WHERE user_id = ? AND symbol = ? AND tf = ?
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ${n}
+  `).bind(userId, symbol, tf).all();
+  return results || [];
+}
+
+export async function getHistoryEntry(userId, historyId, env) {
+  if (!env.DB) throw new Error("No DB");
+  return await env.DB.prepare(`
+    SELECT id, symbol, tf, timestamp, source, analysis_json
+    FROM analysis_history
+    WHERE user_id = ? AND id = ?
+  `).bind(userId, Number(historyId)).first();
+}
+
+export async function listHistoryTFs(userId, symbol, env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    SELECT tf, COUNT(*) AS versions
+    FROM analysis_history
+    WHERE user_id = ? AND symbol = ?
+    GROUP BY tf
+  `).bind(userId, symbol).all();
+  return results || [];
+}
+
+// --- MAINTENANCE ---
+
+// Current rows older than the cutoff are long expired (max TF validity is 1W); markers are kept.
+export async function purgeExpiredAnalyses(env, olderThan) {
+  if (!env.DB) throw new Error("No DB");
+  const res = await env.DB.prepare(`
+    DELETE FROM user_analysis_logs
+    WHERE timestamp < ? AND substr(tf, 1, 1) != '_'
+  `).bind(olderThan).run();
+  return Number(res?.meta?.changes || 0);
+}
+
+export async function purgeAnalysisHistory(env, olderThan) {
+  if (!env.DB) throw new Error("No DB");
+  const res = await env.DB.prepare(`DELETE FROM analysis_history WHERE timestamp < ?`).bind(olderThan).run();
+  return Number(res?.meta?.changes || 0);
+}
+
+export async function listUsersWithAnalyses(env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`SELECT DISTINCT user_id FROM user_analysis_logs`).all();
+  return (results || []).map(r => r.user_id).filter(Boolean);
+}
+
+// Analyses per producing model since `since` (from history), to compare models:
+// total, WAIT share and High-confidence share. Rows from before model tracking show as '(unknown)'.
+export async function getModelUsageStats(env, since) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    SELECT COALESCE(json_extract(analysis_json, '$.ai_model'), '(unknown)') AS model,
+           COUNT(*) AS total,
+           SUM(CASE WHEN json_extract(analysis_json, '$.trade_setup.action') = 'WAIT' THEN 1 ELSE 0 END) AS waits,
+           SUM(CASE WHEN json_extract(analysis_json, '$.trade_setup.confidence') = 'High' THEN 1 ELSE 0 END) AS high_conf
+    FROM analysis_history
+    WHERE timestamp >= ?
+    GROUP BY model
+    ORDER BY total DESC
+  `).bind(since).all();
+  return (results || []).map(r => ({
+    model: r.model,
+    total: Number(r.total || 0),
+    waits: Number(r.waits || 0),
+    highConf: Number(r.high_conf || 0)
+  }));
+}
+
+export async function saveMaintenanceRun(env, run) {
+  if (!env.DB) throw new Error("No DB");
+  await env.DB.prepare(`
+    INSERT INTO maintenance_runs (started_at, finished_at, cron, stats_json, error)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(run.startedAt, run.finishedAt, run.cron || null, JSON.stringify(run.stats || {}), run.error || null).run();
+
+  // Keep the audit log small
+  await env.DB.prepare(`
+    DELETE FROM maintenance_runs
+    WHERE id NOT IN (SELECT id FROM maintenance_runs ORDER BY id DESC LIMIT 50)
+  `).run();
+}
+
+export async function getRecentMaintenanceRuns(env, limit = 3) {
+  if (!env.DB) throw new Error("No DB");
+  const n = Math.max(1, Math.min(10, Math.floor(Number(limit || 3))));
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM maintenance_runs ORDER BY id DESC LIMIT ${n}
+  `).all();
+  return results || [];
+}
@@ -0,0 +1,186 @@
+import { normalizeTF, normalizeSymbol } from './utils.js';
+import { TF_ORDER } from './config.js';
+import { describeSetupCheck } from './tradesetup.js';
+import { formatDateTime } from './settings.js';
+import { t, normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- MESSAGE FORMATTERS (shared by menu replies and push notifications) ---
+
+// Same layout as the image-analysis response; `settings` (user settings) picks the language and
+// adds the analysis time
+export function formatAnalysisSummary(data, row, settings = null) {
+  const lang = normalizeLanguage(settings?.language) || DEFAULT_LANGUAGE;
+  const tf = normalizeTF(row?.tf) || 'Unknown';
+  const symbol = normalizeSymbol(row?.symbol || data?.symbol);
+  const setup = data?.trade_setup || data?.detailed_technical_data?.trade_setup || {};
+  const structure = data?.structure || data?.detailed_technical_data?.structure || {};
+  const value = data?.value || data?.detailed_technical_data?.value || {};
+  const trigger = data?.trigger || data?.detailed_technical_data?.trigger || {};
+  const action = (setup?.action || 'WAIT').toUpperCase();
+  const confidence = setup?.confidence || 'Medium';
+  
+  // Only show TFs that were actually used for confluence (not requested ones)
+  const actualTFs = (data?.tfs_used_for_confluence || []).filter(t => t && !String(t).startsWith('_'));
+  const tfs = actualTFs.length > 0 ? actualTFs.join(', ') : '-';
+  
+  const entry = setup?.entry_zone || '-';
+  const tp = setup?.target_price || '-';
+  const sl = setup?.stop_loss || '-';
+  
+  // Build summary (same layout as image analysis)
+  const structureText = structure?.market_structure || 'Unknown';
+  const valueText = value?.key_levels_summary || t(lang, 'analysis.unclear');
+  const triggerText = (trigger?.candlestick_patterns || []).length > 0 ? trigger.candlestick_patterns.join(', ') : t(lang, 'analysis.not_yet_clear');
+  const summary = data?.user_response_text || t(lang, 'analysis.no_summary');
+  
+  // Use the same format as image analysis response
+  let lines = [];
+  lines.push(t(lang, 'analysis.status', { action, confidence }));
+  lines.push(t(lang, 'analysis.pair', { symbol }));
+  lines.push(t(lang, 'analysis.tf', { tf }));
+  
+  // Show confluence only if there are actual TFs used
+  if (tfs !== '-') {
+    lines.push(t(lang, 'analysis.confluence', { tfs }));
+  }
+  
+  lines.push('');
+  lines.push(`🔍 Top-Down Analysis:`);
+  lines.push(`1️⃣ Structure: ${structureText}`);
+  lines.push(`2️⃣ Area of Value: ${valueText}`);
+  lines.push(`3️⃣ Entry Trigger: ${triggerText}`);
+  lines.push('');
+  lines.push(`🎯 Setup:`);
+  lines.push(`- Entry: ${entry}`);
+  lines.push(`- TP: ${tp}`);
+  lines.push(`- SL: ${sl}`);
+  lines.push(...describeSetupCheck(setup, lang));
+  lines.push('');
+  lines.push(t(lang, 'analysis.summary', { summary }));
+  if (data?.ai_model) lines.push(t(lang, 'analysis.model', { model: data.ai_model }));
+  if (settings && row?.timestamp) lines.push(t(lang, 'analysis.analyzed_at', { at: formatDateTime(row.timestamp, settings) }));
+
+  return lines.join('\n');
+}
+
+// --- DASHBOARD (one row per TF, D1 data only) ---
+
+function freshnessBadge(row, lang) {
+  if (!row.isFresh) return t(lang, 'dashboard.expired');
+  const p = row.freshnessPercent;
+  return `${p >= 75 ? '🟢' : p >= 50 ? '🟡' : '🔴'} ${p}%`;
+}
+
+// rows: one pair's analyses enriched with freshness (isFresh, freshnessPercent, data)
+export function formatDashboard(symbol, rows, lang = DEFAULT_LANGUAGE) {
+  const byTF = new Map((rows || []).map(r => [normalizeTF(r.tf), r]));
+  // A TF is flagged when any stored analysis asked for a newer chart of it
+  const flagged = new Set((rows || []).flatMap(r =>
+    Array.isArray(r.data?.request_update_for_tf) ? r.data.request_update_for_tf.map(normalizeTF) : []));
+
+  const lines = [t(lang, 'dashboard.title', { symbol }), t(lang, 'dashboard.legend'), ''];
+  for (const tf of TF_ORDER) {
+    const row = byTF.get(tf);
+    const flag = flagged.has(tf) ? t(lang, 'dashboard.needs_update') : '';
+    if (!row) {
+      lines.push(t(lang, 'dashboard.no_data', { tf, flag }));
+      continue;
+    }
+    lines.push('');
+    const d = row.data || {};
+    const setup = d.trade_setup || d.detailed_technical_data?.trade_setup || {};
+    const structure = d.structure || d.detailed_technical_data?.structure || {};
+    const bias = d.trend_bias || d.detailed_technical_data?.trend_bias || '-';
+    const action = setup.action ? `${String(setup.action).toUpperCase()} (${setup.confidence || '-'})` : '-';
+    lines.push(`${biasIcon(bias)} ${tf}: ${freshnessBadge(row, lang)} | ${bias} | ${structure.market_structure || '-'}${flag}`);
+    lines.push(`   ${action} | E ${setup.entry_zone || '-'} | SL ${setup.stop_loss || '-'} | TP ${setup.target_price || '-'}`);
+  }
+  return lines.join('\n');
+}
+
+// last_error is a raw technical message; map it to a reason the user can act on
+const FAILED_JOB_REASONS = [
+  { test: /fetch image from LINE|LINE API/i, key: 'failed.reason.line' },
+  { test: /\b429\b|quota|RESOURCE_EXHAUSTED/i, key: 'failed.reason.rate_limit' },
+  { test: /\b50[0-4]\b/, key: 'failed.reason.server' },
+  { test: /JSON|parse|Invalid AI output/i, key: 'failed.reason.bad_output' },
+  { test: /Lease expired|Stuck in processing|timeout/i, key: 'failed.reason.timeout' }
+];
+
+export function describeJobError(lastError, lang = DEFAULT_LANGUAGE) {
+  const raw = String(lastError || '');
+  const match = FAILED_JOB_REASONS.find(r => r.test.test(raw));
+  return t(lang, match ? match.key : 'failed.reason.other');
+}
+
+// --- BATCH (multi-timeframe set) SUMMARY ---
+
+function biasIcon(bias) {
+  const b = String(bias || '').toLowerCase();
+  if (b.includes('bull')) return '📈';
+  if (b.includes('bear')) return '📉';
+  return '➖';
+}
+
+// jobs: the batch's jobs in analysis order (HTF -> LTF); rows: the user's current analyses.
+// Returns { text, hasSignal } where hasSignal = some pair's lowest-TF plan is BUY/SELL.
+export function formatBatchSummary(jobs, rows, lang = DEFAULT_LANGUAGE) {
+  const findRow = (symbol, tf) => (rows || []).find(r =>
+    normalizeSymbol(r.symbol) === normalizeSymbol(symbol) && normalizeTF(r.tf) === normalizeTF(tf));
+  const parse = row => {
+    try { return JSON.parse(row?.analysis_json || '{}'); } catch (_) { return {}; }
+  };
+
+  // Group by pair, keeping the analysis order inside each group
+  const groups = new Map();
+  for (const job of jobs) {
+    const symbol = normalizeSymbol(job.result_symbol || job.pre_symbol);
+    if (!groups.has(symbol)) groups.set(symbol, []);
+    groups.get(symbol).push(job);
+  }
+
+  const lines = [t(lang, 'batch.title', { count: jobs.length })];
+  let hasSignal = false;
+
+  for (const [symbol, pairJobs] of groups) {
+    lines.push('');
+    lines.push(`💱 ${symbol}`);
+
+    const biases = [];
+    let lowest = null;
+    for (const job of pairJobs) {
+      const tf = normalizeTF(job.result_tf || job.pre_tf) || '?';
+      const row = job.status === 'done' ? findRow(symbol, tf) : null;
+      if (!row) {
+        lines.push(`• ${tf}: ❌ ${t(lang, job.status === 'error' ? 'batch.failed' : 'batch.no_result')}`);
+        continue;
+      }
+      const data = parse(row);
+      const setup = data?.trade_setup || data?.detailed_technical_data?.trade_setup || {};
+      const bias = data?.trend_bias || data?.detailed_technical_data?.trend_bias || '-';
+      const action = String(setup.action || 'WAIT').toUpperCase();
+      lines.push(`• ${tf}: ${biasIcon(bias)} ${bias} | ${action}${setup.confidence ? ` (${setup.confidence})` : ''}`);
+      biases.push(biasIcon(bias));
+      lowest = { tf, data, setup, action };
+    }
+
+    const bull = biases.filter(b => b === '📈').length;
+    const bear = biases.filter(b => b === '📉').length;
+    if (biases.length) {
+      if (bull && !bear) lines.push(t(lang, 'batch.aligned', { bias: 'Bullish', count: bull, total: biases.length }));
+      else if (bear && !bull) lines.push(t(lang, 'batch.aligned', { bias: 'Bearish', count: bear, total: biases.length }));
+      else lines.push(t(lang, 'batch.mixed', { bull, bear, other: biases.length - bull - bear }));
+    }
+
+    if (lowest) {
+      const { tf, data, setup, action } = lowest;
+      if (action === 'BUY' || action === 'SELL') hasSignal = true;
+      const rr = setup.risk_reward ? ` | R:R 1:${setup.risk_reward}` : '';
+      lines.push(t(lang, 'batch.plan', { tf, action, entry: setup.entry_zone || '-', sl: setup.stop_loss || '-', tp: setup.target_price || '-', rr }));
+      const trace = Array.isArray(data?.reasoning_trace) ? data.reasoning_trace : [];
+      if (trace.length) lines.push(`💡 ${trace[trace.length - 1]}`);
+    }
+  }
+
+  return { text: lines.join('\n'), hasSignal };
+}
@@ -0,0 +1,94 @@
+import { TF_VALIDITY_MS } from './config.js';
+import { normalizeTF } from './utils.js';
+
+// --- DATA FRESHNESS (market-hours aware) ---
+// An analysis ages only while the forex market trades: the weekend closure and the configured
+// holidays (MARKET_HOLIDAYS) do not count against TF_VALIDITY_MS. A 1D chart from Friday evening
+// is still fresh on Monday morning.
+//
+// Weekend closure (UTC): Friday 22:00 -> Sunday 21:00, the part that is closed in both summer and
+// winter time (New York 17:00 = 21:00 UTC in summer, 22:00 UTC in winter), so data never looks
+// fresher than it is. MARKET_WEEKEND_CLOSURE=off measures plain wall-clock time.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+// TFs without a TF_VALIDITY_MS entry
+export const DEFAULT_MAX_AGE_MS = DAY_MS;
+
+// The epoch (1970-01-01) was a Thursday: weeks below start on Thursday 00:00 UTC
+const WEEKEND_CLOSE_OFFSET_MS = DAY_MS + 22 * HOUR_MS;    // Friday 22:00
+const WEEKEND_OPEN_OFFSET_MS = 3 * DAY_MS + 21 * HOUR_MS; // Sunday 21:00
+
+// Longer spans are long expired whatever the closures: skip the exact calculation
+const MAX_EXACT_SPAN_MS = 60 * DAY_MS;
+
+// MARKET_HOLIDAYS="2026-12-25,2027-01-01" (UTC dates, closed all day) -> day start timestamps
+const holidayCache = new Map();
+function parseHolidays(raw) {
+  const key = String(raw || '');
+  if (!holidayCache.has(key)) {
+    const days = key.split(',').map(s => s.trim()).filter(Boolean)
+      .map(s => /^\d{4}-\d{2}-\d{2}$/.test(s) ? Date.parse(s + 'T00:00:00Z') : NaN)
+      .filter(Number.isFinite);
+    holidayCache.set(key, days);
+  }
+  return holidayCache.get(key);
+}
+
+function closedIntervals(start, end, env) {
+  const intervals = [];
+  if (String(env?.MARKET_WEEKEND_CLOSURE || 'on').toLowerCase() !== 'off') {
+    for (let week = Math.floor(start / WEEK_MS) * WEEK_MS; week <= end; week += WEEK_MS) {
+      intervals.push([week + WEEKEND_CLOSE_OFFSET_MS, week + WEEKEND_OPEN_OFFSET_MS]);
+    }
+  }
+  for (const day of parseHolidays(env?.MARKET_HOLIDAYS)) {
+    if (day < end && day + DAY_MS > start) intervals.push([day, day + DAY_MS]);
+  }
+  return intervals.sort((a, b) => a[0] - b[0]);
+}
+
+// Wall-clock time between two instants minus market closures (overlapping closures counted once)
+export function tradingMsBetween(start, end, env) {
+  if (!(end > start)) return 0;
+  if (end - start > MAX_EXACT_SPAN_MS) return end - start;
+
+  let closed = 0;
+  let cursor = start;
+  for (const [from, to] of closedIntervals(start, end, env)) {
+    const a = Math.max(from, cursor);
+    const b = Math.min(to, end);
+    if (b > a) {
+      closed += b - a;
+      cursor = b;
+    }
+  }
+  return end - start - closed;
+}
+
+export function isMarketOpen(env, now = Date.now()) {
+  return !closedIntervals(now, now + 1, env).some(([from, to]) => now >= from && now < to);
+}
+
+// ageMs: trading time (decides isFresh / freshnessPercent); ageMins: wall clock, for display;
+// pausedMs: how much of the wall-clock age fell into market closures
+export function getFreshness(tf, timestamp, env, now = Date.now()) {
+  const maxAgeMs = TF_VALIDITY_MS[normalizeTF(tf)] || DEFAULT_MAX_AGE_MS;
+  const wallAgeMs = Math.max(0, now - Number(timestamp || 0));
+  const ageMs = tradingMsBetween(now - wallAgeMs, now, env);
+  return {
+    maxAgeMs,
+    ageMs,
+    pausedMs: wallAgeMs - ageMs,
+    ageMins: Math.floor(wallAgeMs / 60000),
+    isFresh: ageMs <= maxAgeMs,
+    freshnessPercent: Math.max(0, Math.min(100, Math.round((1 - ageMs / maxAgeMs) * 100)))
+  };
+}
+
+// DB row -> row + normalized tf + getFreshness() fields
+export function withFreshness(row, env, now = Date.now()) {
+  return { ...row, tf: normalizeTF(row.tf), ...getFreshness(row.tf, row.timestamp, env, now) };
+}
@@ -1,34 +1,37 @@
-import { normalizeTF, safeError, inferLikelyCurrentTF, arrayBufferToBase64, promiseWithTimeout, safeParseJsonLoosely } from './utils.js';
+import { normalizeTF, normalizeSymbol, safeError } from './utils.js';
 import { TF_VALIDITY_MS, TF_ORDER, CANCEL_TEXT, MAIN_MENU_TEXT } from './config.js';
-import { mainMenu, tradeStyleMenu } from './menus.js';
-import { replyText, getContentFromLine } from './line.js';
-import { analyzeChartStructured, chatWithGeminiText, analyzeTradeStyleWithGemini, reanalyzeFromDB, createFallbackAnalysis, selectRowsForTradeStyle, buildTradeStyleContext } from './ai.js';
-import { saveImageToKV, getImageFromKV, saveAnalysisStateToKV, getAnalysisStateFromKV, cleanupAnalysisFromKV } from './kv.js';
-import { getAllAnalyses, saveAnalysis, deleteAnalysis, updateAnalysisTF } from './database.js';
-import { enqueueAnalysisJob, buildQueueAckMessage, claimNextQueuedJob, requeueJob, markJobDone, markJobError, hasQueuedJobs, getUserQueueStats } from './queue.js';
-
-// --- HELPER: Enrich rows with freshness info & age recommendation ---
-function enrichRowsWithFreshness(rows) {
+import { buildMainMenu, buildChatMenu, buildTradeStyleMenu, buildPairMenu, buildReanalyzeConfirmMenu } from './menus.js';
+import { replyText } from './line.js';
+import { analyzeTradeStyleWithGemini, reanalyzeFromDB, selectRowsForTradeStyle, buildTradeStyleContext, TRADE_STYLE_CRITICAL_TFS } from './ai.js';
+import { chatWithGeminiText } from './chat.js';
+import { getAllAnalyses, deleteAnalysis, updateAnalysisTF, listUserSymbols, getAnalysisHistory, getHistoryEntry, listHistoryTFs, getRecentMaintenanceRuns, getModelUsageStats } from './database.js';
+import { enqueueAnalysisJob, buildQueueAckMessage, listPendingJobs, cancelPendingJob, cancelAllPendingJobs, moveJobToFront, buildQueueListMessage, hasQueuedJobs, listFailedJobs, countFailedJobs, retryFailedJobs, getBackoffJobsInfo } from './queue.js';
+import { cleanupAnalysisFromKV, listUserAnalysesInKV } from './kv.js';
+import { scheduleUserQueue, finishBatchIfComplete } from './jobs.js';
+import { joinOrOpenBatch, getLatestBatchSummary } from './batches.js';
+import { formatAnalysisSummary, describeJobError, formatDashboard } from './formatters.js';
+import { getUserSettings, getUserLanguage, updateUserSettings, normalizeNotifyMode, normalizeTimezone, normalizeDateFormat, formatDateTime, TIMEZONE_PRESETS, DATE_FORMATS } from './settings.js';
+import { buildConfluenceZones, formatLevelsMessage, normalizeKeyLevels } from './levels.js';
+import { computeConfluence, formatConfluenceMessage, formatConfluenceLine } from './confluence.js';
+import { withFreshness, getFreshness, isMarketOpen } from './freshness.js';
+import { t, LANGUAGES, LANGUAGE_LABELS, normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+import { clearChatMemory } from './chatmemory.js';
+import { routeIntent } from './intents.js';
+
+// --- HELPER: Enrich rows with freshness info (market-hours aware) & age recommendation ---
+function enrichRowsWithFreshness(rows, env) {
+  const now = Date.now();
   return (rows || []).map(r => {
-    const tf = normalizeTF(r.tf);
-    const maxAge = TF_VALIDITY_MS[tf] || (24 * 60 * 60 * 1000);
-    const ageMs = Date.now() - Number(r.timestamp || 0);
-    const isFresh = ageMs <= maxAge;
-    const freshnessPercent = Math.max(0, Math.min(100, Math.round((1 - ageMs / maxAge) * 100)));
-    const ageMins = Math.floor(ageMs / 60000);
-    
+    const row = withFreshness(r, env, now);
+
     // Determine if update should be requested (AI will decide based on this)
     // If freshness < 50%, recommend update
-    const recommendUpdate = freshnessPercent < 50;
+    const recommendUpdate = row.freshnessPercent < 50;
     
     let data = {};
     try { data = JSON.parse(r.analysis_json || '{}'); } catch (_) { data = {}; }
     return {
-      ...r,
-      tf,
-      isFresh,
-      ageMins,
-      freshnessPercent,
+      ...row,
       recommendUpdate,
       data
     };
@@ -43,165 +46,437 @@ export async function handleEvent(event, env, ctx, requestUrl) {
   const messageType = event.message.type;
   const messageId = event.message.id;
   const userId = event.source.userId;
+  let lang = DEFAULT_LANGUAGE;
 
   try {
+    lang = await getUserLanguage(userId, env);
+
     // 1. Text Message Handling
     if (messageType === 'text') {
       const userText = event.message.text.trim();
 
       // --- GLOBAL: CANCEL / MAIN MENU ---
       if (userText === CANCEL_TEXT) {
-        await replyText(replyToken, "✅ ยกเลิกแล้วครับ", env, mainMenu);
+        await replyText(replyToken, t(lang, 'common.cancelled'), env, buildMainMenu(lang), lang);
         return;
       }
       if (userText === MAIN_MENU_TEXT) {
-        await replyText(replyToken, "📌 เมนูหลัก", env, mainMenu);
+        await replyText(replyToken, t(lang, 'common.main_menu'), env, buildMainMenu(lang), lang);
         return;
       }
 
+      // Per-pair commands accept an optional trailing ":<SYMBOL>" (e.g. SUMMARY_TF:H4:XAUUSD).
+      // Without it, the user is asked which pair (unless only one pair exists).
+
       // --- MENU: STATUS ---
-      if (userText === 'STATUS') {
-        await handleStatusRequest(userId, replyToken, env);
+      if (userText === 'STATUS' || userText.startsWith('STATUS:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'STATUS', replyToken, env, lang);
+        if (symbol) await handleStatusRequest(userId, symbol, replyToken, env, lang);
         return;
       }
 
       // --- MENU: SUMMARY ---
-      if (userText === 'SUMMARY') {
-        await handleSummaryMenuRequest(userId, replyToken, env);
+      if (userText === 'SUMMARY' || userText.startsWith('SUMMARY:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'SUMMARY', replyToken, env, lang);
+        if (symbol) await handleSummaryMenuRequest(userId, symbol, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: DASHBOARD (all TFs in one message, no AI call) ---
+      if (userText === 'DASHBOARD' || userText.startsWith('DASHBOARD:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'DASHBOARD', replyToken, env, lang);
+        if (symbol) await handleDashboardRequest(userId, symbol, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: LEVELS (cross-TF support/resistance zones, no AI call) ---
+      if (userText === 'LEVELS' || userText.startsWith('LEVELS:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'LEVELS', replyToken, env, lang);
+        if (symbol) await handleLevelsRequest(userId, symbol, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: CONFLUENCE (code-computed multi-TF alignment, no AI call) ---
+      if (userText === 'CONFLUENCE' || userText.startsWith('CONFLUENCE:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'CONFLUENCE', replyToken, env, lang);
+        if (symbol) await handleConfluenceRequest(userId, symbol, replyToken, env, lang);
         return;
       }
 
       // --- MENU: TRADE STYLE (SCALP / SWING) ---
       if (userText === 'TRADE_STYLE') {
-        await handleTradeStyleMenuRequest(userId, replyToken, env);
+        const symbol = await resolveSymbolOrAsk(userId, null, 'TRADE_STYLE', replyToken, env, lang);
+        if (symbol) await handleTradeStyleMenuRequest(userId, symbol, replyToken, env, lang);
         return;
       }
 
-      // --- MENU: TRADE STYLE (RUN) ---
+      // --- MENU: TRADE STYLE (RUN) --- TRADE_STYLE:<MODE>[:SYMBOL] or TRADE_STYLE:<SYMBOL>
       if (userText.startsWith('TRADE_STYLE:')) {
-        const mode = (userText.split(':')[1] || '').trim().toUpperCase();
-        await handleTradeStyleAnalysisRequest(userId, mode, replyToken, env);
+        const parts = userText.split(':');
+        const first = (parts[1] || '').trim().toUpperCase();
+        if (first !== 'SCALP' && first !== 'SWING') {
+          const symbol = await resolveSymbolOrAsk(userId, first, 'TRADE_STYLE', replyToken, env, lang);
+          if (symbol) await handleTradeStyleMenuRequest(userId, symbol, replyToken, env, lang);
+          return;
+        }
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `TRADE_STYLE:${first}`, replyToken, env, lang);
+        if (symbol) await handleTradeStyleAnalysisRequest(userId, symbol, first, replyToken, env, lang);
         return;
       }
 
       // --- MENU: SUMMARY (SELECT TF) ---
       if (userText.startsWith('SUMMARY_TF:')) {
-        const targetTF = normalizeTF(userText.split(':')[1]);
-        await handleSummaryTFRequest(userId, targetTF, replyToken, env);
+        const parts = userText.split(':');
+        const targetTF = normalizeTF(parts[1]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `SUMMARY_TF:${targetTF}`, replyToken, env, lang);
+        if (symbol) await handleSummaryTFRequest(userId, symbol, targetTF, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: CONFIRM RE-ANALYZE --- REANALYZE_ASK[:SYMBOL] (typed requests, see intents.js)
+      if (userText === 'REANALYZE_ASK' || userText.startsWith('REANALYZE_ASK:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'REANALYZE_ASK', replyToken, env, lang);
+        if (symbol) await handleReanalyzeConfirmRequest(userId, symbol, replyToken, env, lang);
         return;
       }
 
       // --- COMMAND: RE-ANALYZE (Background DB-first re-evaluation) ---
-      if (userText === 'REANALYZE') {
+      if (userText === 'REANALYZE' || userText.startsWith('REANALYZE:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'REANALYZE', replyToken, env, lang);
+        if (!symbol) return;
         // Start background re-analysis using DB context only
-        ctx.waitUntil(reanalyzeFromDB(userId, env, requestUrl));
-        await replyText(replyToken, '🔄 เริ่มทำการ Re-analyze ข้อมูลล่าสุดในฐานข้อมูล (ทำงานพื้นหลัง)\nจะอัปเดตผลและแทนที่ผลเก่าเมื่อเสร็จเรียบร้อย', env, mainMenu);
+        ctx.waitUntil(reanalyzeFromDB(userId, symbol, env, requestUrl));
+        await replyText(replyToken, t(lang, 'data.reanalyze_started', { symbol }), env, buildMainMenu(lang), lang);
+        return;
+      }
+
+      // --- MENU: HISTORY (pick TF) ---
+      if (userText === 'HISTORY' || userText.startsWith('HISTORY:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'HISTORY', replyToken, env, lang);
+        if (symbol) await handleHistoryMenuRequest(userId, symbol, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: HISTORY LIST --- HISTORY_TF:<TF>[:SYMBOL]
+      if (userText.startsWith('HISTORY_TF:')) {
+        const parts = userText.split(':');
+        const targetTF = normalizeTF(parts[1]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `HISTORY_TF:${targetTF}`, replyToken, env, lang);
+        if (symbol) await handleHistoryTFRequest(userId, symbol, targetTF, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: HISTORY DIFF --- HISTORY_DIFF:<OLDER_ID>:<NEWER_ID>
+      if (userText.startsWith('HISTORY_DIFF:')) {
+        const parts = userText.split(':');
+        await handleHistoryDiffRequest(userId, parts[1], parts[2], replyToken, env, lang);
         return;
       }
 
       // --- MENU: MANAGE_DATA ---
-      if (userText === 'MANAGE_DATA') {
-        await handleManageDataRequest(userId, replyToken, env);
+      if (userText === 'MANAGE_DATA' || userText.startsWith('MANAGE_DATA:')) {
+        const symbol = await resolveSymbolOrAsk(userId, userText.split(':')[1], 'MANAGE_DATA', replyToken, env, lang);
+        if (symbol) await handleManageDataRequest(userId, symbol, replyToken, env, lang);
         return;
       }
 
       // --- COMMAND: SELECT ITEM TO EDIT ---
       if (userText.startsWith('EDIT_SEL:')) {
-        const targetTF = normalizeTF(userText.split(':')[1]);
-        await handleEditSelection(userId, targetTF, replyToken, env);
+        const parts = userText.split(':');
+        const targetTF = normalizeTF(parts[1]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `EDIT_SEL:${targetTF}`, replyToken, env, lang);
+        if (symbol) await handleEditSelection(userId, symbol, targetTF, replyToken, env, lang);
         return;
       }
 
       // --- COMMAND: DELETE ITEM ---
       if (userText.startsWith('DEL_EXEC:')) {
-        const targetTF = normalizeTF(userText.split(':')[1]);
-        await deleteAnalysis(userId, targetTF, env);
-        await replyText(replyToken, `🗑️ ลบข้อมูล TF: ${targetTF} เรียบร้อยแล้วครับ`, env, mainMenu);
+        const parts = userText.split(':');
+        const targetTF = normalizeTF(parts[1]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `DEL_EXEC:${targetTF}`, replyToken, env, lang);
+        if (!symbol) return;
+        await deleteAnalysis(userId, symbol, targetTF, env);
+        await replyText(replyToken, t(lang, 'data.deleted', { symbol, tf: targetTF }), env, buildMainMenu(lang), lang);
+        return;
+      }
+
+      // --- COMMAND: CONFIRM DELETE --- DEL_ASK:<TF>[:SYMBOL] (typed requests, see intents.js)
+      if (userText.startsWith('DEL_ASK:')) {
+        const parts = userText.split(':');
+        const targetTF = normalizeTF(parts[1]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[2], `DEL_ASK:${targetTF}`, replyToken, env, lang);
+        if (symbol) await handleDeleteConfirmRequest(userId, symbol, targetTF, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: CONFIRM CHANGE TF --- CHANGE_ASK:<OLD>:TO:<NEW>[:SYMBOL]
+      if (userText.startsWith('CHANGE_ASK:')) {
+        const parts = userText.split(':');
+        const oldTF = normalizeTF(parts[1]);
+        const newTF = normalizeTF(parts[3]);
+        const symbol = await resolveSymbolOrAsk(userId, parts[4], `CHANGE_ASK:${oldTF}:TO:${newTF}`, replyToken, env, lang);
+        if (symbol) await handleChangeTFConfirmRequest(userId, symbol, oldTF, newTF, replyToken, env, lang);
         return;
       }
 
-      // --- COMMAND: CHANGE TF ---
+      // --- COMMAND: CHANGE TF --- CHANGE_TF:<OLD>:TO:<NEW>[:SYMBOL]
       if (userText.startsWith('CHANGE_TF:')) {
         const parts = userText.split(':');
         const oldTF = normalizeTF(parts[1]);
         const newTF = normalizeTF(parts[3]);
-        await updateAnalysisTF(userId, oldTF, newTF, env);
-        await replyText(replyToken, `✅ แก้ไข TF จาก ${oldTF} เป็น ${newTF} เรียบร้อยแล้วครับ`, env, mainMenu);
+        const symbol = await resolveSymbolOrAsk(userId, parts[4], `CHANGE_TF:${oldTF}:TO:${newTF}`, replyToken, env, lang);
+        if (!symbol) return;
+        await updateAnalysisTF(userId, symbol, oldTF, newTF, env);
+        await replyText(replyToken, t(lang, 'data.tf_changed', { symbol, from: oldTF, to: newTF }), env, buildMainMenu(lang), lang);
+        return;
+      }
+
+      // --- MENU: QUEUE (list / cancel / move to front) ---
+      if (userText === 'QUEUE') {
+        await handleQueueMenuRequest(userId, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: CANCEL ONE JOB --- QUEUE_CANCEL:<JOB_ID>
+      if (userText.startsWith('QUEUE_CANCEL:')) {
+        await handleQueueCancelRequest(userId, userText.slice('QUEUE_CANCEL:'.length).trim(), replyToken, env, ctx, lang);
+        return;
+      }
+
+      // --- COMMAND: CANCEL ALL PENDING JOBS ---
+      if (userText === 'QUEUE_CANCEL_ALL') {
+        await handleQueueCancelAllRequest(userId, replyToken, env, lang);
         return;
       }
 
-      // Chat with Context (AI Chat) - DB First Logic
-      const aiResponse = await chatWithGeminiText(userId, userText, env);
-      await replyText(replyToken, aiResponse, env, mainMenu);
+      // --- COMMAND: MOVE JOB TO FRONT --- QUEUE_TOP:<JOB_ID>
+      if (userText.startsWith('QUEUE_TOP:')) {
+        await handleQueueTopRequest(userId, userText.slice('QUEUE_TOP:'.length).trim(), replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: LAST BATCH SUMMARY (combined top-down) ---
+      if (userText === 'BATCH_SUMMARY') {
+        await handleBatchSummaryRequest(userId, replyToken, env, lang);
+        return;
+      }
+
+      // --- MENU: FAILED JOBS (inbox) ---
+      if (userText === 'FAILED') {
+        await handleFailedJobsRequest(userId, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: RETRY FAILED JOB --- FAILED_RETRY:<JOB_ID> | FAILED_RETRY_ALL
+      if (userText.startsWith('FAILED_RETRY:') || userText === 'FAILED_RETRY_ALL') {
+        const jobId = userText === 'FAILED_RETRY_ALL' ? null : userText.slice('FAILED_RETRY:'.length).trim();
+        await handleFailedRetryRequest(userId, jobId, replyToken, env, ctx, lang);
+        return;
+      }
+
+      // --- MENU: PUSH NOTIFICATIONS --- NOTIFY | NOTIFY:<OFF|ALL|SIGNALS>
+      if (userText === 'NOTIFY' || userText.startsWith('NOTIFY:')) {
+        await handleNotifySettingRequest(userId, userText.split(':')[1], replyToken, env, lang);
+        return;
+      }
+
+      // --- MENU: SETTINGS (timezone, date format, notifications) ---
+      if (userText === 'SETTINGS') {
+        await handleSettingsRequest(userId, replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: TIMEZONE --- TIMEZONE | TIMEZONE:<IANA zone, e.g. Asia/Tokyo>
+      if (userText === 'TIMEZONE' || userText.startsWith('TIMEZONE:')) {
+        await handleTimezoneSettingRequest(userId, userText.split(':')[1], replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: DATE FORMAT --- DATE_FORMAT | DATE_FORMAT:<TH|EN|ISO>
+      if (userText === 'DATE_FORMAT' || userText.startsWith('DATE_FORMAT:')) {
+        await handleDateFormatSettingRequest(userId, userText.split(':')[1], replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: LANGUAGE --- LANGUAGE | LANGUAGE:<TH|EN>
+      if (userText === 'LANGUAGE' || userText.startsWith('LANGUAGE:')) {
+        await handleLanguageSettingRequest(userId, userText.split(':')[1], replyToken, env, lang);
+        return;
+      }
+
+      // --- COMMAND: NEW TOPIC (clear the chat memory) ---
+      if (userText === 'NEW_TOPIC') {
+        await clearChatMemory(userId, env);
+        await replyText(replyToken, t(lang, 'chat.new_topic'), env, buildMainMenu(lang), lang);
+        return;
+      }
+
+      // --- ADMIN: last scheduled maintenance runs ---
+      if (userText === 'ADMIN_MAINT') {
+        await handleAdminMaintenanceRequest(userId, replyToken, env, lang);
+        return;
+      }
+
+      // Typed requests ("delete my H4", "that chart was M30 not M15") run as the matching command
+      const routedCommand = await routeIntent(userId, userText, env);
+      if (routedCommand) {
+        await handleEvent({ ...event, message: { ...event.message, text: routedCommand } }, env, ctx, requestUrl);
+        return;
+      }
+
+      // Chat with Context (AI Chat) - DB First via tool calls, follow-ups use the chat memory
+      // A re-analysis the model offered still needs the user's confirm tap (REANALYZE:<pair>)
+      const { text: aiResponse, reanalyzeSymbol } = await chatWithGeminiText(userId, userText, env, { language: lang });
+      const quickReply = reanalyzeSymbol ? buildReanalyzeConfirmMenu(reanalyzeSymbol, lang) : buildChatMenu(lang);
+      await replyText(replyToken, aiResponse, env, quickReply, lang);
       return;
     }
 
     // 2. Image Handling (Analysis)
     if (messageType === 'image') {
 
+      // Images sent in a burst join one batch, analyzed HTF -> LTF once the window closes
+      const batch = await joinOrOpenBatch(userId, env);
+
       // Enqueue this image for FIFO processing (allows users to send multiple images continuously)
-      const { jobId, createdAt } = await enqueueAnalysisJob(userId, messageId, env);
+      const { jobId, createdAt } = await enqueueAnalysisJob(userId, messageId, env, { batchId: batch?.batch_id });
 
-      const ackMsg = await buildQueueAckMessage(userId, jobId, createdAt, env);
+      const settings = await getUserSettings(userId, env);
+      let ackMsg = await buildQueueAckMessage(userId, jobId, createdAt, env, { notify: settings.notify, settings });
+      const delayMs = batch ? Math.max(0, batch.window_ends_at - Date.now()) + 1000 : 0;
+      if (batch) {
+        ackMsg += t(lang, 'ack.batch_wait', { seconds: Math.ceil(delayMs / 1000) });
+      }
 
-      await replyText(replyToken, ackMsg, env, mainMenu);
+      await replyText(replyToken, ackMsg, env, buildMainMenu(lang), lang);
 
-      // Trigger background analysis asynchronously (will cache image in KV from there)
-      // Pass ctx so the fetch trigger gets properly awaited
-      triggerAsyncJobProcessing(userId, requestUrl, env, ctx)
-        .catch(e => console.error("Failed to trigger initial analysis:", safeError(e)));
+      // Wake the queue consumer for this user when the batch window closes (it caches the image in KV and chains to the next job)
+      await scheduleUserQueue(userId, env, ctx, { delayMs })
+        .catch(e => console.error("Failed to schedule analysis:", safeError(e)));
 
       return;
     }
 
   } catch (error) {
     console.error(safeError(error));
-    await replyText(replyToken, `⚠️ System Error:
-${error.message}`, env, mainMenu);
+    await replyText(replyToken, t(lang, 'common.system_error', { message: error.message }), env, buildMainMenu(lang), lang);
+  }
+}
+
+// --- PAIR SELECTION ---
+
+// Returns the pair a per-pair command should use. When the user has several pairs and did not
+// name one, replies with a pair picker (re-sending `command:<SYMBOL>`) and returns null.
+async function resolveSymbolOrAsk(userId, requestedSymbol, command, replyToken, env, lang) {
+  if (requestedSymbol && String(requestedSymbol).trim()) return normalizeSymbol(requestedSymbol);
+
+  const symbols = await listUserSymbols(userId, env);
+  if (symbols.length === 1) return symbols[0];
+
+  if (symbols.length === 0) {
+    await replyText(replyToken, t(lang, 'common.no_data'), env, buildMainMenu(lang), lang);
+    return null;
   }
+
+  await replyText(replyToken, t(lang, 'common.pick_pair'), env, buildPairMenu(command, symbols), lang);
+  return null;
+}
+
+// --- LOGIC: DASHBOARD (matrix of every TF + code-computed confluence) ---
+
+export async function handleDashboardRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = (await getAllAnalyses(userId, env, symbol)).filter(r => !String(r.tf || '').startsWith('_'));
+  if (rows.length === 0) {
+    await replyText(replyToken, t(lang, 'common.no_pair_data', { symbol }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const enriched = enrichRowsWithFreshness(rows, env);
+  let msg = formatDashboard(symbol, enriched, lang);
+  const fresh = enriched.filter(r => r.isFresh && TF_VALIDITY_MS[r.tf]);
+  if (fresh.length > 0) msg += '\n\n' + formatConfluenceLine(computeConfluence(fresh), lang);
+  await replyText(replyToken, msg, env, buildMainMenu(lang), lang);
+}
+
+// --- LOGIC: LEVELS (key levels of all fresh TFs clustered into confluence zones) ---
+
+export async function handleLevelsRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = (await getAllAnalyses(userId, env, symbol)).filter(r => !String(r.tf || '').startsWith('_'));
+  const fresh = enrichRowsWithFreshness(rows, env)
+    .filter(r => r.isFresh && TF_VALIDITY_MS[r.tf])
+    .sort((a, b) => TF_ORDER.indexOf(a.tf) - TF_ORDER.indexOf(b.tf));
+
+  if (fresh.length === 0) {
+    await replyText(replyToken, t(lang, 'common.no_fresh_pair_data', { symbol }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const withLevels = fresh.filter(r => normalizeKeyLevels(r.data?.key_levels).length > 0);
+  const without = fresh.filter(r => !withLevels.includes(r)).map(r => r.tf);
+  if (withLevels.length === 0) {
+    await replyText(replyToken, t(lang, 'levels.none', { symbol, tfs: without.join(', ') }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const zones = buildConfluenceZones(withLevels, env);
+  await replyText(replyToken, formatLevelsMessage(symbol, zones, withLevels.map(r => r.tf), without, lang), env, buildMainMenu(lang), lang);
+}
+
+// --- LOGIC: CONFLUENCE (all fresh TFs of the pair, deterministic) ---
+
+export async function handleConfluenceRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = (await getAllAnalyses(userId, env, symbol)).filter(r => !String(r.tf || '').startsWith('_'));
+  const fresh = enrichRowsWithFreshness(rows, env).filter(r => r.isFresh && TF_VALIDITY_MS[r.tf]);
+
+  if (fresh.length === 0) {
+    await replyText(replyToken, t(lang, 'common.no_fresh_pair_data', { symbol }), env, buildTradeStyleMenu(symbol, lang), lang);
+    return;
+  }
+
+  const result = computeConfluence(fresh);
+  await replyText(replyToken, formatConfluenceMessage(symbol, result, lang), env, buildTradeStyleMenu(symbol, lang), lang);
 }
 
 // --- LOGIC: MANAGE DATA (Interactive Menu) ---
 
-export async function handleManageDataRequest(userId, replyToken, env) {
-  const rows = await getAllAnalyses(userId, env);
+export async function handleManageDataRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = (await getAllAnalyses(userId, env, symbol)).filter(r => !String(r.tf || '').startsWith('_'));
   
   if (!rows || rows.length === 0) {
-    await replyText(replyToken, "❌ ไม่พบข้อมูลกราฟที่บันทึกไว้", env, mainMenu);
+    await replyText(replyToken, t(lang, 'data.not_found', { symbol }), env, buildMainMenu(lang), lang);
     return;
   }
 
   // Sort by latest
   rows.sort((a, b) => b.timestamp - a.timestamp);
 
-  let msg = "🔧 **จัดการข้อมูลที่บันทึกไว้**\nเลือกหมายเลขเพื่อแก้ไขหรือลบ:\n";
+  let msg = t(lang, 'data.manage_title', { symbol });
   const quickReplyItems = [];
+  const settings = await getUserSettings(userId, env);
 
   rows.forEach((row, index) => {
     const num = index + 1;
     const timeDiffMins = Math.floor((Date.now() - row.timestamp) / 60000);
-    const ageText = timeDiffMins > 60 ? `${(timeDiffMins/60).toFixed(1)} ชม.` : `${timeDiffMins} นาที`;
+    const ageText = timeDiffMins > 60 ? t(lang, 'common.hours', { n: (timeDiffMins/60).toFixed(1) }) : t(lang, 'common.minutes', { n: timeDiffMins });
     
-    msg += `\n${num}. TF: **${row.tf}** (อัพเดท ${ageText} ที่แล้ว)`;
+    msg += t(lang, 'data.manage_item', { num, tf: row.tf, age: ageText, at: formatDateTime(row.timestamp, settings) });
     
     quickReplyItems.push({
       type: "action",
       action: {
         type: "message",
-        label: `เลือกรายการที่ ${num} (${row.tf})`,
-        text: `EDIT_SEL:${row.tf}`
+        label: t(lang, 'data.manage_pick', { num, tf: row.tf }),
+        text: `EDIT_SEL:${row.tf}:${symbol}`
       }
     });
   });
 
-  msg += "\n\n(กดปุ่มด้านล่างเพื่อเลือกรายการ)";
-  await replyText(replyToken, msg, env, { items: quickReplyItems });
+  msg += t(lang, 'data.manage_hint');
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
 }
 
-export async function handleEditSelection(userId, targetTF, replyToken, env) {
-  const msg = `⚙️ **กำลังจัดการข้อมูล TF: ${targetTF}**
-
-ท่านต้องการทำรายการใด?`;
+export async function handleEditSelection(userId, symbol, targetTF, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const msg = t(lang, 'data.edit_title', { symbol, tf: targetTF });
   const allTFs = [...new Set(Object.keys(TF_VALIDITY_MS)
     .map(normalizeTF)
     .filter(Boolean)
@@ -217,8 +492,8 @@ export async function handleEditSelection(userId, targetTF, replyToken, env) {
     type: "action",
     action: {
       type: "message",
-      label: "🗑️ ลบข้อมูลนี้",
-      text: `DEL_EXEC:${targetTF}`
+      label: t(lang, 'data.delete_button'),
+      text: `DEL_EXEC:${targetTF}:${symbol}`
     }
   });
 
@@ -229,20 +504,81 @@ export async function handleEditSelection(userId, targetTF, replyToken, env) {
       type: "action",
       action: {
         type: "message",
-        label: `เปลี่ยนเป็น ${tf}`,
-        text: `CHANGE_TF:${targetTF}:TO:${tf}`
+        label: t(lang, 'data.change_button', { tf }),
+        text: `CHANGE_TF:${targetTF}:TO:${tf}:${symbol}`
       }
     });
   });
 
-  await replyText(replyToken, msg, env, { items: quickReplyItems });
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
+}
+
+// --- LOGIC: CONFIRM TYPED DELETE / TF CHANGE / RE-ANALYZE ---
+// The confirm button sends the same DEL_EXEC / CHANGE_TF / REANALYZE command as the menus
+
+export async function handleDeleteConfirmRequest(userId, symbol, targetTF, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = await getAllAnalyses(userId, env, symbol);
+  const row = (rows || []).find(r => normalizeTF(r.tf) === targetTF);
+  if (!row) {
+    await replyText(replyToken, t(lang, 'data.tf_missing', { symbol, tf: targetTF }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const msg = t(lang, 'data.confirm_delete', { symbol, tf: targetTF, at: formatDateTime(row.timestamp, settings) });
+  await replyText(replyToken, msg, env, {
+    items: [{
+      type: "action",
+      action: { type: "message", label: t(lang, 'data.confirm_delete_button', { tf: targetTF }), text: `DEL_EXEC:${targetTF}:${symbol}` }
+    }]
+  }, lang);
+}
+
+export async function handleChangeTFConfirmRequest(userId, symbol, oldTF, newTF, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = await getAllAnalyses(userId, env, symbol);
+  const row = (rows || []).find(r => normalizeTF(r.tf) === oldTF);
+  if (!row) {
+    await replyText(replyToken, t(lang, 'data.tf_missing', { symbol, tf: oldTF }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const settings = await getUserSettings(userId, env);
+  let msg = t(lang, 'data.confirm_change', { symbol, from: oldTF, to: newTF, at: formatDateTime(row.timestamp, settings) });
+  // updateAnalysisTF replaces a stored row of the target TF
+  if (rows.some(r => normalizeTF(r.tf) === newTF)) msg += t(lang, 'data.change_overwrites', { to: newTF });
+  await replyText(replyToken, msg, env, {
+    items: [{
+      type: "action",
+      action: { type: "message", label: t(lang, 'data.confirm_change_button', { from: oldTF, to: newTF }), text: `CHANGE_TF:${oldTF}:TO:${newTF}:${symbol}` }
+    }]
+  }, lang);
+}
+
+// reanalyzeFromDB rewrites the fresh TFs only: name them, or say there is nothing to re-analyze
+export async function handleReanalyzeConfirmRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = (await getAllAnalyses(userId, env, symbol)).filter(r => !String(r.tf || '').startsWith('_'));
+  const fresh = enrichRowsWithFreshness(rows, env)
+    .filter(r => !TF_VALIDITY_MS[r.tf] || r.isFresh)
+    .sort((a, b) => TF_ORDER.indexOf(a.tf) - TF_ORDER.indexOf(b.tf));
+  if (fresh.length === 0) {
+    await replyText(replyToken, t(lang, 'common.no_fresh_pair_data', { symbol }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const msg = t(lang, 'data.confirm_reanalyze', { symbol, tfs: fresh.map(r => r.tf).join(', ') });
+  await replyText(replyToken, msg, env, buildReanalyzeConfirmMenu(symbol, lang), lang);
 }
 
 // --- LOGIC: STATUS ---
 
-export async function handleStatusRequest(userId, replyToken, env) {
-  const rows = await getAllAnalyses(userId, env);
-  let msg = "✅ สถานะข้อมูลกราฟในระบบ (กรองตามอายุ):";
+export async function handleStatusRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = await getAllAnalyses(userId, env, symbol);
+  let msg = t(lang, 'status.title', { symbol });
+  const now = Date.now();
+  const settings = await getUserSettings(userId, env);
+  if (!isMarketOpen(env, now)) {
+    msg += t(lang, 'status.market_closed');
+  }
   
   if (rows && rows.length > 0) {
     // Filter out internal markers like _JOB
@@ -251,36 +587,50 @@ export async function handleStatusRequest(userId, replyToken, env) {
 
     for (const row of visibleRows) {
        const data = JSON.parse(row.analysis_json || '{}');
-       const ageMs = Date.now() - row.timestamp;
+       const { isFresh, ageMins, pausedMs } = getFreshness(row.tf, row.timestamp, env, now);
        const limitMs = TF_VALIDITY_MS[normalizeTF(row.tf)];
        
        let statusIcon = "🟢"; 
-       let statusText = "ใช้งานได้";
+       let statusText = t(lang, 'status.usable');
        
-       if (limitMs && ageMs > limitMs) {
+       if (limitMs && !isFresh) {
          statusIcon = "🔴";
-         statusText = "หมดอายุ";
+         statusText = t(lang, 'status.expired');
        }
 
-       const ageMins = (ageMs / 60000).toFixed(0);
        msg += `\n\n${statusIcon} **TF: ${row.tf}**`;
-       msg += `\n🕒 อายุ: ${ageMins} นาที (${statusText})`;
+       msg += t(lang, 'status.age', { mins: ageMins, state: statusText });
+       msg += t(lang, 'status.updated', { at: formatDateTime(row.timestamp, settings) });
+       if (pausedMs >= 60 * 60 * 1000) {
+          msg += t(lang, 'status.paused', { hours: Math.round(pausedMs / (60 * 60 * 1000)) });
+       }
        if (statusIcon === "🟢") {
-          msg += `\n📈 เทรนด์: ${data.trend_bias || '-'}`;
+          msg += t(lang, 'status.trend', { trend: data.trend_bias || '-' });
        }
     }
   } else {
-    msg += "\n(ยังไม่มีข้อมูลกราฟในระบบ)";
+    msg += t(lang, 'status.empty');
+  }
+
+  const backoff = await getBackoffJobsInfo(userId, env);
+  if (backoff.count > 0) {
+    const at = formatDateTime(backoff.nextAt, settings);
+    msg += t(lang, 'status.backoff', { count: backoff.count, at });
   }
-  await replyText(replyToken, msg, env, mainMenu);
+
+  const failedCount = await countFailedJobs(userId, env);
+  if (failedCount > 0) {
+    msg += t(lang, 'status.failed', { count: failedCount });
+  }
+  await replyText(replyToken, msg, env, buildMainMenu(lang), lang);
 }
 
 // --- MENU: SUMMARY (per TF) ---
 
-export async function handleSummaryMenuRequest(userId, replyToken, env) {
-  const rows = await getAllAnalyses(userId, env);
+export async function handleSummaryMenuRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const rows = await getAllAnalyses(userId, env, symbol);
   if (!rows || rows.length === 0) {
-    await replyText(replyToken, "ยังไม่มีผลวิเคราะห์ในระบบครับ\n\n📸 กรุณาส่งรูปกราฟเข้ามาก่อน", env, mainMenu);
+    await replyText(replyToken, t(lang, 'summary.no_analyses'), env, buildMainMenu(lang), lang);
     return;
   }
 
@@ -293,10 +643,8 @@ export async function handleSummaryMenuRequest(userId, replyToken, env) {
     // Hide internal markers (e.g., _JOB) from the visible summary menu
     if (String(tf || '').startsWith('_')) return;
     
-    // Check if this TF data has expired
-    const maxAge = TF_VALIDITY_MS[tf] || (24 * 60 * 60 * 1000); // Default to 24 hours
-    const ageMs = now - Number(r.timestamp || 0);
-    const isFresh = ageMs <= maxAge;
+    // Check if this TF data has expired (market closures don't count)
+    const { isFresh } = getFreshness(tf, r.timestamp, env, now);
     
     // Only show fresh (non-expired) TF data
     if (isFresh && !unique.has(tf)) {
@@ -305,30 +653,38 @@ export async function handleSummaryMenuRequest(userId, replyToken, env) {
   });
 
   if (unique.size === 0) {
-    await replyText(replyToken, "❌ ข้อมูลทั้งหมดหมดอายุแล้วครับ\n\n📸 กรุณาส่งรูปกราฟใหม่เข้ามา", env, mainMenu);
+    await replyText(replyToken, t(lang, 'summary.all_expired'), env, buildMainMenu(lang), lang);
     return;
   }
 
   const tfList = [...unique.keys()].sort((a, b) => TF_ORDER.indexOf(a) - TF_ORDER.indexOf(b));
   const quickReplyItems = tfList.map(tf => ({
     type: "action",
-    action: { type: "message", label: `TF ${tf}`, text: `SUMMARY_TF:${tf}` }
+    action: { type: "message", label: `TF ${tf}`, text: `SUMMARY_TF:${tf}:${symbol}` }
   }));
 
   // Back to main menu
   quickReplyItems.push({
     type: "action",
-    action: { type: "message", label: "⬅️ เมนูหลัก", text: MAIN_MENU_TEXT }
+    action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT }
   });
 
+  // Combined summary of the last multi-image upload
+  if (await getLatestBatchSummary(userId, env)) {
+    quickReplyItems.splice(quickReplyItems.length - 1, 0, {
+      type: "action",
+      action: { type: "message", label: t(lang, 'menu.batch_summary'), text: "BATCH_SUMMARY" }
+    });
+  }
+
   // Re-analyze (DB-first) - single-button background re-evaluation
   quickReplyItems.unshift({
     type: "action",
-    action: { type: "message", label: "🔄 Re-analyze (DB)", text: "REANALYZE" }
+    action: { type: "message", label: t(lang, 'menu.reanalyze'), text: `REANALYZE:${symbol}` }
   });
 
-  const msg = "📌 เลือก TF ที่ต้องการดูสรุปผลวิเคราะห์";
-  await replyText(replyToken, msg, env, { items: quickReplyItems });
+  const msg = t(lang, 'summary.pick_tf', { symbol });
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
 }
 
 function buildTFSetupSummary(data) {
@@ -349,79 +705,28 @@ function buildTFSetupSummary(data) {
   return { entry, tp, sl, summary };
 }
 
-function formatAnalysisSummary(data, row) {
-  const tf = normalizeTF(row?.tf) || 'Unknown';
-  const setup = data?.trade_setup || data?.detailed_technical_data?.trade_setup || {};
-  const structure = data?.structure || data?.detailed_technical_data?.structure || {};
-  const value = data?.value || data?.detailed_technical_data?.value || {};
-  const trigger = data?.trigger || data?.detailed_technical_data?.trigger || {};
-  const action = (setup?.action || 'WAIT').toUpperCase();
-  const confidence = setup?.confidence || 'Medium';
-  
-  // Only show TFs that were actually used for confluence (not requested ones)
-  const actualTFs = (data?.tfs_used_for_confluence || []).filter(t => t && !String(t).startsWith('_'));
-  const tfs = actualTFs.length > 0 ? actualTFs.join(', ') : '-';
-  
-  const entry = setup?.entry_zone || '-';
-  const tp = setup?.target_price || '-';
-  const sl = setup?.stop_loss || '-';
-  
-  // Build summary in Thai format (same as image analysis)
-  const structureText = structure?.market_structure || 'Unknown';
-  const valueText = value?.key_levels_summary || 'ไม่ชัดเจน';
-  const triggerText = (trigger?.candlestick_patterns || []).length > 0 ? trigger.candlestick_patterns.join(', ') : 'ยังไม่ชัดเจน';
-  const summary = data?.user_response_text || '(ไม่มีข้อมูลสรุป)';
-  
-  // Use the same format as image analysis response
-  let lines = [];
-  lines.push(`📢 สถานะ: ${action} (${confidence})`);
-  lines.push(`⏱️ TF ปัจจุบัน: ${tf}`);
-  
-  // Show confluence only if there are actual TFs used
-  if (tfs !== '-') {
-    lines.push(`📚 ข้อมูลประกอบ (Confluence): ${tfs}`);
-  }
-  
-  lines.push('');
-  lines.push(`🔍 Top-Down Analysis:`);
-  lines.push(`1️⃣ Structure: ${structureText}`);
-  lines.push(`2️⃣ Area of Value: ${valueText}`);
-  lines.push(`3️⃣ Entry Trigger: ${triggerText}`);
-  lines.push('');
-  lines.push(`🎯 Setup:`);
-  lines.push(`- Entry: ${entry}`);
-  lines.push(`- TP: ${tp}`);
-  lines.push(`- SL: ${sl}`);
-  lines.push('');
-  lines.push(`💡 สรุป: ${summary}`);
-
-  return lines.join('\n');
-}
-
-export async function handleSummaryTFRequest(userId, targetTF, replyToken, env) {
+export async function handleSummaryTFRequest(userId, symbol, targetTF, replyToken, env, lang = DEFAULT_LANGUAGE) {
   if (!targetTF) {
-    await replyText(replyToken, "⚠️ TF ไม่ถูกต้อง", env, mainMenu);
+    await replyText(replyToken, t(lang, 'common.invalid_tf'), env, buildMainMenu(lang), lang);
     return;
   }
 
-  const rows = await getAllAnalyses(userId, env);
+  const rows = await getAllAnalyses(userId, env, symbol);
   const row = (rows || []).find(r => normalizeTF(r.tf) === targetTF);
 
   if (!row) {
-    await replyText(replyToken, `ยังไม่มีข้อมูล TF: ${targetTF}`, env, mainMenu);
+    await replyText(replyToken, t(lang, 'summary.no_tf', { symbol, tf: targetTF }), env, buildMainMenu(lang), lang);
     return;
   }
 
   // Check if data has expired
-  const maxAge = TF_VALIDITY_MS[targetTF] || (24 * 60 * 60 * 1000);
-  const ageMs = Date.now() - Number(row.timestamp || 0);
-  
-  if (ageMs > maxAge) {
+  if (!getFreshness(targetTF, row.timestamp, env).isFresh) {
     await replyText(
       replyToken,
-      `❌ ข้อมูล TF: ${targetTF} หมดอายุแล้วครับ\n\n📸 กรุณาส่งรูปกราฟใหม่เข้ามาเพื่ออัปเดต`,
+      t(lang, 'summary.tf_expired', { symbol, tf: targetTF }),
       env,
-      mainMenu
+      buildMainMenu(lang),
+      lang
     );
     return;
   }
@@ -429,497 +734,600 @@ export async function handleSummaryTFRequest(userId, targetTF, replyToken, env)
   let data = {};
   try { data = JSON.parse(row.analysis_json || '{}'); } catch (_) { data = {}; }
 
-  const formatted = formatAnalysisSummary(data, row);
+  const formatted = formatAnalysisSummary(data, row, await getUserSettings(userId, env));
   const quickReply = {
     items: [
-      { type: "action", action: { type: "message", label: "📌 เลือก TF อื่น", text: "SUMMARY" } },
-      { type: "action", action: { type: "message", label: "🔄 Re-analyze (DB)", text: "REANALYZE" } },
-      { type: "action", action: { type: "message", label: "⬅️ เมนูหลัก", text: MAIN_MENU_TEXT } }
+      { type: "action", action: { type: "message", label: t(lang, 'menu.other_tf'), text: `SUMMARY:${symbol}` } },
+      { type: "action", action: { type: "message", label: t(lang, 'menu.reanalyze'), text: `REANALYZE:${symbol}` } },
+      { type: "action", action: { type: "message", label: t(lang, 'menu.tf_history'), text: `HISTORY_TF:${targetTF}:${symbol}` } },
+      { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
     ]
   };
 
-  await replyText(replyToken, formatted, env, quickReply);
+  await replyText(replyToken, formatted, env, quickReply, lang);
 }
 
-// --- MENU: TRADE STYLE (SCALP / SWING) ---
+// --- COMMAND: LAST BATCH SUMMARY ---
 
-export async function handleTradeStyleMenuRequest(userId, replyToken, env) {
-  const msg =
-`⚡ โหมดวิเคราะห์สำหรับ "เล่นสั้น/เล่นสวิง"
+export async function handleBatchSummaryRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const batch = await getLatestBatchSummary(userId, env);
+  if (!batch) {
+    await replyText(replyToken, t(lang, 'summary.no_batch'), env, buildMainMenu(lang), lang);
+    return;
+  }
+  const at = formatDateTime(batch.finished_at, await getUserSettings(userId, env));
+  await replyText(replyToken, `${batch.summary_text}\n\n🕒 ${at}`, env, buildMainMenu(lang), lang);
+}
+
+// --- MENU: ANALYSIS HISTORY ---
 
-เลือกโหมดที่ต้องการได้เลยครับ (ระบบจะใช้ข้อมูลกราฟล่าสุดที่มีอยู่ในฐานข้อมูลมาประกอบการวิเคราะห์)
-- เล่นสั้น: เน้นจังหวะเข้า/ออกเร็ว ใช้ LTF เป็น Trigger แต่ยังยึด HTF เป็นทิศทางหลัก
-- เล่นสวิง: เน้นถือเป็นรอบ ใช้ H4/1D เป็นโครงสร้าง แล้วค่อยหา Trigger จาก TF รองลงมา`;
+const HISTORY_DIFF_FIELDS = [
+  { label: 'Bias', get: d => d?.trend_bias || d?.detailed_technical_data?.trend_bias },
+  { label: 'Structure', get: d => (d?.structure || d?.detailed_technical_data?.structure || {}).market_structure },
+  { label: 'Action', get: d => (d?.trade_setup || d?.detailed_technical_data?.trade_setup || {}).action },
+  { label: 'Confidence', get: d => (d?.trade_setup || d?.detailed_technical_data?.trade_setup || {}).confidence },
+  { label: 'Entry', get: d => (d?.trade_setup || d?.detailed_technical_data?.trade_setup || {}).entry_zone },
+  { label: 'SL', get: d => (d?.trade_setup || d?.detailed_technical_data?.trade_setup || {}).stop_loss },
+  { label: 'TP', get: d => (d?.trade_setup || d?.detailed_technical_data?.trade_setup || {}).target_price }
+];
 
-  await replyText(replyToken, msg, env, tradeStyleMenu);
+function parseHistoryData(entry) {
+  try { return JSON.parse(entry?.analysis_json || '{}'); } catch (_) { return {}; }
 }
 
-export async function handleTradeStyleAnalysisRequest(userId, mode, replyToken, env) {
-  const m = String(mode || '').trim().toUpperCase();
-  const finalMode = (m === 'SCALP' || m === 'SWING') ? m : null;
+function diffAnalysisVersions(olderData, newerData) {
+  const fmt = v => (v === null || v === undefined || v === '') ? '-' : String(v);
+  return HISTORY_DIFF_FIELDS
+    .map(f => ({ label: f.label, from: fmt(f.get(olderData)), to: fmt(f.get(newerData)) }))
+    .filter(c => c.from !== c.to);
+}
 
-  if (!finalMode) {
-    await handleTradeStyleMenuRequest(userId, replyToken, env);
+export async function handleHistoryMenuRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const tfs = await listHistoryTFs(userId, symbol, env);
+  if (tfs.length === 0) {
+    await replyText(replyToken, t(lang, 'history.none', { symbol }), env, buildMainMenu(lang), lang);
     return;
   }
 
-  const rows = await getAllAnalyses(userId, env);
-  const usable = (rows || []).filter(r => normalizeTF(r.tf) && normalizeTF(r.tf) !== '_JOB');
+  tfs.sort((a, b) => TF_ORDER.indexOf(normalizeTF(a.tf)) - TF_ORDER.indexOf(normalizeTF(b.tf)));
+  const quickReplyItems = tfs.map(r => ({
+    type: "action",
+    action: { type: "message", label: `TF ${r.tf} (${r.versions})`, text: `HISTORY_TF:${r.tf}:${symbol}` }
+  }));
 
-  if (usable.length === 0) {
-    await replyText(
-      replyToken,
-      "❌ ยังไม่มีข้อมูลกราฟในฐานข้อมูล\n\n📸 กรุณาส่งรูปกราฟเข้ามาอัปเดตก่อน แล้วค่อยเลือกโหมดเล่นสั้น/เล่นสวิงครับ",
-      env,
-      mainMenu
-    );
+  await replyText(replyToken, t(lang, 'history.pick_tf', { symbol }), env, { items: quickReplyItems }, lang);
+}
+
+export async function handleHistoryTFRequest(userId, symbol, targetTF, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  if (!targetTF) {
+    await replyText(replyToken, t(lang, 'common.invalid_tf'), env, buildMainMenu(lang), lang);
     return;
   }
 
-  // Filter stale data using TF_VALIDITY_MS (same safety rule as image analysis)
-  const validRows = usable.filter(row => {
-    const tf = normalizeTF(row.tf);
-    const maxAge = TF_VALIDITY_MS[tf];
-    if (!maxAge) return true;
-    const age = Date.now() - Number(row.timestamp || 0);
-    return age <= maxAge;
+  const limit = Number(env.HISTORY_LIST_LIMIT || 5);
+  const entries = await getAnalysisHistory(userId, symbol, targetTF, env, limit);
+  if (entries.length === 0) {
+    await replyText(replyToken, t(lang, 'history.none_tf', { symbol, tf: targetTF }), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  // entries: newest first
+  const settings = await getUserSettings(userId, env);
+  const lines = [t(lang, 'history.title', { symbol, tf: targetTF, count: entries.length })];
+  const quickReplyItems = [];
+
+  entries.forEach((entry, i) => {
+    const data = parseHistoryData(entry);
+    const setup = data?.trade_setup || data?.detailed_technical_data?.trade_setup || {};
+    lines.push('');
+    lines.push(`#${entry.id} • ${formatDateTime(entry.timestamp, settings)}${entry.source && entry.source !== 'chart' ? ` (${entry.source})` : ''}`);
+    lines.push(`📢 ${(setup.action || 'WAIT').toUpperCase()} (${setup.confidence || '-'}) | Bias: ${data.trend_bias || '-'}`);
+    lines.push(`🎯 Entry ${setup.entry_zone || '-'} | SL ${setup.stop_loss || '-'} | TP ${setup.target_price || '-'}`);
+
+    const older = entries[i + 1];
+    if (older) {
+      const changes = diffAnalysisVersions(parseHistoryData(older), data);
+      lines.push(changes.length
+        ? t(lang, 'history.compare', { id: older.id, changes: changes.map(c => `${c.label} ${c.from} → ${c.to}`).join(', ') })
+        : t(lang, 'history.compare_none', { id: older.id }));
+      quickReplyItems.push({
+        type: "action",
+        action: { type: "message", label: `🔁 #${older.id}→#${entry.id}`, text: `HISTORY_DIFF:${older.id}:${entry.id}` }
+      });
+    }
   });
 
-  const selected = selectRowsForTradeStyle(validRows, finalMode);
-  const enrichedSelected = enrichRowsWithFreshness(selected);
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT }
+  });
 
-  // Critical TF requirement for safer calls (mode-specific)
-  const critical = (finalMode === 'SCALP') ? ['H1'] : ['1D', 'H4'];
-  const missingCritical = critical.filter(tf => !enrichedSelected.some(x => normalizeTF(x.tf) === tf));
+  await replyText(replyToken, lines.join('\n'), env, { items: quickReplyItems }, lang);
+}
 
-  if (missingCritical.length > 0) {
-    const modeThai = (finalMode === 'SCALP') ? 'เล่นสั้น (Scalp)' : 'เล่นสวิง (Swing)';
-    const ask = missingCritical.join(', ');
-    await replyText(
-      replyToken,
-      `❌ ขาดข้อมูลสำคัญสำหรับโหมด ${modeThai}: ${ask}\n\n📸 กรุณาส่งรูปกราฟ Timeframe **${ask}** เข้ามาอัปเดตก่อน เพื่อให้วิเคราะห์ได้ปลอดภัยและแม่นขึ้นครับ`,
-      env,
-      tradeStyleMenu
-    );
+export async function handleHistoryDiffRequest(userId, olderId, newerId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const [older, newer] = await Promise.all([
+    getHistoryEntry(userId, olderId, env),
+    getHistoryEntry(userId, newerId, env)
+  ]);
+
+  if (!older || !newer) {
+    await replyText(replyToken, t(lang, 'history.diff_not_found'), env, buildMainMenu(lang), lang);
     return;
   }
 
-  const contextStr = buildTradeStyleContext(enrichedSelected, finalMode);
+  const olderData = parseHistoryData(older);
+  const newerData = parseHistoryData(newer);
+  const changes = diffAnalysisVersions(olderData, newerData);
+  const lastTrace = d => (Array.isArray(d?.reasoning_trace) ? d.reasoning_trace.slice(-2) : []);
 
-  try {
-    const result = await analyzeTradeStyleWithGemini(finalMode, contextStr, env);
-    const textOut = result?.user_response_text || "⚠️ วิเคราะห์ได้ แต่ไม่สามารถสร้างข้อความสรุปได้";
-    await replyText(replyToken, textOut, env, tradeStyleMenu);
-  } catch (e) {
-    console.error("Trade style analysis error:", safeError(e));
-    await replyText(replyToken, `❌ เกิดข้อผิดพลาดในการวิเคราะห์โหมด ${finalMode}: ${safeError(e)}`, env, tradeStyleMenu);
+  const settings = await getUserSettings(userId, env);
+
+  const lines = [];
+  lines.push(t(lang, 'history.diff_title', { symbol: newer.symbol, tf: newer.tf }));
+  lines.push(`#${older.id} (${formatDateTime(older.timestamp, settings)}) → #${newer.id} (${formatDateTime(newer.timestamp, settings)})`);
+  lines.push('');
+  if (changes.length) {
+    changes.forEach(c => lines.push(`- ${c.label}: ${c.from} → ${c.to}`));
+  } else {
+    lines.push(t(lang, 'history.diff_none'));
   }
+
+  lines.push('');
+  lines.push(t(lang, 'history.reasoning', { id: older.id }));
+  lastTrace(olderData).forEach(x => lines.push(`- ${x}`));
+  lines.push(t(lang, 'history.reasoning', { id: newer.id }));
+  lastTrace(newerData).forEach(x => lines.push(`- ${x}`));
+
+  const quickReply = {
+    items: [
+      { type: "action", action: { type: "message", label: t(lang, 'history.back'), text: `HISTORY_TF:${newer.tf}:${newer.symbol}` } },
+      { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
+    ]
+  };
+  await replyText(replyToken, lines.join('\n'), env, quickReply, lang);
 }
 
-// --- INTERNAL BACKGROUND ANALYSIS (Free-plan friendly) ---
+// --- MENU: QUEUE ---
 
-export async function triggerInternalAnalyze(userId, requestUrl, env) {
-  try {
-    // Query-param mode ensures it hits the same Worker route (even if mounted on a sub-path).
-    const u = new URL(requestUrl);
-    u.search = '';
-    u.searchParams.set('__internal', 'analyze');
-
-    const headers = { 'Content-Type': 'application/json' };
-    // Optional shared secret (recommended)
-    if (env.INTERNAL_TASK_TOKEN) {
-      headers['X-Internal-Task-Token'] = env.INTERNAL_TASK_TOKEN;
+// Cancel quick replies for the first jobs + "move to front" for queued jobs behind the first
+// queued one (LINE limit: 13 items incl. the auto-added Cancel)
+const QUEUE_MENU_MAX_CANCEL = 4;
+const QUEUE_MENU_MAX_TOP = 4;
+
+async function cleanupCancelledJobs(userId, jobs, env) {
+  if (!env.ANALYSIS_KV) return;
+  for (const job of jobs) {
+    try {
+      await cleanupAnalysisFromKV(env.ANALYSIS_KV, userId, job.job_id);
+    } catch (e) {
+      console.warn(`[Queue] Failed to clean KV for cancelled job ${job.job_id}:`, safeError(e));
     }
+  }
+}
+
+export async function handleQueueMenuRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const jobs = await listPendingJobs(userId, env);
+  const msg = await buildQueueListMessage(userId, jobs, env, lang);
 
-    const res = await fetch(u.toString(), {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ userId })
+  if (jobs.length === 0) {
+    await replyText(replyToken, msg, env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const quickReplyItems = [];
+  jobs.slice(0, QUEUE_MENU_MAX_CANCEL).forEach(job => {
+    quickReplyItems.push({
+      type: "action",
+      action: { type: "message", label: t(lang, 'queue.cancel_button', { pos: job.position }), text: `QUEUE_CANCEL:${job.job_id}` }
     });
+  });
 
-    // Helpful for debugging: if internal call fails, you will see it in logs.
-    if (!res.ok) {
-      const t = await res.text().catch(() => '');
-      console.error(`Internal analyze trigger failed: HTTP ${res.status} ${t ? ('- ' + t.slice(0, 120)) : ''}`);
-    }
-  } catch (e) {
-    console.error("Internal analyze trigger failed:", safeError(e));
+  const firstQueued = jobs.find(j => j.status === 'queued');
+  jobs
+    .filter(j => j.status === 'queued' && j !== firstQueued)
+    .slice(0, QUEUE_MENU_MAX_TOP)
+    .forEach(job => {
+      quickReplyItems.push({
+        type: "action",
+        action: { type: "message", label: t(lang, 'queue.top_button', { pos: job.position }), text: `QUEUE_TOP:${job.job_id}` }
+      });
+    });
+
+  if (jobs.length > 1) {
+    quickReplyItems.push({
+      type: "action",
+      action: { type: "message", label: t(lang, 'queue.cancel_all_button'), text: "QUEUE_CANCEL_ALL" }
+    });
   }
+
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT }
+  });
+
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
 }
 
-// ✅ NEW: Async trigger that returns immediately without waiting
-// This allows job processing to happen without blocking the main request
-// IMPORTANT: We use ctx.waitUntil() ONLY for the fetch trigger itself (very fast)
-// Not for the actual analysis, which happens in a separate worker invocation
-// ctx is optional: provided from handleEvent (has ctx), but not from internal handlers
-async function triggerAsyncJobProcessing(userId, requestUrl, env, ctx = null) {
-  try {
-    const u = new URL(requestUrl);
-    u.search = '';
-    u.searchParams.set('__internal', 'analyze');
+export async function handleQueueCancelRequest(userId, jobId, replyToken, env, ctx, lang = DEFAULT_LANGUAGE) {
+  const cancelled = jobId ? await cancelPendingJob(userId, jobId, env) : null;
+  if (!cancelled) {
+    await replyText(replyToken, t(lang, 'queue.not_found'), env, buildMainMenu(lang), lang);
+    return;
+  }
 
-    const headers = { 'Content-Type': 'application/json' };
-    if (env.INTERNAL_TASK_TOKEN) {
-      headers['X-Internal-Task-Token'] = env.INTERNAL_TASK_TOKEN;
-    }
+  await cleanupCancelledJobs(userId, [cancelled], env);
+  await finishBatchIfComplete(userId, cancelled.batch_id, env);
 
-    // Create the fetch promise
-    const fetchPromise = fetch(u.toString(), {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ userId })
-    }).catch(e => console.error("Async job processing trigger failed:", safeError(e)));
-
-    // If ctx is available, wrap in waitUntil to ensure fetch gets triggered
-    // This is safe because the fetch itself is very fast (just HTTP request)
-    // If not available (internal handlers), the fetch will still be triggered but may not complete
-    // if the worker times out - that's OK because it's a retry mechanism
-    if (ctx && ctx.waitUntil) {
-      ctx.waitUntil(fetchPromise);
-    }
-  } catch (e) {
-    console.error("Failed to setup async job processing:", safeError(e));
+  // The cancelled job no longer blocks the claim: wake the consumer for the next one
+  if (cancelled.status === 'processing' && (await hasQueuedJobs(userId, env))) {
+    await scheduleUserQueue(userId, env, ctx)
+      .catch(e => console.error("Failed to schedule analysis:", safeError(e)));
   }
+
+  const note = cancelled.status === 'processing'
+    ? t(lang, 'queue.cancelled_processing_note')
+    : "";
+  await replyText(replyToken, t(lang, 'queue.cancelled', { note }), env, buildMainMenu(lang), lang);
 }
 
+export async function handleQueueCancelAllRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const cancelled = await cancelAllPendingJobs(userId, env);
+  if (cancelled.length === 0) {
+    await replyText(replyToken, t(lang, 'queue.already_empty'), env, buildMainMenu(lang), lang);
+    return;
+  }
 
-export async function handleInternalAnalyze(request, env, ctx) {
-  // Optional protection
-  if (env.INTERNAL_TASK_TOKEN) {
-    const token = request.headers.get('x-internal-task-token');
-    if (!token || token !== env.INTERNAL_TASK_TOKEN) {
-      return new Response('Unauthorized', { status: 401 });
-    }
+  await cleanupCancelledJobs(userId, cancelled, env);
+  for (const batchId of new Set(cancelled.map(j => j.batch_id).filter(Boolean))) {
+    await finishBatchIfComplete(userId, batchId, env);
   }
+  await replyText(replyToken, t(lang, 'queue.cancelled_all', { count: cancelled.length }), env, buildMainMenu(lang), lang);
+}
 
-  let body = null;
-  try {
-    body = await request.json();
-  } catch (_) {
-    return new Response('Bad Request', { status: 400 });
+export async function handleQueueTopRequest(userId, jobId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const moved = jobId ? await moveJobToFront(userId, jobId, env) : false;
+  if (!moved) {
+    await replyText(replyToken, t(lang, 'queue.move_failed'), env, buildMainMenu(lang), lang);
+    return;
   }
+  await handleQueueMenuRequest(userId, replyToken, env, lang);
+}
 
-  const userId = body?.userId;
-  if (!userId) return new Response('Bad Request', { status: 400 });
+// --- MENU: FAILED JOBS ---
 
-  // Claim exactly 1 job per invocation (Free-plan friendly)
-  const job = await claimNextQueuedJob(userId, env);
+// Failed-job quick replies: one retry per job (LINE limit: 13 items incl. the auto-added Cancel)
+const FAILED_MENU_MAX_RETRY = 9;
 
-  if (!job) {
-    // Nothing to do (or already processing)
-    try {
-      const idleAt = Date.now();
-      const idleReadable = new Date(idleAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-      const stats = await getUserQueueStats(userId, env);
-      await saveAnalysis(userId, '_JOB', idleAt, idleReadable, {
-        status: (stats.processing_count > 0 ? 'busy' : 'idle'),
-        queued: stats.queued_count,
-        processing: stats.processing_count,
-        idleAt,
-        idleReadable
-      }, env);
-    } catch (_) {}
-    return new Response('OK', { status: 200 });
-  }
-
-  const internalTimeoutMs = Math.max(8000, Number(env.INTERNAL_AI_TIMEOUT_MS || 15000));
-  const maxAttempts = Math.max(1, Number(env.INTERNAL_MAX_RETRY || 3));
-  const attempt = Number(job.attempt || 0);
-
-  const startedReadable = new Date(job.started_at).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-
-  // Log timeout setting
-  // NOTE: Cloudflare free tier has 30s total timeout per request
-  // We use 15s for AI to leave 5-10s for image fetch + DB operations
-  console.log(`[Job ${job.job_id}] Starting analysis with timeout: ${internalTimeoutMs}ms (Cloudflare max: 30000ms total)`);
-
-  // Write job marker for visibility (single row per-user)
-  try {
-    const stats = await getUserQueueStats(userId, env);
-    await saveAnalysis(userId, '_JOB', job.started_at, startedReadable, {
-      status: 'processing',
-      jobId: job.job_id,
-      messageId: job.message_id,
-      attempt,
-      maxAttempts,
-      internalTimeoutMs,
-      queued_after_claim: stats.queued_count,
-      startedAt: job.started_at,
-      startedReadable
-    }, env);
-  } catch (e) {
-    console.error("Failed to write _JOB marker:", safeError(e));
+export async function handleFailedJobsRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const jobs = await listFailedJobs(userId, env, FAILED_MENU_MAX_RETRY);
+  if (jobs.length === 0) {
+    await replyText(replyToken, t(lang, 'failed.none'), env, buildMainMenu(lang), lang);
+    return;
   }
 
-  // ✅ CRITICAL: Return immediately WITHOUT ctx.waitUntil()
-  // Why: ctx.waitUntil has a 30-second timeout on Cloudflare free tier, which isn't enough for AI analysis
-  // Solution: Trigger async processing via separate fetch that returns immediately
-  // This allows multiple jobs to be processed sequentially without timeout conflicts
-  const requestUrl = request.url;
-  triggerAsyncJobProcessing(userId, requestUrl, env, ctx)
-    .catch(e => console.error("Async job trigger failed:", safeError(e)));
+  // Jobs with a cached image can be retried even after the LINE content expired
+  const cachedKeys = env.ANALYSIS_KV ? await listUserAnalysesInKV(env.ANALYSIS_KV, userId) : [];
+  const cachedJobIds = new Set(cachedKeys.map(k => String(k.name || '').slice(`img:${userId}:`.length)));
+
+  const settings = await getUserSettings(userId, env);
+  const lines = [t(lang, 'failed.title', { count: jobs.length })];
+  const quickReplyItems = [];
+
+  jobs.forEach((job, i) => {
+    const num = i + 1;
+    const at = formatDateTime(job.finished_at || job.created_at, settings);
+    lines.push('');
+    lines.push(`${num}. ${describeJobError(job.last_error, lang)}`);
+    lines.push(t(lang, 'failed.item', { id: String(job.message_id || '').slice(-6), at, attempts: Math.max(1, job.attempt) }));
+    lines.push(t(lang, cachedJobIds.has(job.job_id) ? 'failed.cached' : 'failed.not_cached'));
+
+    quickReplyItems.push({
+      type: "action",
+      action: { type: "message", label: t(lang, 'failed.retry_button', { num }), text: `FAILED_RETRY:${job.job_id}` }
+    });
+  });
+
+  if (jobs.length > 1) {
+    quickReplyItems.push({
+      type: "action",
+      action: { type: "message", label: t(lang, 'failed.retry_all_button'), text: "FAILED_RETRY_ALL" }
+    });
+  }
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT }
+  });
 
-  return new Response('ACCEPTED', { status: 202 });
+  lines.push('');
+  lines.push(t(lang, 'failed.auto_purge'));
+  await replyText(replyToken, lines.join('\n'), env, { items: quickReplyItems }, lang);
 }
 
-// ✅ NEW: Separate function for background analysis (not wrapped in ctx.waitUntil)
-async function performAnalysisInBackground(userId, job, internalTimeoutMs, maxAttempts, env, requestUrl) {
-  const attempt = Number(job.attempt || 0);
+export async function handleFailedRetryRequest(userId, jobId, replyToken, env, ctx, lang = DEFAULT_LANGUAGE) {
+  const count = await retryFailedJobs(userId, env, jobId);
+  if (count === 0) {
+    await replyText(replyToken, t(lang, 'failed.retry_not_found'), env, buildMainMenu(lang), lang);
+    return;
+  }
 
-  try {
-    // Fetch image from LINE - with fallback to cached version if fetch fails
-    let imageBinary, contentType;
-    try {
-      const result = await getContentFromLine(job.message_id, env);
-      imageBinary = result.arrayBuffer;
-      contentType = result.contentType;
-    } catch (lineErr) {
-      console.warn(`[Job ${job.job_id}] Failed to fetch from LINE API:`, safeError(lineErr));
-      // Try to recover from KV cache
-      const cachedImg = await getImageFromKV(env.ANALYSIS_KV, userId, job.job_id);
-      if (cachedImg && cachedImg.base64) {
-        console.log(`[Job ${job.job_id}] Recovered from cached image in KV`);
-        // Convert base64 back to binary
-        const binaryString = atob(cachedImg.base64);
-        imageBinary = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          imageBinary[i] = binaryString.charCodeAt(i);
-        }
-        contentType = cachedImg.contentType || 'image/jpeg';
-      } else {
-        throw new Error(`Cannot fetch image from LINE and no cached version available: ${lineErr.message}`);
-      }
+  await scheduleUserQueue(userId, env, ctx)
+    .catch(e => console.error("Failed to schedule analysis:", safeError(e)));
+
+  await replyText(replyToken, t(lang, 'failed.requeued', { count }), env, buildMainMenu(lang), lang);
+}
+
+// --- MENU: PUSH NOTIFICATIONS ---
+
+const NOTIFY_MODES = ['all', 'signals', 'off'];
+
+const notifyModeLabel = (lang, mode) => (NOTIFY_MODES.includes(mode) ? t(lang, `settings.notify.${mode}`) : mode);
+
+export async function handleNotifySettingRequest(userId, requestedMode, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  let settings;
+  let header;
+  if (requestedMode !== undefined) {
+    const mode = normalizeNotifyMode(requestedMode);
+    if (!mode) {
+      await replyText(replyToken, t(lang, 'settings.notify_invalid'), env, buildMainMenu(lang), lang);
+      return;
     }
-    
-    const base64Image = arrayBufferToBase64(imageBinary);
+    settings = await updateUserSettings(userId, { notify: mode }, env);
+    header = t(lang, 'common.saved');
+  } else {
+    settings = await getUserSettings(userId, env);
+    header = t(lang, 'settings.notify_title');
+  }
 
-    // Cache image in KV for timeout recovery & retry capability
-    try {
-      if (env.ANALYSIS_KV) {
-        await saveImageToKV(env.ANALYSIS_KV, userId, job.job_id, base64Image, contentType, 0);
-      } else {
-        console.warn(`[Job ${job.job_id}] ANALYSIS_KV not configured, skipping cache`);
-      }
-    } catch (kvErr) {
-      console.warn(`[Job ${job.job_id}] Failed to cache image to KV:`, safeError(kvErr));
+  const msg = t(lang, 'settings.notify_body', { header, current: notifyModeLabel(lang, settings.notify) });
+
+  const quickReplyItems = NOTIFY_MODES
+    .filter(mode => mode !== settings.notify)
+    .map(mode => ({
+      type: "action",
+      action: { type: "message", label: notifyModeLabel(lang, mode), text: `NOTIFY:${mode.toUpperCase()}` }
+    }));
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_settings'), text: "SETTINGS" }
+  });
+
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
+}
+
+// --- MENU: SETTINGS ---
+
+const dateFormatLabel = (lang, format) => (DATE_FORMATS.includes(format) ? t(lang, `settings.date_format.${format}`) : format);
+
+function buildSettingsMenu(lang) {
+  return {
+    items: [
+      { type: "action", action: { type: "message", label: t(lang, 'settings.language_button'), text: "LANGUAGE" } },
+      { type: "action", action: { type: "message", label: t(lang, 'settings.timezone_button'), text: "TIMEZONE" } },
+      { type: "action", action: { type: "message", label: t(lang, 'settings.date_format_button'), text: "DATE_FORMAT" } },
+      { type: "action", action: { type: "message", label: t(lang, 'settings.notify_button'), text: "NOTIFY" } },
+      { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
+    ]
+  };
+}
+
+function describeSettings(settings, lang) {
+  return t(lang, 'settings.describe', {
+    language: LANGUAGE_LABELS[settings.language] || settings.language,
+    timezone: settings.timezone,
+    date_format: dateFormatLabel(lang, settings.date_format),
+    now: formatDateTime(Date.now(), settings),
+    notify: notifyModeLabel(lang, settings.notify)
+  });
+}
+
+export async function handleSettingsRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const settings = await getUserSettings(userId, env);
+  await replyText(replyToken, t(lang, 'settings.title', { details: describeSettings(settings, lang) }), env, buildSettingsMenu(lang), lang);
+}
+
+// The new language applies from this reply on: menus, messages and the next AI replies
+export async function handleLanguageSettingRequest(userId, requestedLanguage, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  if (requestedLanguage !== undefined) {
+    const language = normalizeLanguage(requestedLanguage);
+    if (!language) {
+      await replyText(replyToken, t(lang, 'settings.language_invalid', { languages: LANGUAGES.map(l => l.toUpperCase()).join(', ') }), env, buildSettingsMenu(lang), lang);
+      return;
     }
+    const settings = await updateUserSettings(userId, { language }, env);
+    await replyText(replyToken, `${t(language, 'common.saved')}\n\n${describeSettings(settings, language)}`, env, buildSettingsMenu(language), language);
+    return;
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const quickReplyItems = LANGUAGES
+    .filter(l => l !== settings.language)
+    .map(l => ({
+      type: "action",
+      action: { type: "message", label: LANGUAGE_LABELS[l], text: `LANGUAGE:${l.toUpperCase()}` }
+    }));
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_settings'), text: "SETTINGS" }
+  });
 
-    const existingRows = (await getAllAnalyses(userId, env)).filter(r => !String(r.tf || '').startsWith('_'));
-    const controller = new AbortController();
+  await replyText(replyToken, t(lang, 'settings.language_title', { current: LANGUAGE_LABELS[settings.language] || settings.language }), env, { items: quickReplyItems }, lang);
+}
 
-    let analysisResult;
-    let shouldContinueToStorage = true; // Flag to determine if we should proceed to storage
-    
-    try {
-      analysisResult = await promiseWithTimeout(
-        analyzeChartStructured(userId, base64Image, existingRows, env, { mimeType: contentType, signal: controller.signal }),
-        internalTimeoutMs
-      );
-    } catch (err) {
-        // Handle timeout gracefully with smart recovery
-        const msg = String(err?.message || err);
-        const isTimeout = err && (err.name === 'TimeoutError' || err.name === 'AbortError');
-        
-        // For TIMEOUT: Try to recover by analyzing from cached KV image + retry one more time
-        if (isTimeout) {
-          console.warn('AI analysis timeout, attempting recovery from KV cache:', msg);
-          // Abort original controller to free resources immediately
-          try { controller.abort(); } catch (_) {}
-          
-          const attempt_recovery = Number(job.attempt || 0) + 1;
-          const maxRecoveryAttempts = 2;
-          
-          // If we haven't exceeded max recovery attempts, try one retry from KV
-          if (attempt_recovery <= maxRecoveryAttempts) {
-            console.log(`[Timeout Recovery] Attempt ${attempt_recovery}/${maxRecoveryAttempts} - Fetching from KV and retrying`);
-            try {
-              const cachedImg = await getImageFromKV(env.ANALYSIS_KV, userId, job.job_id);
-              if (cachedImg && cachedImg.base64) {
-                // Retry analysis with shorter timeout
-                const recoveryTimeoutMs = Math.max(5000, internalTimeoutMs / 2);
-                const recoveryController = new AbortController();
-                try {
-                  analysisResult = await promiseWithTimeout(
-                    analyzeChartStructured(userId, cachedImg.base64, existingRows, env, { mimeType: cachedImg.contentType, signal: recoveryController.signal }),
-                    recoveryTimeoutMs
-                  );
-                  console.log('[Timeout Recovery] Success! Analysis completed on recovery attempt');
-                  analysisResult._recovery_attempt = attempt_recovery;
-                } catch (recoveryErr) {
-                  // Recovery also failed, fall back to previous analysis
-                  console.warn('[Timeout Recovery] Recovery attempt also timed out, using cached analysis');
-                  const recentAnalysis = existingRows?.[0];
-                  const recentContext = recentAnalysis ? JSON.parse(recentAnalysis.analysis_json || '{}') : null;
-                  analysisResult = createFallbackAnalysis(userId, 'Unknown', recentContext);
-                  analysisResult._analysis_timeout = true;
-                  analysisResult._recovery_failed = true;
-                } finally {
-                  try { recoveryController.abort(); } catch (_) {}
-                }
-              } else {
-                // No KV cache available, use immediate fallback
-                console.warn('[Timeout Recovery] No cached image in KV, using fallback analysis');
-                const recentAnalysis = existingRows?.[0];
-                const recentContext = recentAnalysis?.analysis_json ? JSON.parse(recentAnalysis.analysis_json || '{}') : null;
-                analysisResult = createFallbackAnalysis(userId, 'Unknown', recentContext);
-                analysisResult._analysis_timeout = true;
-              }
-            } catch (kvErr) {
-              console.error('[Timeout Recovery] KV fetch failed:', safeError(kvErr));
-              const recentAnalysis = existingRows?.[0];
-              const recentContext = recentAnalysis?.analysis_json ? JSON.parse(recentAnalysis.analysis_json || '{}') : null;
-              analysisResult = createFallbackAnalysis(userId, 'Unknown', recentContext);
-              analysisResult._analysis_timeout = true;
-            }
-          } else {
-            // Exceeded max recovery attempts, give up and use fallback
-            console.log('[Timeout Recovery] Max recovery attempts exceeded, using fallback');
-            const recentAnalysis = existingRows?.[0];
-            const recentContext = recentAnalysis?.analysis_json ? JSON.parse(recentAnalysis.analysis_json || '{}') : null;
-            analysisResult = createFallbackAnalysis(userId, 'Unknown', recentContext);
-            analysisResult._analysis_timeout = true;
-          }
-        } else {
-          // For other errors: abort controller and retry if retryable
-          try { controller.abort(); } catch (_) {}
-          
-          const retryable = msg.includes('429') || msg.includes('503') || msg.includes('500');
-          const nextAttempt = attempt + 1;
-          
-          if (retryable && nextAttempt <= maxAttempts) {
-            console.log(`[Job ${job.job_id}] Retryable error (attempt ${nextAttempt}/${maxAttempts}): ${msg}`);
-            await requeueJob(job.job_id, env, nextAttempt, msg);
-
-            const retryAt = Date.now();
-            const retryReadable = new Date(retryAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-            await saveAnalysis(userId, '_JOB', retryAt, retryReadable, {
-              status: 'retrying',
-              jobId: job.job_id,
-              messageId: job.message_id,
-              attempt: nextAttempt,
-              maxAttempts,
-              lastError: msg,
-              retryAt,
-              retryReadable
-            }, env);
-
-            triggerAsyncJobProcessing(userId, requestUrl, env)
-              .catch(e => console.error("Failed to trigger retry job:", safeError(e)));
-            shouldContinueToStorage = false;
-          } else {
-            // non-retryable / exceeded attempts
-            console.log(`[Job ${job.job_id}] Non-retryable error or max attempts exceeded: ${msg}`);
-            await markJobError(job.job_id, env, msg);
-            const errAt = Date.now();
-            const errReadable = new Date(errAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-            await saveAnalysis(userId, '_JOB', errAt, errReadable, {
-              status: 'error',
-              jobId: job.job_id,
-              messageId: job.message_id,
-              attempt: nextAttempt,
-              maxAttempts,
-              error: msg,
-              errAt,
-              errReadable
-            }, env);
-
-            // continue to next queued job if any
-            if (await hasQueuedJobs(userId, env)) {
-              await triggerInternalAnalyze(userId, requestUrl, env);
-            }
-            shouldContinueToStorage = false;
-          }
-        }
-    } finally {
-        try { controller.abort(); } catch (_) {}
+export async function handleTimezoneSettingRequest(userId, requestedZone, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  if (requestedZone !== undefined) {
+    const timezone = normalizeTimezone(requestedZone);
+    if (!timezone) {
+      await replyText(replyToken, t(lang, 'settings.timezone_unknown', { zone: String(requestedZone).slice(0, 40) }), env, buildSettingsMenu(lang), lang);
+      return;
     }
+    const settings = await updateUserSettings(userId, { timezone }, env);
+    await replyText(replyToken, `${t(lang, 'common.saved')}\n\n${describeSettings(settings, lang)}`, env, buildSettingsMenu(lang), lang);
+    return;
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const msg = t(lang, 'settings.timezone_title', { timezone: settings.timezone, now: formatDateTime(Date.now(), settings) });
+
+  const quickReplyItems = TIMEZONE_PRESETS
+    .filter(tz => tz !== settings.timezone)
+    .map(tz => ({
+      type: "action",
+      action: { type: "message", label: tz.split('/').pop().replace('_', ' '), text: `TIMEZONE:${tz}` }
+    }));
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_settings'), text: "SETTINGS" }
+  });
 
-    // Only proceed to storage if we have a valid analysis result
-    if (!shouldContinueToStorage || !analysisResult) {
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
+}
+
+export async function handleDateFormatSettingRequest(userId, requestedFormat, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  if (requestedFormat !== undefined) {
+    const date_format = normalizeDateFormat(requestedFormat);
+    if (!date_format) {
+      await replyText(replyToken, t(lang, 'settings.date_format_invalid'), env, buildSettingsMenu(lang), lang);
       return;
     }
+    const settings = await updateUserSettings(userId, { date_format }, env);
+    await replyText(replyToken, `${t(lang, 'common.saved')}\n\n${describeSettings(settings, lang)}`, env, buildSettingsMenu(lang), lang);
+    return;
+  }
 
-      // Normalize + store rich analysis (same as foreground path)
-      const detectedTF = normalizeTF(analysisResult?.detected_tf || "Unknown_TF");
-      const readableTime = new Date().toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-
-      const detailed = analysisResult?.detailed_technical_data || {};
-      const toStore = {
-        detected_tf: detectedTF,
-        tfs_used_for_confluence: analysisResult?.tfs_used_for_confluence || [],
-        request_update_for_tf: analysisResult?.request_update_for_tf || null,
-        trend_bias: detailed.trend_bias || detailed?.structure?.trend_bias || 'Unknown',
-        trade_setup: detailed.trade_setup || detailed?.setup || {},
-        reasoning_trace: analysisResult?.reasoning_trace || detailed?.reasoning_trace || [],
-        structure: detailed.structure || detailed?.priority_1_structure || {},
-        value: detailed.value || detailed?.priority_2_value || {},
-        trigger: detailed.trigger || detailed?.priority_3_trigger || {},
-        indicators: detailed.indicators || {},
-        patterns: detailed.patterns || [],
-        key_levels: detailed.key_levels || {},
-        raw_extraction: detailed.raw_extraction || {},
-        notes: detailed.notes || null
-      };
-
-      // If the model requests TF update, keep it as WAIT + include a clear trace (so user sees it via Summary)
-      if (Array.isArray(analysisResult?.request_update_for_tf) && analysisResult.request_update_for_tf.length > 0) {
-        toStore.trade_setup = { ...(toStore.trade_setup || {}), action: 'WAIT', confidence: 'Low' };
-        const need = analysisResult.request_update_for_tf.join(', ');
-        const rt = Array.isArray(toStore.reasoning_trace) ? toStore.reasoning_trace : [];
-        rt.push(`Decision: WAIT (ต้องการภาพ TF เพิ่มเติม: ${need})`);
-        toStore.reasoning_trace = rt;
-      }
-
-      await saveAnalysis(userId, detectedTF, Date.now(), readableTime, toStore, env);
-      console.log(`[Job ${job.job_id}] Analysis saved for TF: ${detectedTF}`);
-      
-      await markJobDone(job.job_id, env, detectedTF);
-      console.log(`[Job ${job.job_id}] Job marked as done`);
-
-      // Update _JOB summary
-      const doneAt = Date.now();
-      const doneReadable = new Date(doneAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-      const stats = await getUserQueueStats(userId, env);
-      await saveAnalysis(userId, '_JOB', doneAt, doneReadable, {
-        status: 'done',
-        jobId: job.job_id,
-        messageId: job.message_id,
-        resultTF: detectedTF,
-        remainingQueued: stats.queued_count,
-        doneAt,
-        doneReadable
-      }, env);
-
-      // Clean up cached image and state from KV (analysis is complete)
-      await cleanupAnalysisFromKV(env.ANALYSIS_KV, userId, job.job_id);
-      console.log(`[Job ${job.job_id}] Cleaned up KV cache and state`);
+  const settings = await getUserSettings(userId, env);
+  const now = Date.now();
+  const examples = DATE_FORMATS.map(f => `- ${dateFormatLabel(lang, f)}: ${formatDateTime(now, { ...settings, date_format: f })}`).join('\n');
+  const msg = t(lang, 'settings.date_format_title', { current: dateFormatLabel(lang, settings.date_format), examples });
 
-      // If more jobs queued, trigger next job asynchronously (non-blocking)
-      if (stats.queued_count > 0) {
-        triggerAsyncJobProcessing(userId, requestUrl, env)
-          .catch(e => console.error("Failed to trigger next job:", safeError(e)));
-      }
-    } catch (e) {
-      console.error("Background analysis failed:", safeError(e));
-      try {
-        await markJobError(job.job_id, env, String(e?.message || e));
-        const errAt = Date.now();
-        const errReadable = new Date(errAt).toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' });
-        await saveAnalysis(userId, '_JOB', errAt, errReadable, {
-          status: 'error',
-          jobId: job.job_id,
-          messageId: job.message_id,
-          error: String(e?.message || e),
-          errAt,
-          errReadable
-        }, env);
-
-        if (await hasQueuedJobs(userId, env)) {
-          triggerAsyncJobProcessing(userId, requestUrl, env)
-            .catch(e => console.error("Failed to trigger next job after error:", safeError(e)));
-        }
-      } catch (e2) {
-        console.error("Failed to update _JOB marker (error):", safeError(e2));
-      }
+  const quickReplyItems = DATE_FORMATS
+    .filter(f => f !== settings.date_format)
+    .map(f => ({
+      type: "action",
+      action: { type: "message", label: dateFormatLabel(lang, f), text: `DATE_FORMAT:${f.toUpperCase()}` }
+    }));
+  quickReplyItems.push({
+    type: "action",
+    action: { type: "message", label: t(lang, 'menu.back_settings'), text: "SETTINGS" }
+  });
+
+  await replyText(replyToken, msg, env, { items: quickReplyItems }, lang);
+}
+
+// --- ADMIN: MAINTENANCE LOG ---
+
+function isAdminUser(userId, env) {
+  const admins = String(env.ADMIN_USER_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+  return admins.includes(userId);
+}
+
+export async function handleAdminMaintenanceRequest(userId, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  if (!isAdminUser(userId, env)) {
+    await replyText(replyToken, t(lang, 'admin.only'), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const runs = await getRecentMaintenanceRuns(env, 3);
+  if (runs.length === 0) {
+    await replyText(replyToken, t(lang, 'admin.no_runs'), env, buildMainMenu(lang), lang);
+    return;
+  }
+
+  const settings = await getUserSettings(userId, env);
+  const lines = [t(lang, 'admin.title')];
+  for (const run of runs) {
+    let stats = {};
+    try { stats = JSON.parse(run.stats_json || '{}'); } catch (_) { stats = {}; }
+    const at = formatDateTime(run.started_at, settings);
+    lines.push('');
+    lines.push(`#${run.id} • ${at} (${Math.max(0, (run.finished_at || 0) - (run.started_at || 0))}ms)`);
+    lines.push(t(lang, 'admin.stuck', { requeued: stats.stuckRequeued || 0, failed: stats.stuckFailed || 0 }));
+    lines.push(t(lang, 'admin.error_jobs', { count: stats.errorJobsPurged || 0 }));
+    lines.push(t(lang, 'admin.analyses', { analyses: stats.analysesPurged || 0, history: stats.historyPurged || 0 }));
+    lines.push(t(lang, 'admin.kv', { count: stats.kvOrphansDeleted || 0 }));
+    lines.push(t(lang, 'admin.batches', { closed: stats.batchesClosed || 0, purged: stats.batchesPurged || 0 }));
+    if (run.error) lines.push(`⚠️ ${run.error}`);
+  }
+
+  const models = await getModelUsageStats(env, Date.now() - 7 * 24 * 60 * 60 * 1000);
+  if (models.length > 0) {
+    lines.push('');
+    lines.push(t(lang, 'admin.models'));
+    for (const m of models) {
+      const pct = n => `${Math.round((n / m.total) * 100)}%`;
+      lines.push(t(lang, 'admin.model_row', { model: m.model, total: m.total, waits: pct(m.waits), high: pct(m.highConf) }));
     }
+  }
+
+  await replyText(replyToken, lines.join('\n'), env, buildMainMenu(lang), lang);
+}
+
+// --- MENU: TRADE STYLE (SCALP / SWING) ---
+
+export async function handleTradeStyleMenuRequest(userId, symbol, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const msg = t(lang, 'trade.menu', { symbol });
+
+  await replyText(replyToken, msg, env, buildTradeStyleMenu(symbol, lang), lang);
+}
+
+export async function handleTradeStyleAnalysisRequest(userId, symbol, mode, replyToken, env, lang = DEFAULT_LANGUAGE) {
+  const m = String(mode || '').trim().toUpperCase();
+  const finalMode = (m === 'SCALP' || m === 'SWING') ? m : null;
+
+  if (!finalMode) {
+    await handleTradeStyleMenuRequest(userId, symbol, replyToken, env, lang);
+    return;
+  }
+
+  const tradeStyleMenu = buildTradeStyleMenu(symbol, lang);
+  const rows = await getAllAnalyses(userId, env, symbol);
+  const usable = (rows || []).filter(r => normalizeTF(r.tf) && normalizeTF(r.tf) !== '_JOB');
+
+  if (usable.length === 0) {
+    await replyText(
+      replyToken,
+      t(lang, 'trade.no_data', { symbol }),
+      env,
+      buildMainMenu(lang),
+      lang
+    );
+    return;
+  }
+
+  // Filter stale data using TF_VALIDITY_MS (same safety rule as image analysis)
+  const validRows = usable.filter(row => {
+    const tf = normalizeTF(row.tf);
+    if (!TF_VALIDITY_MS[tf]) return true;
+    return getFreshness(tf, row.timestamp, env).isFresh;
+  });
+
+  const selected = selectRowsForTradeStyle(validRows, finalMode, symbol);
+  const enrichedSelected = enrichRowsWithFreshness(selected, env);
+
+  // Critical TF requirement for safer calls (mode-specific)
+  const missingCritical = TRADE_STYLE_CRITICAL_TFS[finalMode].filter(tf => !enrichedSelected.some(x => normalizeTF(x.tf) === tf));
+
+  if (missingCritical.length > 0) {
+    await replyText(
+      replyToken,
+      t(lang, 'trade.missing_critical', { mode: t(lang, `trade.mode.${finalMode}`), symbol, tfs: missingCritical.join(', ') }),
+      env,
+      tradeStyleMenu,
+      lang
+    );
+    return;
+  }
+
+  // Deterministic baseline for the same TFs: part of the prompt and shown under the plan
+  const confluence = computeConfluence(enrichedSelected);
+  const contextStr = buildTradeStyleContext(enrichedSelected, finalMode, symbol, confluence);
+
+  try {
+    const result = await analyzeTradeStyleWithGemini(finalMode, contextStr, env, { userId, symbol, language: lang });
+    const textOut = (result?.user_response_text || t(lang, 'trade.no_text')) + '\n\n' + formatConfluenceLine(confluence, lang);
+    await replyText(replyToken, textOut, env, tradeStyleMenu, lang);
+  } catch (e) {
+    console.error("Trade style analysis error:", safeError(e));
+    await replyText(replyToken, t(lang, 'trade.error', { mode: finalMode, error: safeError(e) }), env, tradeStyleMenu, lang);
+  }
 }
@@ -0,0 +1,563 @@
+// --- UI TEXT (message catalog) ---
+// Every user-facing string lives here, keyed by a dotted id, once per language.
+// t(lang, key, params) fills "{name}" placeholders; a key missing in a language falls back to
+// DEFAULT_LANGUAGE, then to the key itself. Commands (STATUS, SUMMARY:XAUUSD, ...) are never
+// translated: quick replies send the same text whatever the label says.
+//
+// Stored analyses are language-neutral (enums, prices and English structured fields), so the same
+// row renders in either language; only the AI's free-form reply text follows the user's language.
+
+export const LANGUAGES = ['th', 'en'];
+export const DEFAULT_LANGUAGE = 'th';
+
+export const LANGUAGE_LABELS = {
+  th: '🇹🇭 ภาษาไทย',
+  en: '🇬🇧 English'
+};
+
+export function normalizeLanguage(lang) {
+  const l = String(lang || '').trim().toLowerCase();
+  return LANGUAGES.includes(l) ? l : null;
+}
+
+const MESSAGES = {
+  th: {
+    // Menus
+    'menu.status': '📊 สถานะข้อมูล',
+    'menu.summary': '📌 สรุปผลวิเคราะห์',
+    'menu.trade_style': '⚡ เล่นสั้น/สวิง',
+    'menu.dashboard': '🧭 แดชบอร์ด',
+    'menu.levels': '📐 แนวรับ/ต้าน',
+    'menu.manage_data': '🔧 แก้ไข/ลบ ข้อมูล',
+    'menu.history': '🕘 ประวัติวิเคราะห์',
+    'menu.queue': '📥 คิวงาน',
+    'menu.failed': '⚠️ งานที่ล้มเหลว',
+    'menu.settings': '⚙️ ตั้งค่า',
+    'menu.back_main': '⬅️ เมนูหลัก',
+    'menu.back_main_long': '⬅️ กลับเมนูหลัก',
+    'menu.back_settings': '⬅️ ตั้งค่า',
+    'menu.cancel': 'ยกเลิก',
+    'menu.scalp': '⚡ เล่นสั้น (Scalp)',
+    'menu.swing': '🌊 เล่นสวิง (Swing)',
+    'menu.reanalyze': '🔄 Re-analyze (DB)',
+    'menu.other_tf': '📌 เลือก TF อื่น',
+    'menu.other_tf_summary': '📌 สรุปผล TF อื่น',
+    'menu.tf_history': '🕘 ประวัติ TF นี้',
+    'menu.batch_summary': '🧩 สรุปชุดล่าสุด',
+    'menu.retry': '🔄 ลองใหม่',
+    'menu.new_topic': '🆕 เริ่มเรื่องใหม่',
+
+    // Global
+    'common.cancelled': '✅ ยกเลิกแล้วครับ',
+    'common.main_menu': '📌 เมนูหลัก',
+    'common.system_error': '⚠️ System Error:\n{message}',
+    'common.invalid_tf': '⚠️ TF ไม่ถูกต้อง',
+    'common.no_data': '❌ ยังไม่มีข้อมูลกราฟในระบบ\n\n📸 กรุณาส่งรูปกราฟเข้ามาก่อน',
+    'common.no_pair_data': '❌ ยังไม่มีข้อมูลกราฟ {symbol} ในระบบ\n\n📸 กรุณาส่งรูปกราฟเข้ามาก่อน',
+    'common.no_fresh_pair_data': '❌ ไม่มีข้อมูลกราฟ {symbol} ที่ยังไม่หมดอายุ\n\n📸 กรุณาส่งรูปกราฟเข้ามาอัปเดตก่อน',
+    'common.pick_pair': '💱 เลือกคู่เงินที่ต้องการ',
+    'common.saved': '✅ บันทึกการตั้งค่าแล้วครับ',
+    'common.hours': '{n} ชม.',
+    'common.minutes': '{n} นาที',
+    'common.seconds': '{n} วินาที',
+    'common.hours_minutes': '{h} ชม. {m} นาที',
+
+    // Manage data
+    'data.reanalyze_started': '🔄 เริ่มทำการ Re-analyze ข้อมูลล่าสุดของ {symbol} ในฐานข้อมูล (ทำงานพื้นหลัง)\nจะอัปเดตผลและแทนที่ผลเก่าเมื่อเสร็จเรียบร้อย',
+    'data.deleted': '🗑️ ลบข้อมูล {symbol} TF: {tf} เรียบร้อยแล้วครับ',
+    'data.tf_changed': '✅ แก้ไข {symbol} TF จาก {from} เป็น {to} เรียบร้อยแล้วครับ',
+    'data.not_found': '❌ ไม่พบข้อมูลกราฟ {symbol} ที่บันทึกไว้',
+    'data.manage_title': '🔧 **จัดการข้อมูลที่บันทึกไว้ ({symbol})**\nเลือกหมายเลขเพื่อแก้ไขหรือลบ:\n',
+    'data.manage_item': '\n{num}. TF: **{tf}** (อัพเดท {age} ที่แล้ว • {at})',
+    'data.manage_pick': 'เลือกรายการที่ {num} ({tf})',
+    'data.manage_hint': '\n\n(กดปุ่มด้านล่างเพื่อเลือกรายการ)',
+    'data.edit_title': '⚙️ **กำลังจัดการข้อมูล {symbol} TF: {tf}**\n\nท่านต้องการทำรายการใด?',
+    'data.delete_button': '🗑️ ลบข้อมูลนี้',
+    'data.change_button': 'เปลี่ยนเป็น {tf}',
+    'data.tf_missing': '❌ ไม่พบข้อมูล {symbol} TF: {tf} ที่บันทึกไว้',
+    'data.confirm_delete': '🗑️ ยืนยันการลบข้อมูล {symbol} TF: {tf}?\n(อัพเดทล่าสุด {at})\n\nลบแล้วไม่สามารถกู้คืนได้ครับ',
+    'data.confirm_change': '✏️ ยืนยันการเปลี่ยน {symbol} TF จาก {from} เป็น {to}?\n(อัพเดทล่าสุด {at})',
+    'data.change_overwrites': '\n\n⚠️ ข้อมูล {to} ที่มีอยู่เดิมจะถูกแทนที่',
+    'data.confirm_delete_button': '🗑️ ยืนยันลบ {tf}',
+    'data.confirm_reanalyze': '🔄 ยืนยันการ Re-analyze ข้อมูล {symbol}?\nTF ที่ยังเป็นปัจจุบัน ({tfs}) จะถูกวิเคราะห์ใหม่และแทนที่ผลเดิม',
+    'data.confirm_reanalyze_button': '🔄 ยืนยัน Re-analyze',
+    'data.confirm_change_button': '✅ ยืนยัน {from} → {to}',
+
+    // Image ack / batch
+    'ack.batch_wait': '\n🧩 รอรับรูปเพิ่มอีก ~{seconds} วินาที แล้วจะเรียงวิเคราะห์จาก TF ใหญ่ → เล็ก',
+    'ack.received': '✅ ได้รับรูปแล้วครับ',
+    'ack.queue': '📥 คิว: รอ {queued} รูป (รวมรูปนี้) | กำลังประมวลผล {processing} รูป',
+    'ack.processing': '⚙️ กำลังทำ: รูปที่ {order}/{total} (ID …{id})',
+    'ack.processing_none': '⚙️ กำลังทำ: ยังไม่มีงานที่กำลังประมวลผล (กำลังเริ่มคิว)',
+    'ack.others': '🌐 คิวรวม: ผู้ใช้อื่นอีก {users} คน รอ {images} รูป (ระบบสลับคิวให้ทุกคน)',
+    'ack.per_image': '🧮 ประมาณการ: ~{duration}/รูป',
+    'ack.position': '📌 รูปนี้อยู่ลำดับที่ {pos}/{total}',
+    'ack.eta': '⏱️ คาดเริ่ม ~{start} | เสร็จ ~{done}',
+    'ack.notify_all': '🔔 ระบบจะส่งผลวิเคราะห์ให้อัตโนมัติเมื่อเสร็จ',
+    'ack.notify_signals': '🔔 ระบบจะแจ้งเมื่อผลเป็น BUY/SELL (ผลอื่นดูที่เมนู **สรุปผลวิเคราะห์**)',
+    'ack.notify_off': '📌 เข้าเมนู **สรุปผลวิเคราะห์** เพื่อดูผลลัพธ์ครับ',
+    'ack.queue_hint': '📥 ดู/ยกเลิก/เลื่อนคิวได้ที่เมนู **คิวงาน**',
+
+    // Queue
+    'queue.empty': '📥 คิวว่างครับ ไม่มีรูปที่รอวิเคราะห์\n\n📸 ส่งรูปกราฟเข้ามาเพื่อเริ่มวิเคราะห์ได้เลย',
+    'queue.title': '📥 คิวงานของคุณ ({count} รูป)',
+    'queue.state_processing': '⚙️ กำลังประมวลผล',
+    'queue.state_queued': '⏳ รอคิว',
+    'queue.item_age': '   ส่งมาแล้ว {age} | ครั้งที่ {attempt}',
+    'queue.item_error': '   ⚠️ ล่าสุด: {error}',
+    'queue.item_retry': '   🔁 จะลองใหม่ในอีก ~{duration}',
+    'queue.eta_all': '⏱️ คาดว่าคิวทั้งหมดเสร็จใน ~{duration}',
+    'queue.cancel_button': '❌ ยกเลิกลำดับ {pos}',
+    'queue.top_button': '⏫ ลำดับ {pos} ขึ้นก่อน',
+    'queue.cancel_all_button': '🗑️ ยกเลิกทั้งหมด',
+    'queue.not_found': '❌ ไม่พบงานนี้ในคิว (อาจวิเคราะห์เสร็จหรือถูกยกเลิกไปแล้ว)',
+    'queue.cancelled_processing_note': '\n(รูปนี้กำลังประมวลผลอยู่ ผลลัพธ์จะไม่ถูกบันทึก)',
+    'queue.cancelled': '🗑️ ยกเลิกงานในคิวเรียบร้อยแล้วครับ{note}',
+    'queue.already_empty': '📥 คิวว่างอยู่แล้วครับ',
+    'queue.cancelled_all': '🗑️ ยกเลิกทั้งหมด {count} รูปเรียบร้อยแล้วครับ',
+    'queue.move_failed': '❌ เลื่อนคิวไม่ได้ (งานนี้ไม่ได้อยู่ในสถานะรอคิวแล้ว)',
+
+    // Status
+    'status.title': '✅ สถานะข้อมูลกราฟ {symbol} ในระบบ (กรองตามอายุ):',
+    'status.market_closed': '\n⏸️ ตลาดปิดอยู่: อายุข้อมูลจะไม่ลดลงจนกว่าตลาดจะเปิด',
+    'status.usable': 'ใช้งานได้',
+    'status.expired': 'หมดอายุ',
+    'status.age': '\n🕒 อายุ: {mins} นาที ({state})',
+    'status.updated': '\n📅 อัปเดต: {at}',
+    'status.paused': '\n⏸️ ไม่นับช่วงตลาดปิด {hours} ชม.',
+    'status.trend': '\n📈 เทรนด์: {trend}',
+    'status.empty': '\n(ยังไม่มีข้อมูลกราฟในระบบ)',
+    'status.backoff': '\n\n🔁 มีรูปรอลองวิเคราะห์ใหม่ {count} รูป (ครั้งถัดไป {at})',
+    'status.failed': '\n\n⚠️ มีรูปที่วิเคราะห์ไม่สำเร็จ {count} รูป (ดูที่เมนู **งานที่ล้มเหลว**)',
+
+    // Summary
+    'summary.no_analyses': 'ยังไม่มีผลวิเคราะห์ในระบบครับ\n\n📸 กรุณาส่งรูปกราฟเข้ามาก่อน',
+    'summary.all_expired': '❌ ข้อมูลทั้งหมดหมดอายุแล้วครับ\n\n📸 กรุณาส่งรูปกราฟใหม่เข้ามา',
+    'summary.pick_tf': '📌 เลือก TF ที่ต้องการดูสรุปผลวิเคราะห์ ({symbol})',
+    'summary.no_tf': 'ยังไม่มีข้อมูล {symbol} TF: {tf}',
+    'summary.tf_expired': '❌ ข้อมูล {symbol} TF: {tf} หมดอายุแล้วครับ\n\n📸 กรุณาส่งรูปกราฟใหม่เข้ามาเพื่ออัปเดต',
+    'summary.no_batch': 'ยังไม่มีสรุปชุดรูปครับ\n\n📸 ส่งรูปหลาย TF ติดกัน (เช่น 1D, H4, H1, M15) ระบบจะสรุปภาพรวมให้',
+
+    // Analysis summary (formatAnalysisSummary)
+    'analysis.status': '📢 สถานะ: {action} ({confidence})',
+    'analysis.pair': '💱 คู่เงิน: {symbol}',
+    'analysis.tf': '⏱️ TF ปัจจุบัน: {tf}',
+    'analysis.confluence': '📚 ข้อมูลประกอบ (Confluence): {tfs}',
+    'analysis.unclear': 'ไม่ชัดเจน',
+    'analysis.not_yet_clear': 'ยังไม่ชัดเจน',
+    'analysis.no_summary': '(ไม่มีข้อมูลสรุป)',
+    'analysis.summary': '💡 สรุป: {summary}',
+    'analysis.model': '🤖 โมเดล: {model}',
+    'analysis.analyzed_at': '🕒 วิเคราะห์เมื่อ: {at}',
+    'analysis.done_push': '🔔 วิเคราะห์เสร็จแล้ว\n\n{summary}',
+    'analysis.failed_push': '⚠️ วิเคราะห์รูป (ID …{id}) ไม่สำเร็จ\nสาเหตุ: {reason}',
+
+    // Setup check (tradesetup.js)
+    'setup.ok': '📐 R:R: 1:{rr} (SL {sl} pips | TP {tp} pips)',
+    'setup.inconsistent': '⚠️ Setup {action} ไม่สอดคล้อง (ราคา SL/Entry/TP ผิดทิศทาง) → ปรับเป็น WAIT',
+    'setup.incomplete': '📐 R:R: คำนวณไม่ได้ (ราคา Entry/TP/SL ไม่ครบหรือไม่ชัดเจน)',
+
+    // Dashboard
+    'dashboard.title': '📊 Dashboard {symbol} (ทุก TF จากฐานข้อมูล)',
+    'dashboard.legend': 'ความสด: 🟢 >75% | 🟡 50-75% | 🔴 <50% | ⛔ หมดอายุ',
+    'dashboard.expired': '⛔ หมดอายุ',
+    'dashboard.needs_update': ' | 📸 ขอรูปใหม่',
+    'dashboard.no_data': '⚪ {tf}: ไม่มีข้อมูล{flag}',
+
+    // Levels
+    'levels.title': '📐 แนวรับ/แนวต้านรวมทุก TF ({symbol})',
+    'levels.tfs_used': '📚 TF ที่ใช้: {tfs}',
+    'levels.sorted': 'เรียงตามจำนวน TF ที่ยืนยันระดับเดียวกัน',
+    'levels.tfs_without': 'ℹ️ TF ที่ยังไม่มีระดับราคาแบบตัวเลข: {tfs} (ส่งรูปกราฟใหม่เพื่ออัปเดต)',
+    'levels.none': 'ℹ️ ผลวิเคราะห์ {symbol} ที่มีอยู่ยังไม่มีระดับราคาแบบตัวเลข ({tfs})\n\n📸 กรุณาส่งรูปกราฟใหม่เพื่อให้ระบบบันทึกแนวรับ/แนวต้าน',
+    'levels.type.support': 'แนวรับ',
+    'levels.type.resistance': 'แนวต้าน',
+    'levels.type.fib': 'Fib',
+    'levels.type.flip': 'แนวรับ/ต้านสลับ',
+
+    // Confluence
+    'confluence.direction.Bullish': '📈 ขาขึ้น (Bullish)',
+    'confluence.direction.Bearish': '📉 ขาลง (Bearish)',
+    'confluence.direction.Neutral': '➖ ไม่ชัดเจน (Neutral)',
+    'confluence.line': '🧮 Confluence (คำนวณจากข้อมูล): {direction} | {score}/100',
+    'confluence.subtitle': 'คำนวณจากผลวิเคราะห์ที่บันทึกไว้ ไม่ใช้ AI',
+    'confluence.overall': 'ทิศทางรวม: {direction}',
+    'confluence.score': 'คะแนนความสอดคล้อง: {score}/100 (Net {net})',
+    'confluence.tf_row': '{icon} {tf}: {direction} (น้ำหนัก {weight})',
+    'confluence.conflicts': '⚠️ ขัดแย้งกัน:',
+    'confluence.no_conflicts': '✅ ไม่พบ TF ที่ขัดแย้งกัน',
+
+    // Batch summary
+    'batch.title': '🧩 สรุปภาพรวม Top-Down (ชุด {count} รูป)',
+    'batch.failed': 'วิเคราะห์ไม่สำเร็จ',
+    'batch.no_result': 'ไม่มีผล',
+    'batch.aligned': '🧭 ทิศทางรวม: {bias} สอดคล้องกัน {count}/{total} TF',
+    'batch.mixed': '🧭 ทิศทางรวม: ขัดแย้งกัน (Bullish {bull} / Bearish {bear} / อื่นๆ {other})',
+    'batch.plan': '🎯 แผนจาก {tf}: {action} | Entry {entry} | SL {sl} | TP {tp}{rr}',
+
+    // History
+    'history.none': 'ยังไม่มีประวัติการวิเคราะห์ของ {symbol} ครับ',
+    'history.pick_tf': '🕘 เลือก TF ที่ต้องการดูประวัติ ({symbol})',
+    'history.none_tf': 'ยังไม่มีประวัติ {symbol} TF: {tf}',
+    'history.title': '🕘 ประวัติการวิเคราะห์ {symbol} TF {tf} (ล่าสุด {count} ครั้ง)',
+    'history.compare': '🔁 เทียบ #{id}: {changes}',
+    'history.compare_none': '🔁 เทียบ #{id}: ไม่มีการเปลี่ยนแปลง',
+    'history.diff_not_found': '❌ ไม่พบประวัติที่ต้องการเปรียบเทียบ',
+    'history.diff_title': '🔁 เปรียบเทียบ {symbol} TF {tf}',
+    'history.diff_none': '- ไม่มีการเปลี่ยนแปลงของ Bias/Action/Entry/SL/TP',
+    'history.reasoning': '🧠 เหตุผล #{id}:',
+    'history.back': '🕘 กลับไปประวัติ',
+
+    // Failed jobs
+    'failed.none': '✅ ไม่มีรูปที่วิเคราะห์ไม่สำเร็จครับ',
+    'failed.title': '⚠️ รูปที่วิเคราะห์ไม่สำเร็จ ({count} รูปล่าสุด)',
+    'failed.item': '   ID …{id} | {at} | ลองไปแล้ว {attempts} ครั้ง',
+    'failed.cached': '   💾 มีรูปสำรอง ลองใหม่ได้แม้รูปใน LINE หมดอายุ',
+    'failed.not_cached': '   ⚠️ ไม่มีรูปสำรอง (ถ้ารูปใน LINE หมดอายุ กรุณาส่งรูปใหม่)',
+    'failed.retry_button': '🔄 ลองใหม่รายการ {num}',
+    'failed.retry_all_button': '🔄 ลองใหม่ทั้งหมด',
+    'failed.auto_purge': '(รายการจะถูกลบอัตโนมัติเมื่อเก่าเกินกำหนด)',
+    'failed.retry_not_found': '❌ ไม่พบงานที่ล้มเหลวนี้ (อาจลองใหม่หรือถูกลบไปแล้ว)',
+    'failed.requeued': '🔄 นำกลับเข้าคิวแล้ว {count} รูป\n📥 ดูความคืบหน้าได้ที่เมนู **คิวงาน**',
+    'failed.reason.line': '📷 ดึงรูปจาก LINE ไม่สำเร็จ (รูปอาจหมดอายุ)',
+    'failed.reason.rate_limit': '🚦 AI ถูกจำกัดการใช้งานชั่วคราว (429)',
+    'failed.reason.server': '🛠️ AI ขัดข้องชั่วคราว (Server Error)',
+    'failed.reason.bad_output': '🧩 AI ตอบกลับผิดรูปแบบ (JSON/Schema Error)',
+    'failed.reason.timeout': '⏱️ ประมวลผลนานเกินไป/ค้าง',
+    'failed.reason.other': '❓ ข้อผิดพลาดอื่น',
+
+    // Settings
+    'settings.title': '⚙️ การตั้งค่า\n\n{details}',
+    'settings.timezone_button': '🌏 เขตเวลา',
+    'settings.date_format_button': '📅 รูปแบบวันที่',
+    'settings.notify_button': '🔔 การแจ้งเตือน',
+    'settings.language_button': '🌐 ภาษา / Language',
+    'settings.describe': '🌐 ภาษา: {language}\n🌏 เขตเวลา: {timezone}\n📅 รูปแบบวันที่: {date_format}\n🕒 เวลาขณะนี้: {now}\n🔔 การแจ้งเตือน: {notify}',
+    'settings.notify_invalid': '⚠️ รูปแบบการแจ้งเตือนไม่ถูกต้อง',
+    'settings.notify_title': '🔔 การแจ้งเตือนเมื่อวิเคราะห์รูปเสร็จ',
+    'settings.notify_body': '{header}\n\nปัจจุบัน: {current}\n\n- แจ้งทุกผล: ส่งสรุปผลทุกครั้งที่วิเคราะห์เสร็จ\n- เฉพาะ BUY/SELL: ส่งเฉพาะผลที่มีสัญญาณเข้าเทรด\n- ปิด: ไม่ส่งข้อความ (ดูผลเองที่เมนูสรุปผล)\n(เมื่อวิเคราะห์ไม่สำเร็จ ระบบจะแจ้งด้วย ยกเว้นปิดการแจ้งเตือน)',
+    'settings.notify.all': '🔔 แจ้งทุกผล',
+    'settings.notify.signals': '🎯 เฉพาะ BUY/SELL',
+    'settings.notify.off': '🔕 ปิดแจ้งเตือน',
+    'settings.timezone_unknown': '⚠️ ไม่รู้จักเขตเวลา "{zone}"\nใช้ชื่อแบบ IANA เช่น TIMEZONE:Asia/Tokyo',
+    'settings.timezone_title': '🌏 เลือกเขตเวลาสำหรับแสดงเวลาในข้อความ\n\nปัจจุบัน: {timezone} ({now})\nเขตเวลาอื่นพิมพ์เองได้ เช่น TIMEZONE:Europe/Berlin',
+    'settings.date_format_invalid': '⚠️ รูปแบบวันที่ไม่ถูกต้อง',
+    'settings.date_format_title': '📅 เลือกรูปแบบวันที่\n\nปัจจุบัน: {current}\n\n{examples}',
+    'settings.date_format.th': '🇹🇭 ไทย (พ.ศ.)',
+    'settings.date_format.en': '🌐 DD/MM/YYYY',
+    'settings.date_format.iso': '📅 YYYY-MM-DD',
+    'settings.language_invalid': '⚠️ ไม่รองรับภาษานี้ (เลือกได้: {languages})',
+    'settings.language_title': '🌐 เลือกภาษาของเมนู ข้อความ และผลวิเคราะห์ AI\n\nปัจจุบัน: {current}\n(ผลวิเคราะห์ที่บันทึกไว้แสดงได้ทุกภาษา ยกเว้นข้อความสรุปที่ AI เขียนไว้แล้ว)',
+
+    // Admin
+    'admin.only': '⛔ คำสั่งนี้สำหรับผู้ดูแลระบบเท่านั้น',
+    'admin.no_runs': '🧹 ยังไม่มีประวัติการทำ Maintenance (ตรวจสอบ Cron Trigger ใน wrangler.toml)',
+    'admin.title': '🧹 Maintenance ล่าสุด',
+    'admin.stuck': '- งานค้าง: คืนคิว {requeued} | ตั้งเป็น error {failed}',
+    'admin.error_jobs': '- ลบงาน error เก่า: {count}',
+    'admin.analyses': '- ลบผลวิเคราะห์หมดอายุ: {analyses} | ประวัติ: {history}',
+    'admin.kv': '- ลบ KV ที่ไม่มีงานอ้างอิง: {count}',
+    'admin.batches': '- ชุดรูป: ปิดที่ค้าง {closed} | ลบเก่า {purged}',
+    'admin.models': '🤖 โมเดลที่ใช้วิเคราะห์ (7 วัน)',
+    'admin.model_row': '- {model}: {total} ครั้ง | WAIT {waits} | High {high}',
+
+    // Trade style
+    'trade.mode.SCALP': 'เล่นสั้น (Scalp)',
+    'trade.mode.SWING': 'เล่นสวิง (Swing)',
+    'trade.menu': '⚡ โหมดวิเคราะห์สำหรับ "เล่นสั้น/เล่นสวิง" ({symbol})\n\nเลือกโหมดที่ต้องการได้เลยครับ (ระบบจะใช้ข้อมูลกราฟล่าสุดที่มีอยู่ในฐานข้อมูลมาประกอบการวิเคราะห์)\n- เล่นสั้น: เน้นจังหวะเข้า/ออกเร็ว ใช้ LTF เป็น Trigger แต่ยังยึด HTF เป็นทิศทางหลัก\n- เล่นสวิง: เน้นถือเป็นรอบ ใช้ H4/1D เป็นโครงสร้าง แล้วค่อยหา Trigger จาก TF รองลงมา',
+    'trade.no_data': '❌ ยังไม่มีข้อมูลกราฟ {symbol} ในฐานข้อมูล\n\n📸 กรุณาส่งรูปกราฟเข้ามาอัปเดตก่อน แล้วค่อยเลือกโหมดเล่นสั้น/เล่นสวิงครับ',
+    'trade.missing_critical': '❌ ขาดข้อมูลสำคัญสำหรับโหมด {mode} ({symbol}): {tfs}\n\n📸 กรุณาส่งรูปกราฟ Timeframe **{tfs}** เข้ามาอัปเดตก่อน เพื่อให้วิเคราะห์ได้ปลอดภัยและแม่นขึ้นครับ',
+    'trade.no_text': '⚠️ วิเคราะห์ได้ แต่ไม่สามารถสร้างข้อความสรุปได้',
+    'trade.error': '❌ เกิดข้อผิดพลาดในการวิเคราะห์โหมด {mode}: {error}',
+
+    // Chat
+    'chat.empty': 'ขออภัย ไม่สามารถตอบคำถามได้ขณะนี้',
+    'chat.rate_limit': '⏳ ขณะนี้มีผู้ใช้งาน AI จำนวนมาก กรุณาลองถามใหม่อีกครั้งในอีกสักครู่',
+    'chat.ai_error': '⚠️ AI Error: Unable to process request.',
+    'chat.system_error': '⚠️ System Error during chat.',
+    'chat.new_topic': '🆕 เริ่มเรื่องใหม่แล้วครับ บทสนทนาก่อนหน้าถูกล้างแล้ว\n\nพิมพ์คำถามใหม่ได้เลย',
+
+    // Prompt pieces (model-facing: the language the model must answer in + localized reply templates)
+    'prompt.language': 'Thai',
+    'prompt.chart_reply_format': '📢 สถานะ: [ACTION] (Confidence)\\n💱 คู่เงิน: [Symbol]\\n⏱️ TF: [Detected]\\n📚 Confluence: [TF list]\\n\\n🔍 Top-Down:\\n1️⃣ Structure: [HTF bias + current structure + conflict]\\n2️⃣ Value: [Key levels or \'No Man\'s Land\']\\n3️⃣ Trigger: [Patterns/Indicators]\\n\\n🎯 Setup:\\n- Entry: [Zone]\\n- TP: [Price]\\n- SL: [Price]\\n\\n💡 สรุป: [Confluence strength + risks. Max 10-20 sentences]',
+    'prompt.trade_reply_format': '⚡ **โหมด:** {mode}\\n📢 **สถานะ:** [ACTION] (Confidence/Probability%)\\n📚 **TF ที่ใช้:** [List TFs]\\n\\n🔍 **Top-Down Analysis:**\\n1️⃣ **Structure (ภาพใหญ่):** [HTF bias, current structure, any conflict]\\n2️⃣ **Area of Value:** [Key levels/Fib zones]\\n3️⃣ **Entry Trigger:** [Patterns/Indicators]\\n\\n🎯 **Setup:**\\n- **Entry:** [Zone]\\n- **TP:** [Target]\\n- **SL:** [Stop]\\n\\n💡 **สรุป:** [Confluence strength + risk warnings. Max 10-20 sentences. Do NOT output reasoning steps - think privately.]'
+  },
+
+  en: {
+    // Menus
+    'menu.status': '📊 Data status',
+    'menu.summary': '📌 Analysis summary',
+    'menu.trade_style': '⚡ Scalp/Swing',
+    'menu.dashboard': '🧭 Dashboard',
+    'menu.levels': '📐 Key levels',
+    'menu.manage_data': '🔧 Edit/Delete data',
+    'menu.history': '🕘 History',
+    'menu.queue': '📥 Queue',
+    'menu.failed': '⚠️ Failed jobs',
+    'menu.settings': '⚙️ Settings',
+    'menu.back_main': '⬅️ Main menu',
+    'menu.back_main_long': '⬅️ Back to main menu',
+    'menu.back_settings': '⬅️ Settings',
+    'menu.cancel': 'Cancel',
+    'menu.scalp': '⚡ Scalp',
+    'menu.swing': '🌊 Swing',
+    'menu.reanalyze': '🔄 Re-analyze (DB)',
+    'menu.other_tf': '📌 Other TF',
+    'menu.other_tf_summary': '📌 Other TF summary',
+    'menu.tf_history': '🕘 TF history',
+    'menu.batch_summary': '🧩 Last batch',
+    'menu.retry': '🔄 Retry',
+    'menu.new_topic': '🆕 New topic',
+
+    // Global
+    'common.cancelled': '✅ Cancelled',
+    'common.main_menu': '📌 Main menu',
+    'common.system_error': '⚠️ System Error:\n{message}',
+    'common.invalid_tf': '⚠️ Invalid TF',
+    'common.no_data': '❌ No chart data yet\n\n📸 Please send a chart screenshot first',
+    'common.no_pair_data': '❌ No chart data for {symbol} yet\n\n📸 Please send a chart screenshot first',
+    'common.no_fresh_pair_data': '❌ No unexpired chart data for {symbol}\n\n📸 Please send an updated chart screenshot first',
+    'common.pick_pair': '💱 Choose a currency pair',
+    'common.saved': '✅ Settings saved',
+    'common.hours': '{n} h',
+    'common.minutes': '{n} min',
+    'common.seconds': '{n} s',
+    'common.hours_minutes': '{h} h {m} min',
+
+    // Manage data
+    'data.reanalyze_started': '🔄 Re-analyzing the latest stored {symbol} data (in the background)\nResults will replace the old ones when done',
+    'data.deleted': '🗑️ Deleted {symbol} TF: {tf}',
+    'data.tf_changed': '✅ Changed {symbol} TF from {from} to {to}',
+    'data.not_found': '❌ No stored chart data for {symbol}',
+    'data.manage_title': '🔧 **Manage stored data ({symbol})**\nPick a number to edit or delete:\n',
+    'data.manage_item': '\n{num}. TF: **{tf}** (updated {age} ago • {at})',
+    'data.manage_pick': 'Item {num} ({tf})',
+    'data.manage_hint': '\n\n(Use the buttons below to pick an item)',
+    'data.edit_title': '⚙️ **Managing {symbol} TF: {tf}**\n\nWhat would you like to do?',
+    'data.delete_button': '🗑️ Delete this',
+    'data.change_button': 'Change to {tf}',
+    'data.tf_missing': '❌ No stored {symbol} TF: {tf} data',
+    'data.confirm_delete': '🗑️ Delete {symbol} TF: {tf}?\n(last updated {at})\n\nThis cannot be undone',
+    'data.confirm_change': '✏️ Change {symbol} TF from {from} to {to}?\n(last updated {at})',
+    'data.change_overwrites': '\n\n⚠️ The existing {to} data will be replaced',
+    'data.confirm_delete_button': '🗑️ Delete {tf}',
+    'data.confirm_reanalyze': '🔄 Re-analyze the stored {symbol} data?\nThe fresh TFs ({tfs}) will be re-evaluated and their results replaced',
+    'data.confirm_reanalyze_button': '🔄 Re-analyze',
+    'data.confirm_change_button': '✅ {from} → {to}',
+
+    // Image ack / batch
+    'ack.batch_wait': '\n🧩 Waiting ~{seconds} s for more images, then analyzing from higher TF → lower TF',
+    'ack.received': '✅ Image received',
+    'ack.queue': '📥 Queue: {queued} waiting (incl. this one) | {processing} processing',
+    'ack.processing': '⚙️ Working on: image {order}/{total} (ID …{id})',
+    'ack.processing_none': '⚙️ Working on: nothing yet (starting the queue)',
+    'ack.others': '🌐 Shared queue: {users} other users with {images} images (the system takes turns)',
+    'ack.per_image': '🧮 Estimate: ~{duration}/image',
+    'ack.position': '📌 This image is #{pos}/{total}',
+    'ack.eta': '⏱️ Starts in ~{start} | done in ~{done}',
+    'ack.notify_all': '🔔 The result will be sent automatically when done',
+    'ack.notify_signals': '🔔 You will be notified of BUY/SELL results (see **Analysis summary** for others)',
+    'ack.notify_off': '📌 Open **Analysis summary** to see the result',
+    'ack.queue_hint': '📥 View/cancel/reorder jobs in the **Queue** menu',
+
+    // Queue
+    'queue.empty': '📥 The queue is empty, no images waiting\n\n📸 Send a chart screenshot to start an analysis',
+    'queue.title': '📥 Your queue ({count} images)',
+    'queue.state_processing': '⚙️ Processing',
+    'queue.state_queued': '⏳ Queued',
+    'queue.item_age': '   Sent {age} ago | attempt {attempt}',
+    'queue.item_error': '   ⚠️ Last error: {error}',
+    'queue.item_retry': '   🔁 Retrying in ~{duration}',
+    'queue.eta_all': '⏱️ Whole queue done in ~{duration}',
+    'queue.cancel_button': '❌ Cancel #{pos}',
+    'queue.top_button': '⏫ Move #{pos} first',
+    'queue.cancel_all_button': '🗑️ Cancel all',
+    'queue.not_found': '❌ Job not found in the queue (already analyzed or cancelled)',
+    'queue.cancelled_processing_note': '\n(This image is being processed; its result will not be saved)',
+    'queue.cancelled': '🗑️ Job cancelled{note}',
+    'queue.already_empty': '📥 The queue is already empty',
+    'queue.cancelled_all': '🗑️ Cancelled all {count} images',
+    'queue.move_failed': '❌ Cannot move this job (it is no longer queued)',
+
+    // Status
+    'status.title': '✅ Stored chart data for {symbol} (by age):',
+    'status.market_closed': '\n⏸️ Market closed: data does not age until the market reopens',
+    'status.usable': 'usable',
+    'status.expired': 'expired',
+    'status.age': '\n🕒 Age: {mins} min ({state})',
+    'status.updated': '\n📅 Updated: {at}',
+    'status.paused': '\n⏸️ {hours} h of market closure not counted',
+    'status.trend': '\n📈 Trend: {trend}',
+    'status.empty': '\n(No chart data yet)',
+    'status.backoff': '\n\n🔁 {count} images waiting to be retried (next at {at})',
+    'status.failed': '\n\n⚠️ {count} images failed to analyze (see the **Failed jobs** menu)',
+
+    // Summary
+    'summary.no_analyses': 'No analyses yet\n\n📸 Please send a chart screenshot first',
+    'summary.all_expired': '❌ All data has expired\n\n📸 Please send new chart screenshots',
+    'summary.pick_tf': '📌 Choose a TF to see its analysis ({symbol})',
+    'summary.no_tf': 'No data for {symbol} TF: {tf} yet',
+    'summary.tf_expired': '❌ {symbol} TF: {tf} has expired\n\n📸 Please send a new chart screenshot to update it',
+    'summary.no_batch': 'No batch summary yet\n\n📸 Send several TFs in a row (e.g. 1D, H4, H1, M15) to get a combined summary',
+
+    // Analysis summary (formatAnalysisSummary)
+    'analysis.status': '📢 Signal: {action} ({confidence})',
+    'analysis.pair': '💱 Pair: {symbol}',
+    'analysis.tf': '⏱️ TF: {tf}',
+    'analysis.confluence': '📚 Confluence TFs: {tfs}',
+    'analysis.unclear': 'Unclear',
+    'analysis.not_yet_clear': 'Not clear yet',
+    'analysis.no_summary': '(no summary)',
+    'analysis.summary': '💡 Summary: {summary}',
+    'analysis.model': '🤖 Model: {model}',
+    'analysis.analyzed_at': '🕒 Analyzed at: {at}',
+    'analysis.done_push': '🔔 Analysis finished\n\n{summary}',
+    'analysis.failed_push': '⚠️ Analysis of image (ID …{id}) failed\nReason: {reason}',
+
+    // Setup check (tradesetup.js)
+    'setup.ok': '📐 R:R: 1:{rr} (SL {sl} pips | TP {tp} pips)',
+    'setup.inconsistent': '⚠️ {action} setup is inconsistent (SL/Entry/TP on the wrong side) → changed to WAIT',
+    'setup.incomplete': '📐 R:R: cannot be calculated (Entry/TP/SL missing or unclear)',
+
+    // Dashboard
+    'dashboard.title': '📊 Dashboard {symbol} (all TFs from the database)',
+    'dashboard.legend': 'Freshness: 🟢 >75% | 🟡 50-75% | 🔴 <50% | ⛔ expired',
+    'dashboard.expired': '⛔ expired',
+    'dashboard.needs_update': ' | 📸 update requested',
+    'dashboard.no_data': '⚪ {tf}: no data{flag}',
+
+    // Levels
+    'levels.title': '📐 Support/resistance across all TFs ({symbol})',
+    'levels.tfs_used': '📚 TFs used: {tfs}',
+    'levels.sorted': 'Sorted by the number of TFs confirming the same level',
+    'levels.tfs_without': 'ℹ️ TFs without numeric price levels yet: {tfs} (send a new chart to update)',
+    'levels.none': 'ℹ️ The stored {symbol} analyses have no numeric price levels yet ({tfs})\n\n📸 Please send new chart screenshots so support/resistance can be stored',
+    'levels.type.support': 'Support',
+    'levels.type.resistance': 'Resistance',
+    'levels.type.fib': 'Fib',
+    'levels.type.flip': 'S/R flip',
+
+    // Confluence
+    'confluence.direction.Bullish': '📈 Bullish',
+    'confluence.direction.Bearish': '📉 Bearish',
+    'confluence.direction.Neutral': '➖ Neutral',
+    'confluence.line': '🧮 Confluence (computed from data): {direction} | {score}/100',
+    'confluence.subtitle': 'Computed from the stored analyses, no AI',
+    'confluence.overall': 'Overall direction: {direction}',
+    'confluence.score': 'Alignment score: {score}/100 (Net {net})',
+    'confluence.tf_row': '{icon} {tf}: {direction} (weight {weight})',
+    'confluence.conflicts': '⚠️ Conflicts:',
+    'confluence.no_conflicts': '✅ No conflicting TFs',
+
+    // Batch summary
+    'batch.title': '🧩 Top-down overview (batch of {count} images)',
+    'batch.failed': 'analysis failed',
+    'batch.no_result': 'no result',
+    'batch.aligned': '🧭 Overall: {bias}, {count}/{total} TFs aligned',
+    'batch.mixed': '🧭 Overall: mixed (Bullish {bull} / Bearish {bear} / other {other})',
+    'batch.plan': '🎯 Plan from {tf}: {action} | Entry {entry} | SL {sl} | TP {tp}{rr}',
+
+    // History
+    'history.none': 'No analysis history for {symbol} yet',
+    'history.pick_tf': '🕘 Choose a TF to see its history ({symbol})',
+    'history.none_tf': 'No history for {symbol} TF: {tf} yet',
+    'history.title': '🕘 Analysis history {symbol} TF {tf} (last {count})',
+    'history.compare': '🔁 vs #{id}: {changes}',
+    'history.compare_none': '🔁 vs #{id}: no changes',
+    'history.diff_not_found': '❌ History entries to compare were not found',
+    'history.diff_title': '🔁 Compare {symbol} TF {tf}',
+    'history.diff_none': '- No change in Bias/Action/Entry/SL/TP',
+    'history.reasoning': '🧠 Reasoning #{id}:',
+    'history.back': '🕘 Back to history',
+
+    // Failed jobs
+    'failed.none': '✅ No failed analyses',
+    'failed.title': '⚠️ Failed analyses (last {count})',
+    'failed.item': '   ID …{id} | {at} | {attempts} attempt(s)',
+    'failed.cached': '   💾 Backup image kept: can retry even after the LINE image expires',
+    'failed.not_cached': '   ⚠️ No backup image (if the LINE image expired, please resend it)',
+    'failed.retry_button': '🔄 Retry item {num}',
+    'failed.retry_all_button': '🔄 Retry all',
+    'failed.auto_purge': '(Old entries are removed automatically)',
+    'failed.retry_not_found': '❌ Failed job not found (already retried or removed)',
+    'failed.requeued': '🔄 Re-queued {count} images\n📥 Follow the progress in the **Queue** menu',
+    'failed.reason.line': '📷 Could not fetch the image from LINE (it may have expired)',
+    'failed.reason.rate_limit': '🚦 AI temporarily rate limited (429)',
+    'failed.reason.server': '🛠️ AI temporarily unavailable (server error)',
+    'failed.reason.bad_output': '🧩 AI returned malformed output (JSON/schema error)',
+    'failed.reason.timeout': '⏱️ Took too long / got stuck',
+    'failed.reason.other': '❓ Other error',
+
+    // Settings
+    'settings.title': '⚙️ Settings\n\n{details}',
+    'settings.timezone_button': '🌏 Timezone',
+    'settings.date_format_button': '📅 Date format',
+    'settings.notify_button': '🔔 Notifications',
+    'settings.language_button': '🌐 ภาษา / Language',
+    'settings.describe': '🌐 Language: {language}\n🌏 Timezone: {timezone}\n📅 Date format: {date_format}\n🕒 Current time: {now}\n🔔 Notifications: {notify}',
+    'settings.notify_invalid': '⚠️ Invalid notification mode',
+    'settings.notify_title': '🔔 Notifications when an analysis finishes',
+    'settings.notify_body': '{header}\n\nCurrent: {current}\n\n- All results: push every finished analysis\n- BUY/SELL only: push only results with a trade signal\n- Off: no pushes (check the summary menu yourself)\n(Failed analyses are pushed too, unless notifications are off)',
+    'settings.notify.all': '🔔 All results',
+    'settings.notify.signals': '🎯 BUY/SELL only',
+    'settings.notify.off': '🔕 Off',
+    'settings.timezone_unknown': '⚠️ Unknown timezone "{zone}"\nUse an IANA name, e.g. TIMEZONE:Asia/Tokyo',
+    'settings.timezone_title': '🌏 Choose the timezone for times in messages\n\nCurrent: {timezone} ({now})\nOther zones can be typed, e.g. TIMEZONE:Europe/Berlin',
+    'settings.date_format_invalid': '⚠️ Invalid date format',
+    'settings.date_format_title': '📅 Choose a date format\n\nCurrent: {current}\n\n{examples}',
+    'settings.date_format.th': '🇹🇭 Thai (B.E.)',
+    'settings.date_format.en': '🌐 DD/MM/YYYY',
+    'settings.date_format.iso': '📅 YYYY-MM-DD',
+    'settings.language_invalid': '⚠️ Unsupported language (available: {languages})',
+    'settings.language_title': '🌐 Choose the language of menus, messages and AI analysis\n\nCurrent: {current}\n(Stored analyses show in any language, except summary text the AI already wrote)',
+
+    // Admin
+    'admin.only': '⛔ This command is for administrators only',
+    'admin.no_runs': '🧹 No maintenance runs yet (check the Cron Trigger in wrangler.toml)',
+    'admin.title': '🧹 Latest maintenance',
+    'admin.stuck': '- Stuck jobs: requeued {requeued} | set to error {failed}',
+    'admin.error_jobs': '- Old error jobs purged: {count}',
+    'admin.analyses': '- Expired analyses purged: {analyses} | history: {history}',
+    'admin.kv': '- Orphaned KV entries deleted: {count}',
+    'admin.batches': '- Batches: closed stuck {closed} | purged old {purged}',
+    'admin.models': '🤖 Analysis models (7 days)',
+    'admin.model_row': '- {model}: {total} runs | WAIT {waits} | High {high}',
+
+    // Trade style
+    'trade.mode.SCALP': 'Scalp',
+    'trade.mode.SWING': 'Swing',
+    'trade.menu': '⚡ Scalp/Swing analysis mode ({symbol})\n\nPick a mode (the latest stored chart data is used for the analysis)\n- Scalp: quick entries/exits, LTF trigger, HTF still sets the direction\n- Swing: hold for a move, H4/1D for structure, trigger from the next TF down',
+    'trade.no_data': '❌ No {symbol} chart data in the database yet\n\n📸 Please send chart screenshots first, then pick Scalp/Swing',
+    'trade.missing_critical': '❌ Missing key data for {mode} mode ({symbol}): {tfs}\n\n📸 Please send a **{tfs}** chart screenshot first so the analysis is safer and more accurate',
+    'trade.no_text': '⚠️ Analysis done, but no summary text could be generated',
+    'trade.error': '❌ {mode} analysis failed: {error}',
+
+    // Chat
+    'chat.empty': 'Sorry, I cannot answer right now',
+    'chat.rate_limit': '⏳ The AI is busy right now, please ask again in a moment',
+    'chat.ai_error': '⚠️ AI Error: Unable to process request.',
+    'chat.system_error': '⚠️ System Error during chat.',
+    'chat.new_topic': '🆕 New topic started: the earlier conversation was cleared\n\nGo ahead and ask',
+
+    // Prompt pieces
+    'prompt.language': 'English',
+    'prompt.chart_reply_format': '📢 Signal: [ACTION] (Confidence)\\n💱 Pair: [Symbol]\\n⏱️ TF: [Detected]\\n📚 Confluence: [TF list]\\n\\n🔍 Top-Down:\\n1️⃣ Structure: [HTF bias + current structure + conflict]\\n2️⃣ Value: [Key levels or \'No Man\'s Land\']\\n3️⃣ Trigger: [Patterns/Indicators]\\n\\n🎯 Setup:\\n- Entry: [Zone]\\n- TP: [Price]\\n- SL: [Price]\\n\\n💡 Summary: [Confluence strength + risks. Max 10-20 sentences]',
+    'prompt.trade_reply_format': '⚡ **Mode:** {mode}\\n📢 **Signal:** [ACTION] (Confidence/Probability%)\\n📚 **TFs used:** [List TFs]\\n\\n🔍 **Top-Down Analysis:**\\n1️⃣ **Structure (big picture):** [HTF bias, current structure, any conflict]\\n2️⃣ **Area of Value:** [Key levels/Fib zones]\\n3️⃣ **Entry Trigger:** [Patterns/Indicators]\\n\\n🎯 **Setup:**\\n- **Entry:** [Zone]\\n- **TP:** [Target]\\n- **SL:** [Stop]\\n\\n💡 **Summary:** [Confluence strength + risk warnings. Max 10-20 sentences. Do NOT output reasoning steps - think privately.]'
+  }
+};
+
+export function t(lang, key, params = {}) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+}
+
+// Human-readable duration ("3 นาที" / "3 min")
+export function formatDuration(seconds, lang = DEFAULT_LANGUAGE) {
+  const s = Math.max(0, Math.round(Number(seconds || 0)));
+  if (s < 60) return t(lang, 'common.seconds', { n: s });
+  const mins = Math.round(s / 60);
+  if (mins < 60) return t(lang, 'common.minutes', { n: mins });
+  const hours = Math.floor(mins / 60);
+  const remMins = mins % 60;
+  return remMins ? t(lang, 'common.hours_minutes', { h: hours, m: remMins }) : t(lang, 'common.hours', { n: hours });
+}
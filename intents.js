@@ -0,0 +1,174 @@
+import { normalizeTF, normalizeSymbol, listSymbolsFromRows, detectSymbolInText, safeError } from './utils.js';
+import { TF_VALIDITY_MS, TF_ORDER } from './config.js';
+import { getAllAnalyses } from './database.js';
+import { generateText } from './providers.js';
+import { INTENT_SCHEMA } from './schemas.js';
+
+// --- NATURAL-LANGUAGE COMMANDS (intent router) ---
+// Free text that asks for an action ("delete my H4", "that last chart was M30 not M15",
+// "re-analyze gold", "H4 summary", "scalp plan") is turned into the command the menus send, so it
+// runs through the same handler. Keyword rules come first; text they cannot place but that looks
+// like a request (a TF or an action word) goes to the model (kind 'intent'). Everything else,
+// and anything the model is not sure about, stays a chat question.
+//
+// Intents that rewrite stored data map to DEL_ASK / CHANGE_ASK / REANALYZE_ASK, which only ask for
+// confirmation: the data is changed by the DEL_EXEC / CHANGE_TF / REANALYZE quick reply, never by
+// the free text itself. Delete and re-analyze rules match the imperative form only ("delete my H4",
+// "refresh all"); other phrasings ("price may drop to H4 support") are left to the model.
+//
+// INTENT_ROUTER = auto (rules + model, default) | rules | off
+
+// Longer messages are questions or notes, not commands
+const MAX_COMMAND_LENGTH = 120;
+// "can you delete H4?" is left to the model: the rules would also fire on "why did H4 refresh?"
+const QUESTION = /[?？]\s*$|(ไหม|มั้ย|หรือเปล่า|ป่าว)\s*(ครับ|คะ|ค่ะ)?\s*$/;
+
+// TF as users type it: "H4", "4H", "15m", "D1", "daily" (not "1M": a minute or a month)
+const TF_WORDS = {
+  M1: 'M1', M5: 'M5', M15: 'M15', M30: 'M30', H1: 'H1', H4: 'H4', D1: '1D', '1D': '1D', W1: '1W', '1W': '1W',
+  '5M': 'M5', '15M': 'M15', '30M': 'M30', '1H': 'H1', '4H': 'H4',
+  DAILY: '1D', WEEKLY: '1W', HOURLY: 'H1', 'รายวัน': '1D', 'รายสัปดาห์': '1W'
+};
+const TF_TOKEN = '(?<![A-Z0-9])(' + Object.keys(TF_WORDS).sort((a, b) => b.length - a.length).join('|') + ')(?![A-Z0-9])';
+
+// ลบ only at a word start: "เชิงลบ" (negative) is not a delete
+const DELETE_WORDS = /\b(DELETE|REMOVE|ERASE)\b|(?:^|\s|ช่วย|ขอ)(?<!เชิง)ลบ/;
+const REANALYZE_WORDS = /\bRE-?ANALY[SZ]E\b|\bREFRESH\b|วิเคราะห์ใหม่|วิเคราะห์อีกครั้ง/;
+// Imperative: the verb opens the message and is followed by the TF or "my/all"
+const DELETE_COMMAND = new RegExp('^(?:PLEASE\\s+)?(?:DELETE|REMOVE|ERASE)\\s+(?:(?:MY|ALL|THE)\\s+)*' + TF_TOKEN
+  + '|^(?:ช่วย|ขอ)?ลบ\\s*(?:ข้อมูล\\s*)?' + TF_TOKEN);
+const REANALYZE_COMMAND = /^(?:PLEASE\s+)?(?:RE-?ANALY[SZ]E|REFRESH)(?:\s+(?:MY|ALL)\b|$)|^(?:ช่วย|ขอ)?วิเคราะห์(?:ใหม่|อีกครั้ง)/;
+const SUMMARY_WORDS = /\b(SUMMARY|SUMMARI[SZ]E|RECAP|SHOW)\b|สรุป|ขอดู/;
+const STYLE_WORDS = { SCALP: /\bSCALP(ING)?\b|เล่นสั้น/, SWING: /\bSWING\b|สวิง/ };
+const PLAN_WORDS = /\b(PLAN|SETUP|TRADE|SIGNAL)\b|แผน|เทรด/;
+const CHANGE_WORDS = /\b(CHANGE|SWITCH|RENAME|FIX|CORRECT|MOVE)\b|เปลี่ยน|แก้/;
+
+// "M30 not M15" / "not M15 but M30" / "change M15 to M30" -> { from, to } (named TFs)
+const CHANGE_PATTERNS = [
+  { re: new RegExp(TF_TOKEN + '\\s*,?\\s*(?:NOT|INSTEAD OF|RATHER THAN|ไม่ใช่)\\s*' + TF_TOKEN), from: 2, to: 1 },
+  { re: new RegExp('(?:NOT|ไม่ใช่)\\s*' + TF_TOKEN + '\\s*,?\\s*(?:BUT|IT\'?S|IT IS|IT WAS|แต่เป็น|แต่)\\s*' + TF_TOKEN), from: 1, to: 2 },
+  { re: new RegExp(TF_TOKEN + '.{0,20}?(?:\\bTO\\b|\\bINTO\\b|->|→|เป็น)\\s*' + TF_TOKEN), from: 1, to: 2, needsVerb: true }
+];
+
+function findTFs(upper) {
+  return [...upper.matchAll(new RegExp(TF_TOKEN, 'g'))].map(m => TF_WORDS[m[1]]);
+}
+
+// -> { intent, tf, toTF, mode } or null
+function matchRules(text) {
+  const upper = text.toUpperCase();
+  const tfs = [...new Set(findTFs(upper))];
+
+  for (const p of CHANGE_PATTERNS) {
+    const m = upper.match(p.re);
+    if (!m || (p.needsVerb && !CHANGE_WORDS.test(upper))) continue;
+    const from = TF_WORDS[m[p.from]];
+    const to = TF_WORDS[m[p.to]];
+    if (from !== to) return { intent: 'CHANGE_TF', tf: from, toTF: to };
+  }
+  const del = upper.match(DELETE_COMMAND);
+  if (del && tfs.length === 1) return { intent: 'DELETE_TF', tf: TF_WORDS[del[1] || del[2]] };
+  if (REANALYZE_COMMAND.test(upper)) return { intent: 'REANALYZE' };
+  if (SUMMARY_WORDS.test(upper) && tfs.length === 1) return { intent: 'SUMMARY_TF', tf: tfs[0] };
+
+  const modes = Object.keys(STYLE_WORDS).filter(mode => STYLE_WORDS[mode].test(upper));
+  if (modes.length && PLAN_WORDS.test(upper)) return { intent: 'TRADE_STYLE', mode: modes.length === 1 ? modes[0] : null };
+  return null;
+}
+
+// Only text that mentions a TF or an action is worth a model call
+function looksLikeCommand(text) {
+  const upper = text.toUpperCase();
+  return new RegExp(TF_TOKEN).test(upper)
+    || [DELETE_WORDS, REANALYZE_WORDS, CHANGE_WORDS, STYLE_WORDS.SCALP, STYLE_WORDS.SWING].some(re => re.test(upper));
+}
+
+async function classifyWithModel(userId, text, env) {
+  const prompt = 'Classify a message sent to a forex chart-analysis bot. It stores one analysis per pair and timeframe (' + TF_ORDER.join(', ') + ').\n'
+    + 'Intents:\n'
+    + '- DELETE_TF: remove the stored analysis of one TF (tf). "delete my H4", "get rid of the daily"\n'
+    + '- CHANGE_TF: a stored chart was saved under the wrong TF (tf = wrong, to_tf = correct). "that last chart was M30 not M15"\n'
+    + '- REANALYZE: re-evaluate the stored analyses. "refresh everything"\n'
+    + '- SUMMARY_TF: show the stored analysis of one TF (tf). "what did the H1 say"\n'
+    + '- TRADE_STYLE: build a trading plan (mode SCALP or SWING if named). "give me a swing plan"\n'
+    + '- CHAT: anything else, including questions ABOUT the market ("is H4 bullish?", "why not sell?")\n'
+    + 'symbol: the pair if named (e.g. XAUUSD), else null. confidence: Low when unsure; prefer CHAT over guessing an action.\n\n'
+    + 'Message: "' + text + '"\n\nReturn JSON only: {"intent": "...", "tf": null, "to_tf": null, "symbol": null, "mode": null, "confidence": "High|Medium|Low"}';
+
+  try {
+    const { parsed } = await generateText(env, {
+      kind: 'intent',
+      userId,
+      schema: INTENT_SCHEMA,
+      messages: [{ role: 'user', parts: [{ text: prompt }] }],
+      temperature: 0,
+      maxOutputTokens: 200
+    });
+    if (parsed.intent === 'CHAT' || parsed.confidence === 'Low') return null;
+    return { intent: parsed.intent, tf: parsed.tf, toTF: parsed.to_tf, mode: parsed.mode, symbol: parsed.symbol };
+  } catch (e) {
+    // Classification is best effort: the text is answered as a chat question instead
+    console.warn('[Intent] Classification failed:', safeError(e));
+    return null;
+  }
+}
+
+// An intent missing what its command needs is not an action
+function isComplete(match) {
+  const known = (tf) => !!TF_VALIDITY_MS[normalizeTF(tf)];
+  switch (match?.intent) {
+    case 'DELETE_TF':
+    case 'SUMMARY_TF':
+      return known(match.tf);
+    case 'CHANGE_TF':
+      return known(match.tf) && known(match.toTF) && normalizeTF(match.tf) !== normalizeTF(match.toTF);
+    case 'REANALYZE':
+    case 'TRADE_STYLE':
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Pair named in the text (or by the model); for DELETE / CHANGE, else the only pair holding that TF.
+// null leaves the choice to the command's pair picker.
+function resolvePair(match, text, rows) {
+  const knownSymbols = listSymbolsFromRows(rows);
+  const named = detectSymbolInText(text, knownSymbols) || (match.symbol ? normalizeSymbol(match.symbol) : null);
+  if (named && knownSymbols.includes(named)) return named;
+  if (match.intent !== 'DELETE_TF' && match.intent !== 'CHANGE_TF') return null;
+  const holders = knownSymbols.filter(sym => rows.some(r => normalizeSymbol(r.symbol) === sym && normalizeTF(r.tf) === match.tf));
+  return holders.length === 1 ? holders[0] : null;
+}
+
+function toCommand(match, symbol) {
+  const suffix = symbol ? ':' + symbol : '';
+  switch (match.intent) {
+    case 'DELETE_TF': return `DEL_ASK:${match.tf}${suffix}`;
+    case 'CHANGE_TF': return `CHANGE_ASK:${match.tf}:TO:${match.toTF}${suffix}`;
+    case 'REANALYZE': return `REANALYZE_ASK${suffix}`;
+    case 'SUMMARY_TF': return `SUMMARY_TF:${match.tf}${suffix}`;
+    case 'TRADE_STYLE': return match.mode ? `TRADE_STYLE:${match.mode}${suffix}` : (symbol ? `TRADE_STYLE:${symbol}` : 'TRADE_STYLE');
+    default: return null;
+  }
+}
+
+// Free text -> the menu command it asks for (e.g. "DEL_ASK:H4:XAUUSD"), or null for chat
+export async function routeIntent(userId, text, env) {
+  const mode = String(env.INTENT_ROUTER || 'auto').trim().toLowerCase();
+  const message = String(text || '').trim();
+  if (mode === 'off' || !message || message.length > MAX_COMMAND_LENGTH) return null;
+
+  let match = QUESTION.test(message) ? null : matchRules(message);
+  if (!match && mode === 'auto' && looksLikeCommand(message)) {
+    match = await classifyWithModel(userId, message, env);
+  }
+  if (!isComplete(match)) return null;
+
+  match = { ...match, tf: normalizeTF(match.tf), toTF: normalizeTF(match.toTF) };
+  const rows = (await getAllAnalyses(userId, env)).filter(r => !String(r.tf || '').startsWith('_'));
+  const command = toCommand(match, resolvePair(match, message, rows));
+  // Never the message text or user ID: logs are persisted
+  console.log(`[Intent] Routed to ${command}`);
+  return command;
+}
@@ -0,0 +1,563 @@
+import { normalizeTF, normalizeSymbol, safeError, arrayBufferToBase64, promiseWithTimeout } from './utils.js';
+import { getContentFromLine } from './line.js';
+import { analyzeChartStructured, detectChartsMeta } from './ai.js';
+import { saveImageToKV, getImageFromKV, cleanupAnalysisFromKV } from './kv.js';
+import { getAllAnalyses, saveAnalysis, saveMarker } from './database.js';
+import { notifyAnalysisDone, notifyAnalysisFailed, notifyBatchSummary } from './notify.js';
+import { formatBatchSummary } from './formatters.js';
+import { BATCH_ORDERING_GRACE_MS, getOpenBatchWindowEnd, claimDueBatches, markBatchRunning, listBatchJobs, countBatchJobs, orderJobsTopDown, applyBatchOrder, completeBatchIfFinished, saveBatchSummary } from './batches.js';
+import { acquireAiSlot, releaseAiSlot } from './ratelimit.js';
+import { isRateLimitedCall } from './providers.js';
+import { normalizeKeyLevels } from './levels.js';
+import { getUserLanguage } from './settings.js';
+import { claimNextQueuedJob, requeueJob, markJobDone, markJobError, getNextQueuedDueAt, getUserQueueStats, newLeaseOwner, renewJobLease, getJobLeaseMs } from './queue.js';
+
+// --- ANALYSIS JOB RUNNER (Cloudflare Queues consumer) ---
+// analysis_jobs (D1) stays the source of truth for ordering/status; the Cloudflare Queue only
+// carries "wake up user X" messages. One message = claim + analyze + store ONE job, then the
+// runner sends a new message if that user still has queued jobs (chain).
+//
+// Each claim holds a lease that a heartbeat renews while the analysis runs; if this invocation
+// dies, the lease expires and the next message for that user takes the job over.
+//
+// Local testing: `wrangler dev` runs the producer and consumer in Miniflare.
+
+// The model fallback chain enforces the budget itself; the outer timeout is only a safety net
+const AI_BUDGET_GRACE_MS = 2000;
+
+// Producer: ask the consumer to process the next queued job of this user.
+// options.delayMs: deliver later (e.g. when an upload batch window closes).
+// Without an ANALYSIS_QUEUE binding (misconfigured env), fall back to running inline.
+export async function scheduleUserQueue(userId, env, ctx = null, options = {}) {
+  const delayMs = Math.max(0, Number(options.delayMs || 0));
+
+  if (env.ANALYSIS_QUEUE) {
+    const sendOptions = delayMs ? { delaySeconds: Math.ceil(delayMs / 1000) } : undefined;
+    await env.ANALYSIS_QUEUE.send({ type: 'process_user_queue', userId }, sendOptions);
+    return;
+  }
+
+  console.warn('[Jobs] ANALYSIS_QUEUE not configured, processing inline');
+  const run = new Promise(resolve => setTimeout(resolve, delayMs))
+    .then(() => processNextJobForUser(userId, env))
+    .then(res => scheduleFollowUp(userId, res, env, ctx))
+    .catch(e => console.error('[Jobs] Inline processing failed:', safeError(e)));
+  if (ctx && ctx.waitUntil) ctx.waitUntil(run);
+}
+
+// Chain to the next job, or come back when a batch window closes / a backed-off retry is due
+function scheduleFollowUp(userId, res, env, ctx) {
+  if (res.hasMore) return scheduleUserQueue(userId, env, ctx);
+  if (res.retryAfterMs) return scheduleUserQueue(userId, env, ctx, { delayMs: res.retryAfterMs });
+  return null;
+}
+
+// Queue consumer entry point (worker.js `queue` handler)
+export async function handleQueueBatch(batch, env, ctx) {
+  for (const message of batch.messages) {
+    const userId = message.body?.userId;
+    if (!userId) {
+      message.ack();
+      continue;
+    }
+
+    try {
+      const res = await processNextJobForUser(userId, env);
+      await scheduleFollowUp(userId, res, env, ctx);
+      message.ack();
+    } catch (e) {
+      // Infrastructure error (DB/queue); the job row is untouched or reaped by maintenance
+      console.error(`[Jobs] Message for ${userId} failed, retrying:`, safeError(e));
+      message.retry();
+    }
+  }
+}
+
+// Claims exactly one job for the user and runs it to completion.
+// Returns { processed, hasMore, retryAfterMs } so the caller can chain to the next job.
+export async function processNextJobForUser(userId, env) {
+  await prepareDueBatches(userId, env);
+  const job = await claimNextQueuedJob(userId, env, newLeaseOwner(), BATCH_ORDERING_GRACE_MS);
+
+  if (!job) {
+    // Queued images may be held by a batch window that is still open, or wait out a retry backoff
+    const now = Date.now();
+    const windowEnd = await getOpenBatchWindowEnd(userId, env);
+    const dueAt = await getNextQueuedDueAt(userId, env);
+
+    // Nothing to do (or already processing)
+    try {
+      const stats = await getUserQueueStats(userId, env);
+      const marker = {
+        status: (stats.processing_count > 0 ? 'busy' : 'idle'),
+        queued: stats.queued_count,
+        processing: stats.processing_count,
+        idleAt: now
+      };
+      if (dueAt > now) {
+        marker.nextAttemptAt = dueAt;
+      }
+      await saveMarker(userId, '_JOB', now, marker, env);
+    } catch (_) {}
+
+    const wakeAt = [windowEnd, dueAt].filter(t => t && t > now);
+    const retryAfterMs = wakeAt.length ? Math.min(...wakeAt) - now + 1000 : null;
+    return { processed: false, hasMore: false, retryAfterMs };
+  }
+
+  const internalTimeoutMs = Math.max(8000, Number(env.INTERNAL_AI_TIMEOUT_MS || 15000));
+  const maxAttempts = Math.max(1, Number(env.INTERNAL_MAX_RETRY || 3));
+  const attempt = Number(job.attempt || 0);
+
+  // A taken-over job already burned an attempt on the runner that lost its lease
+  if (job.taken_over && attempt > maxAttempts) {
+    console.warn(`[Job ${job.job_id}] Lease expired too many times (attempt ${attempt}/${maxAttempts})`);
+    await failJob(userId, job, env, 'Lease expired repeatedly (runner crashed or timed out)', attempt, maxAttempts);
+    return { processed: true, ...(await nextRunHint(userId, env)) };
+  }
+
+  console.log(`[Job ${job.job_id}] Starting analysis with timeout: ${internalTimeoutMs}ms${job.taken_over ? ' (lease takeover)' : ''}`);
+
+  // Write job marker for visibility (single row per-user)
+  try {
+    const stats = await getUserQueueStats(userId, env);
+    await saveMarker(userId, '_JOB', job.started_at, {
+      status: 'processing',
+      jobId: job.job_id,
+      messageId: job.message_id,
+      attempt,
+      maxAttempts,
+      internalTimeoutMs,
+      queued_after_claim: stats.queued_count,
+      startedAt: job.started_at
+    }, env);
+  } catch (e) {
+    console.error("Failed to write _JOB marker:", safeError(e));
+  }
+
+  const heartbeat = startLeaseHeartbeat(job, env);
+  try {
+    await performAnalysis(userId, job, internalTimeoutMs, maxAttempts, env, heartbeat);
+  } finally {
+    heartbeat.stop();
+  }
+
+  return { processed: true, ...(await nextRunHint(userId, env)) };
+}
+
+// After a job: chain right away if a queued job is due, else come back when the earliest backoff ends
+async function nextRunHint(userId, env) {
+  const dueAt = await getNextQueuedDueAt(userId, env);
+  if (dueAt == null) return { hasMore: false };
+  const waitMs = dueAt - Date.now();
+  return waitMs <= 0 ? { hasMore: true } : { hasMore: false, retryAfterMs: waitMs + 1000 };
+}
+
+// --- BATCH ORDERING ---
+
+// Orders every batch whose window has closed (HTF -> LTF), then releases its jobs to the claim
+async function prepareDueBatches(userId, env) {
+  const batchIds = await claimDueBatches(userId, env);
+  for (const batchId of batchIds) {
+    try {
+      await orderBatch(userId, batchId, env);
+    } catch (e) {
+      console.warn(`[Batch ${batchId}] Ordering failed, keeping arrival order:`, safeError(e));
+    }
+    await markBatchRunning(batchId, env);
+    // Every job may have been cancelled while the window was open
+    await finishBatchIfComplete(userId, batchId, env);
+  }
+}
+
+async function orderBatch(userId, batchId, env) {
+  const jobs = (await listBatchJobs(batchId, env)).filter(j => j.status === 'queued');
+  if (jobs.length < 2) return;
+
+  // Load + cache every image once; the analyses read the KV copy
+  const loaded = [];
+  for (const job of jobs) {
+    try {
+      const { base64Image, contentType } = await loadJobImage(userId, job, env);
+      if (env.ANALYSIS_KV) await saveImageToKV(env.ANALYSIS_KV, userId, job.job_id, base64Image, contentType, 0);
+      loaded.push({ job, image: { base64: base64Image, mimeType: contentType } });
+    } catch (e) {
+      console.warn(`[Batch ${batchId}] Image for ${job.job_id} unavailable for pre-scan:`, safeError(e));
+    }
+  }
+  if (loaded.length < 2) return;
+
+  const timeoutMs = Math.max(8000, Number(env.INTERNAL_AI_TIMEOUT_MS || 15000));
+  const controller = new AbortController();
+  let metas;
+  let slot = null;
+  try {
+    // Wait for the global AI limiter before the timeout clock starts
+    if (isRateLimitedCall(env, 'prescan')) slot = await acquireAiSlot(env, { userId, kind: 'prescan' });
+    metas = await promiseWithTimeout(
+      detectChartsMeta(loaded.map(l => l.image), env, { userId, slot, signal: controller.signal, budgetMs: timeoutMs }),
+      timeoutMs + AI_BUDGET_GRACE_MS
+    );
+  } finally {
+    try { controller.abort(); } catch (_) {}
+    await releaseAiSlot(env, slot);
+  }
+
+  loaded.forEach((l, i) => {
+    l.job.pre_tf = metas[i]?.tf || null;
+    l.job.pre_symbol = metas[i]?.symbol || null;
+  });
+
+  const ordered = orderJobsTopDown(jobs);
+  await applyBatchOrder(ordered, env);
+  console.log(`[Batch ${batchId}] Ordered: ${ordered.map(j => `${j.pre_symbol || '?'} ${j.pre_tf || '?'}`).join(' -> ')}`);
+}
+
+// Closes the batch after its last job; multi-image batches get the combined summary (stored + pushed)
+export async function finishBatchIfComplete(userId, batchId, env) {
+  if (!batchId) return;
+  try {
+    if (!(await completeBatchIfFinished(batchId, env))) return;
+    const jobs = await listBatchJobs(batchId, env);
+    if (jobs.length < 2) return;
+
+    // Stored as rendered text: in the user's language at the time the batch finished
+    const summary = formatBatchSummary(jobs, await getAllAnalyses(userId, env), await getUserLanguage(userId, env));
+    await saveBatchSummary(batchId, summary.text, env);
+    await notifyBatchSummary(userId, summary, env);
+  } catch (e) {
+    console.error(`[Batch ${batchId}] Failed to finish batch:`, safeError(e));
+  }
+}
+
+// Renews the job lease every third of its duration until stopped (or until the lease is lost)
+function startLeaseHeartbeat(job, env) {
+  const intervalMs = Math.floor(getJobLeaseMs(env) / 3);
+  let lost = false;
+  let stopped = false;
+  let timer = null;
+
+  const beat = async () => {
+    if (stopped) return;
+    try {
+      if (!(await renewJobLease(job.job_id, job.lease_owner, env))) {
+        lost = true;
+        console.warn(`[Job ${job.job_id}] Lease lost; results from this runner will be discarded`);
+        return;
+      }
+    } catch (e) {
+      console.warn(`[Job ${job.job_id}] Lease heartbeat failed:`, safeError(e));
+    }
+    if (!stopped) timer = setTimeout(beat, intervalMs);
+  };
+  timer = setTimeout(beat, intervalMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    isLost: () => lost
+  };
+}
+
+// Final lease check right before writing results
+async function stillOwnsLease(job, env, heartbeat) {
+  if (heartbeat?.isLost()) return false;
+  try {
+    return await renewJobLease(job.job_id, job.lease_owner, env);
+  } catch (_) {
+    return false;
+  }
+}
+
+async function loadJobImage(userId, job, env) {
+  // Batch images were already cached by the pre-scan
+  if (job.batch_id && env.ANALYSIS_KV) {
+    const cached = await getImageFromKV(env.ANALYSIS_KV, userId, job.job_id).catch(() => null);
+    if (cached && cached.base64) {
+      return { base64Image: cached.base64, contentType: cached.contentType || 'image/jpeg' };
+    }
+  }
+
+  // Fetch image from LINE - with fallback to cached version if fetch fails
+  try {
+    const result = await getContentFromLine(job.message_id, env);
+    return { base64Image: arrayBufferToBase64(result.arrayBuffer), contentType: result.contentType };
+  } catch (lineErr) {
+    console.warn(`[Job ${job.job_id}] Failed to fetch from LINE API:`, safeError(lineErr));
+    const cachedImg = env.ANALYSIS_KV ? await getImageFromKV(env.ANALYSIS_KV, userId, job.job_id) : null;
+    if (cachedImg && cachedImg.base64) {
+      console.log(`[Job ${job.job_id}] Recovered from cached image in KV`);
+      return { base64Image: cachedImg.base64, contentType: cachedImg.contentType || 'image/jpeg' };
+    }
+    const err = new Error(`Cannot fetch image from LINE and no cached version available: ${lineErr.message}`);
+    // Keep the HTTP status / Retry-After so a LINE 429/5xx is retried with backoff
+    err.status = lineErr.status;
+    err.retryAfterMs = lineErr.retryAfterMs;
+    throw err;
+  }
+}
+
+// No model answered in time. Retryable (408): the job goes back to the queue with backoff instead of
+// storing a placeholder analysis over the user's real data.
+function analysisTimeoutError(cause) {
+  const err = new Error(`AI analysis timeout: ${String(cause?.message || cause).slice(0, 200)}`);
+  err.status = 408;
+  err.retryable = true;
+  return err;
+}
+
+// Timeout: retry once from the KV-cached image with a shorter budget, else throw (retried later)
+async function recoverFromTimeout(userId, job, existingRows, internalTimeoutMs, env, slot = null, cause = null, language = null) {
+  const attemptRecovery = Number(job.attempt || 0) + 1;
+  const maxRecoveryAttempts = 2;
+  if (attemptRecovery > maxRecoveryAttempts) {
+    console.log('[Timeout Recovery] Max recovery attempts exceeded');
+    throw analysisTimeoutError(cause);
+  }
+
+  console.log(`[Timeout Recovery] Attempt ${attemptRecovery}/${maxRecoveryAttempts} - Fetching from KV and retrying`);
+  let cachedImg = null;
+  try {
+    cachedImg = env.ANALYSIS_KV ? await getImageFromKV(env.ANALYSIS_KV, userId, job.job_id) : null;
+  } catch (kvErr) {
+    console.error('[Timeout Recovery] KV fetch failed:', safeError(kvErr));
+  }
+  if (!cachedImg || !cachedImg.base64) {
+    console.warn('[Timeout Recovery] No cached image in KV');
+    throw analysisTimeoutError(cause);
+  }
+
+  const recoveryTimeoutMs = Math.max(5000, internalTimeoutMs / 2);
+  const recoveryController = new AbortController();
+  try {
+    const result = await promiseWithTimeout(
+      analyzeChartStructured(userId, cachedImg.base64, existingRows, env, { mimeType: cachedImg.contentType, signal: recoveryController.signal, slot, budgetMs: recoveryTimeoutMs, language }),
+      recoveryTimeoutMs + AI_BUDGET_GRACE_MS
+    );
+    console.log('[Timeout Recovery] Success! Analysis completed on recovery attempt');
+    result._recovery_attempt = attemptRecovery;
+    return result;
+  } catch (recoveryErr) {
+    console.warn('[Timeout Recovery] Recovery attempt also failed:', safeError(recoveryErr));
+    // Invalid output, auth, ... keep their own classification; anything else is still a timeout
+    if (recoveryErr?.category && !['timeout', 'network'].includes(recoveryErr.category)) throw recoveryErr;
+    throw analysisTimeoutError(recoveryErr);
+  } finally {
+    try { recoveryController.abort(); } catch (_) {}
+  }
+}
+
+// Normalize + store rich analysis
+export function buildStoredAnalysis(analysisResult) {
+  const detectedTF = normalizeTF(analysisResult?.detected_tf || "Unknown_TF");
+  const symbol = normalizeSymbol(analysisResult?.symbol);
+
+  const detailed = analysisResult?.detailed_technical_data || {};
+  const toStore = {
+    symbol,
+    detected_tf: detectedTF,
+    tfs_used_for_confluence: analysisResult?.tfs_used_for_confluence || [],
+    request_update_for_tf: analysisResult?.request_update_for_tf || null,
+    trend_bias: detailed.trend_bias || detailed?.structure?.trend_bias || 'Unknown',
+    trade_setup: detailed.trade_setup || detailed?.setup || {},
+    reasoning_trace: analysisResult?.reasoning_trace || detailed?.reasoning_trace || [],
+    structure: detailed.structure || detailed?.priority_1_structure || {},
+    value: detailed.value || detailed?.priority_2_value || {},
+    trigger: detailed.trigger || detailed?.priority_3_trigger || {},
+    indicators: detailed.indicators || {},
+    patterns: detailed.patterns || [],
+    key_levels: normalizeKeyLevels(detailed.key_levels),
+    raw_extraction: detailed.raw_extraction || {},
+    notes: detailed.notes || null,
+    // The model's reply, shown as the Summary line (push and SUMMARY_TF)
+    user_response_text: analysisResult?.user_response_text || null,
+    // Which model produced it ("provider:model")
+    ai_model: analysisResult?._model || null
+  };
+
+  // If the model requests TF update, keep it as WAIT + include a clear trace (so user sees it via Summary)
+  if (Array.isArray(analysisResult?.request_update_for_tf) && analysisResult.request_update_for_tf.length > 0) {
+    toStore.trade_setup = { ...(toStore.trade_setup || {}), action: 'WAIT', confidence: 'Low' };
+    const need = analysisResult.request_update_for_tf.join(', ');
+    const rt = Array.isArray(toStore.reasoning_trace) ? toStore.reasoning_trace : [];
+    rt.push(`Decision: WAIT (needs updated TF charts: ${need})`);
+    toStore.reasoning_trace = rt;
+  }
+
+  return { symbol, detectedTF, toStore };
+}
+
+async function failJob(userId, job, env, msg, attempt, maxAttempts) {
+  if (!(await markJobError(job.job_id, env, msg, job.lease_owner))) return;
+  const errAt = Date.now();
+  await saveMarker(userId, '_JOB', errAt, {
+    status: 'error',
+    jobId: job.job_id,
+    messageId: job.message_id,
+    attempt,
+    maxAttempts,
+    error: msg,
+    errAt
+  }, env);
+  await notifyAnalysisFailed(userId, job, msg, env);
+  await finishBatchIfComplete(userId, job.batch_id, env);
+}
+
+// --- RETRY BACKOFF ---
+// Transient errors (rate limit / server) re-queue the job with not_before = now + delay:
+// RETRY_BASE_MS * 2^(attempt-1) with +-25% jitter, capped at RETRY_MAX_MS. A Retry-After hint
+// from Gemini/LINE wins when it is longer (bounded by MAX_RETRY_AFTER_MS).
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+function isRetryableError(err) {
+  // Classified by the provider layer (providers.js)
+  if (typeof err?.retryable === 'boolean') return err.retryable;
+  if (RETRYABLE_STATUSES.has(Number(err?.status))) return true;
+  const msg = String(err?.message || err);
+  return msg.includes('429') || msg.includes('503') || msg.includes('500');
+}
+
+export function computeRetryDelayMs(attempt, retryAfterMs, env) {
+  const base = Math.max(1000, Number(env.RETRY_BASE_MS || 15000));
+  const cap = Math.max(base, Number(env.RETRY_MAX_MS || 10 * 60 * 1000));
+  const backoff = Math.min(cap, base * 2 ** Math.max(0, attempt - 1) * (0.75 + Math.random() * 0.5));
+  const hinted = Math.min(MAX_RETRY_AFTER_MS, Math.max(0, Number(retryAfterMs) || 0));
+  return Math.round(Math.max(backoff, hinted));
+}
+
+async function retryOrFailJob(userId, job, env, err, attempt, maxAttempts) {
+  const msg = String(err?.message || err);
+  const nextAttempt = attempt + 1;
+
+  if (!isRetryableError(err) || nextAttempt > maxAttempts) {
+    console.log(`[Job ${job.job_id}] Non-retryable error or max attempts exceeded: ${msg}`);
+    await failJob(userId, job, env, msg, nextAttempt, maxAttempts);
+    return;
+  }
+
+  const retryAt = Date.now();
+  const delayMs = computeRetryDelayMs(nextAttempt, err?.retryAfterMs, env);
+  const nextAttemptAt = retryAt + delayMs;
+  console.log(`[Job ${job.job_id}] Retryable error (attempt ${nextAttempt}/${maxAttempts}), next try in ${Math.round(delayMs / 1000)}s${err?.retryAfterMs ? ' (Retry-After)' : ''}: ${msg}`);
+  if (!(await requeueJob(job.job_id, env, nextAttempt, msg, job.lease_owner, nextAttemptAt))) return;
+
+  await saveMarker(userId, '_JOB', retryAt, {
+    status: 'retrying',
+    jobId: job.job_id,
+    messageId: job.message_id,
+    attempt: nextAttempt,
+    maxAttempts,
+    lastError: msg,
+    retryAt,
+    nextAttemptAt,
+    retryInMs: delayMs
+  }, env);
+}
+
+// Runs one claimed job: image -> AI -> D1. Never throws; outcome is recorded on the job row.
+async function performAnalysis(userId, job, internalTimeoutMs, maxAttempts, env, heartbeat) {
+  const attempt = Number(job.attempt || 0);
+
+  try {
+    const { base64Image, contentType } = await loadJobImage(userId, job, env);
+
+    // Cache image in KV for timeout recovery & retry capability
+    try {
+      if (env.ANALYSIS_KV) {
+        await saveImageToKV(env.ANALYSIS_KV, userId, job.job_id, base64Image, contentType, attempt);
+      } else {
+        console.warn(`[Job ${job.job_id}] ANALYSIS_KV not configured, skipping cache`);
+      }
+    } catch (kvErr) {
+      console.warn(`[Job ${job.job_id}] Failed to cache image to KV:`, safeError(kvErr));
+    }
+
+    const existingRows = (await getAllAnalyses(userId, env)).filter(r => !String(r.tf || '').startsWith('_'));
+    const language = await getUserLanguage(userId, env);
+    const controller = new AbortController();
+
+    let analysisResult;
+    let slot = null;
+    try {
+      // Wait for the global AI limiter (fair across users) before the timeout clock starts;
+      // the same slot covers the timeout recovery attempt
+      if (isRateLimitedCall(env, 'chart')) slot = await acquireAiSlot(env, { userId, kind: 'chart' });
+      analysisResult = await promiseWithTimeout(
+        analyzeChartStructured(userId, base64Image, existingRows, env, { mimeType: contentType, signal: controller.signal, likelyTf: job.pre_tf, slot, budgetMs: internalTimeoutMs, language }),
+        internalTimeoutMs + AI_BUDGET_GRACE_MS
+      );
+    } catch (err) {
+      // Abort original request to free resources immediately
+      try { controller.abort(); } catch (_) {}
+      const msg = String(err?.message || err);
+      const isTimeout = err && (err.name === 'TimeoutError' || err.name === 'AbortError');
+
+      if (!isTimeout) {
+        await retryOrFailJob(userId, job, env, err, attempt, maxAttempts);
+        return;
+      }
+      console.warn('AI analysis timeout, attempting recovery from KV cache:', msg);
+      try {
+        analysisResult = await recoverFromTimeout(userId, job, existingRows, internalTimeoutMs, env, slot, err, language);
+      } catch (recoveryErr) {
+        await retryOrFailJob(userId, job, env, recoveryErr, attempt, maxAttempts);
+        return;
+      }
+    } finally {
+      try { controller.abort(); } catch (_) {}
+      await releaseAiSlot(env, slot);
+    }
+
+    // Output that failed schema validation never gets here: generateText throws 'bad_output', which
+    // fails the job (FAILED inbox offers a retry) without touching the stored analyses
+
+    // Another runner took the job over (our lease expired): do not overwrite its results
+    if (!(await stillOwnsLease(job, env, heartbeat))) {
+      console.warn(`[Job ${job.job_id}] Lease lost before storing; discarding result`);
+      return;
+    }
+
+    const { symbol, detectedTF, toStore } = buildStoredAnalysis(analysisResult);
+    await saveAnalysis(userId, symbol, detectedTF, Date.now(), toStore, env);
+    console.log(`[Job ${job.job_id}] Analysis saved for ${symbol} TF: ${detectedTF}`);
+
+    if (!(await markJobDone(job.job_id, env, detectedTF, job.lease_owner, symbol))) return;
+    console.log(`[Job ${job.job_id}] Job marked as done`);
+
+    // Update _JOB summary
+    const doneAt = Date.now();
+    const stats = await getUserQueueStats(userId, env);
+    await saveMarker(userId, '_JOB', doneAt, {
+      status: 'done',
+      jobId: job.job_id,
+      messageId: job.message_id,
+      resultTF: detectedTF,
+      resultSymbol: symbol,
+      remainingQueued: stats.queued_count,
+      doneAt
+    }, env);
+
+    // Multi-image batches get one combined summary instead of a push per image
+    const inBatch = job.batch_id && (await countBatchJobs(job.batch_id, env)) > 1;
+    if (!inBatch) await notifyAnalysisDone(userId, { symbol, tf: detectedTF }, toStore, env);
+
+    // Clean up cached image and state from KV (analysis is complete)
+    if (env.ANALYSIS_KV) {
+      await cleanupAnalysisFromKV(env.ANALYSIS_KV, userId, job.job_id);
+      console.log(`[Job ${job.job_id}] Cleaned up KV cache and state`);
+    }
+
+    await finishBatchIfComplete(userId, job.batch_id, env);
+  } catch (e) {
+    console.error("Background analysis failed:", safeError(e));
+    try {
+      await retryOrFailJob(userId, job, env, e, attempt, maxAttempts);
+    } catch (e2) {
+      console.error("Failed to update _JOB marker (error):", safeError(e2));
+    }
+  }
+}
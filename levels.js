@@ -0,0 +1,109 @@
+import { normalizeTF } from './utils.js';
+import { TF_ORDER } from './config.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- KEY LEVELS ---
+// Each analysis stores detailed key levels as numbers: key_levels = [{ price, type, strength, label }].
+// buildConfluenceZones() merges the levels of all fresh TFs of one pair, clusters prices closer than
+// LEVELS_CLUSTER_PCT (% of price) into zones, and ranks the zones by how many TFs agree on them.
+
+export const LEVEL_TYPES = ['support', 'resistance', 'fib'];
+export const LEVEL_STRENGTHS = ['strong', 'medium', 'weak'];
+
+const MAX_LEVELS_PER_TF = 12;
+const MAX_ZONES = 8;
+const STRENGTH_SCORE = { strong: 3, medium: 2, weak: 1 };
+// Tie-breaker between zones backed by the same number of TFs: higher TFs weigh more
+const TF_WEIGHT = { '1W': 3, '1D': 2.5, 'H4': 2, 'H1': 1.5, 'M30': 1.2, 'M15': 1, 'M5': 0.8, 'M1': 0.6 };
+
+const TYPE_ICON = { support: '🟩', resistance: '🟥', fib: '🟨', flip: '🟧' };
+
+const formatPrice = (n) => String(Math.round(n * 1e5) / 1e5);
+
+// Stored or model-supplied levels -> clean list (legacy rows have prose only -> [])
+export function normalizeKeyLevels(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map(l => ({
+      price: Number(l?.price),
+      type: String(l?.type || '').toLowerCase(),
+      strength: LEVEL_STRENGTHS.includes(String(l?.strength || '').toLowerCase()) ? String(l.strength).toLowerCase() : 'medium',
+      label: l?.label ? String(l.label).slice(0, 60) : null
+    }))
+    .filter(l => Number.isFinite(l.price) && l.price > 0 && LEVEL_TYPES.includes(l.type))
+    .slice(0, MAX_LEVELS_PER_TF);
+}
+
+// Compact one-line form for prompts: "S 2640 (strong), R 2680 (medium)"
+export function formatLevelsInline(levels) {
+  const abbr = { support: 'S', resistance: 'R', fib: 'Fib' };
+  return normalizeKeyLevels(levels).map(l => `${abbr[l.type]} ${formatPrice(l.price)} (${l.strength})`).join(', ');
+}
+
+function getClusterRatio(env) {
+  return Math.max(0.01, Number(env.LEVELS_CLUSTER_PCT || 0.15)) / 100;
+}
+
+function zoneType(levels) {
+  const hasSupport = levels.some(l => l.type === 'support');
+  const hasResistance = levels.some(l => l.type === 'resistance');
+  if (hasSupport && hasResistance) return 'flip';
+  if (hasSupport) return 'support';
+  if (hasResistance) return 'resistance';
+  return 'fib';
+}
+
+// rows: fresh analyses of ONE pair as [{ tf, data }] -> ranked zones
+export function buildConfluenceZones(rows, env) {
+  const ratio = getClusterRatio(env);
+  const points = (rows || [])
+    .flatMap(r => normalizeKeyLevels(r.data?.key_levels).map(l => ({ ...l, tf: normalizeTF(r.tf) })))
+    .sort((a, b) => a.price - b.price);
+
+  // Greedy clustering from the low end; a zone never grows wider than the tolerance (no chaining)
+  const clusters = [];
+  for (const p of points) {
+    const last = clusters[clusters.length - 1];
+    if (last && p.price - last[0].price <= p.price * ratio) last.push(p);
+    else clusters.push([p]);
+  }
+
+  const zones = clusters.map(levels => {
+    const tfs = [...new Set(levels.map(l => l.tf))].sort((a, b) => TF_ORDER.indexOf(a) - TF_ORDER.indexOf(b));
+    return {
+      low: levels[0].price,
+      high: levels[levels.length - 1].price,
+      mid: levels.reduce((s, l) => s + l.price, 0) / levels.length,
+      type: zoneType(levels),
+      tfs,
+      score: levels.reduce((s, l) => s + STRENGTH_SCORE[l.strength] * (TF_WEIGHT[l.tf] || 1), 0),
+      levels
+    };
+  });
+
+  zones.sort((a, b) => b.tfs.length - a.tfs.length || b.score - a.score);
+  return zones.slice(0, MAX_ZONES);
+}
+
+// tfsUsed: fresh TFs that had levels; tfsWithout: fresh TFs analysed before levels were stored
+export function formatLevelsMessage(symbol, zones, tfsUsed, tfsWithout = [], lang = DEFAULT_LANGUAGE) {
+  const typeLabel = (type) => t(lang, `levels.type.${type}`);
+  const lines = [t(lang, 'levels.title', { symbol })];
+  lines.push(t(lang, 'levels.tfs_used', { tfs: tfsUsed.length ? tfsUsed.join(', ') : '-' }));
+  lines.push(t(lang, 'levels.sorted'));
+
+  zones.forEach((z, i) => {
+    const range = z.low === z.high ? formatPrice(z.low) : `${formatPrice(z.low)}-${formatPrice(z.high)}`;
+    lines.push('');
+    lines.push(`${i + 1}. ${TYPE_ICON[z.type]} ${range} | ${typeLabel(z.type)} | ${z.tfs.length} TF (${z.tfs.join(', ')})`);
+    for (const l of z.levels) {
+      lines.push(`   - ${l.tf}: ${typeLabel(l.type)} ${formatPrice(l.price)} (${l.strength})${l.label ? ' ' + l.label : ''}`);
+    }
+  });
+
+  if (tfsWithout.length) {
+    lines.push('');
+    lines.push(t(lang, 'levels.tfs_without', { tfs: tfsWithout.join(', ') }));
+  }
+  return lines.join('\n');
+}
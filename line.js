@@ -1,5 +1,7 @@
 import { CANCEL_TEXT } from './config.js';
-import { mainMenu } from './menus.js';
+import { isMainMenu } from './menus.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+import { httpError } from './utils.js';
 
 // --- QUICK REPLY HELPERS (Global Cancel) ---
 
@@ -11,13 +13,13 @@ function ensureQuickReplyLimit(quickReply) {
   return quickReply;
 }
 
-function addCancelQuickReply(quickReply, includeCancel) {
+function addCancelQuickReply(quickReply, includeCancel, lang) {
   if (!includeCancel) return quickReply;
   if (!quickReply || !Array.isArray(quickReply.items)) return quickReply;
 
   const cancelItem = {
     type: "action",
-    action: { type: "message", label: "ยกเลิก", text: CANCEL_TEXT }
+    action: { type: "message", label: t(lang, 'menu.cancel'), text: CANCEL_TEXT }
   };
 
   // Avoid duplicates
@@ -33,21 +35,22 @@ function addCancelQuickReply(quickReply, includeCancel) {
   return quickReply;
 }
 
-export function normalizeQuickReply(quickReply) {
-  // Cancel must appear in every menu EXCEPT mainMenu
-  const includeCancel = Boolean(quickReply) && quickReply !== mainMenu;
+export function normalizeQuickReply(quickReply, lang = DEFAULT_LANGUAGE) {
+  // Cancel must appear in every menu EXCEPT the main menu
+  const includeCancel = Boolean(quickReply) && !isMainMenu(quickReply);
   const q = quickReply ? JSON.parse(JSON.stringify(quickReply)) : null; // clone to avoid side effects
-  const withCancel = addCancelQuickReply(q, includeCancel);
+  const withCancel = addCancelQuickReply(q, includeCancel, lang);
   return ensureQuickReplyLimit(withCancel);
 }
 
-export async function replyText(replyToken, text, env, quickReply = null) {
+// lang: language of the auto-added Cancel item
+export async function replyText(replyToken, text, env, quickReply = null, lang = DEFAULT_LANGUAGE) {
   const body = {
     replyToken: replyToken,
     messages: [{ type: 'text', text: text }]
   };
 
-  const normalized = normalizeQuickReply(quickReply);
+  const normalized = normalizeQuickReply(quickReply, lang);
   if (normalized) body.messages[0].quickReply = normalized;
 
   await fetch('https://api.line.me/v2/bot/message/reply', {
@@ -60,13 +63,38 @@ export async function replyText(replyToken, text, env, quickReply = null) {
   });
 }
 
+// Push API: messages outside a reply token (e.g. background job results). Counts against the
+// channel's monthly message quota; throws on a non-2xx response so callers can log it.
+export async function pushText(userId, text, env, quickReply = null, lang = DEFAULT_LANGUAGE) {
+  const body = {
+    to: userId,
+    messages: [{ type: 'text', text: text }]
+  };
+
+  const normalized = normalizeQuickReply(quickReply, lang);
+  if (normalized) body.messages[0].quickReply = normalized;
+
+  const response = await fetch('https://api.line.me/v2/bot/message/push', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${env.LINE_CHANNEL_ACCESS_TOKEN}`
+    },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const errText = await response.text().catch(() => '');
+    throw new Error(`LINE Push Error: ${response.status} ${errText.slice(0, 200)}`);
+  }
+}
+
 export async function getContentFromLine(messageId, env) {
   const url = `https://api-data.line.me/v2/bot/message/${messageId}/content`;
   const response = await fetch(url, {
     method: 'GET',
     headers: { 'Authorization': `Bearer ${env.LINE_CHANNEL_ACCESS_TOKEN}` }
   });
-  if (!response.ok) throw new Error(`LINE Error: ${response.status}`);
+  if (!response.ok) throw httpError(`LINE Error: ${response.status}`, response);
 
   const contentType = response.headers.get('content-type') || 'image/jpeg';
   const arrayBuffer = await response.arrayBuffer();
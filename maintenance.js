@@ -0,0 +1,138 @@
+import { reapStuckJobs, purgeErrorJobs, getJobStatusesByIds, listUsersWithJobs } from './queue.js';
+import { purgeExpiredAnalyses, purgeAnalysisHistory, listUsersWithAnalyses, saveMaintenanceRun } from './database.js';
+import { listUserAnalysesInKV, cleanupAnalysisFromKV } from './kv.js';
+import { safeError } from './utils.js';
+import { scheduleUserQueue } from './jobs.js';
+import { closeStaleBatches, purgeOldBatches } from './batches.js';
+import { purgeAiLimiterState } from './ratelimit.js';
+
+// --- SCHEDULED MAINTENANCE (Cron Trigger) ---
+// Runs without any user traffic:
+// 1. Reset/fail jobs stuck in 'processing'
+// 2. Purge old error jobs (+ their KV cache) and long-expired analyses/history
+// 3. Delete KV image/state entries whose job no longer needs them
+// 4. Close upload batches left open with no pending jobs, purge old ones
+// 5. Drop expired AI rate-limiter slots/waiters
+// 6. Record what it did in maintenance_runs (readable via the ADMIN_MAINT command)
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+function getMaintenanceConfig(env) {
+  return {
+    stuckJobMs: Math.max(2, Number(env.MAINT_STUCK_JOB_MINUTES || 10)) * MINUTE_MS,
+    errorJobRetentionMs: Math.max(1, Number(env.MAINT_ERROR_JOB_RETENTION_HOURS || 72)) * HOUR_MS,
+    analysisRetentionMs: Math.max(8, Number(env.MAINT_ANALYSIS_RETENTION_DAYS || 30)) * DAY_MS,
+    historyRetentionMs: Math.max(8, Number(env.MAINT_HISTORY_RETENTION_DAYS || 90)) * DAY_MS,
+    maxAttempts: Math.max(1, Number(env.INTERNAL_MAX_RETRY || 3))
+  };
+}
+
+// KV keys look like img:{userId}:{jobId}
+function jobIdFromKVKey(name, userId) {
+  const prefix = `img:${userId}:`;
+  return String(name || '').startsWith(prefix) ? name.slice(prefix.length) : null;
+}
+
+// Pending jobs need their cached image; failed jobs keep it until the error-job retention purges them
+const KV_KEEP_STATUSES = new Set(['queued', 'processing', 'error']);
+
+async function cleanupOrphanedKV(env, stats) {
+  if (!env.ANALYSIS_KV) return;
+
+  const users = new Set([...(await listUsersWithJobs(env)), ...(await listUsersWithAnalyses(env))]);
+  for (const userId of users) {
+    const keys = await listUserAnalysesInKV(env.ANALYSIS_KV, userId);
+    if (keys.length === 0) continue;
+
+    const jobIds = keys.map(k => jobIdFromKVKey(k.name, userId)).filter(Boolean);
+    const statuses = await getJobStatusesByIds(jobIds, env);
+
+    for (const jobId of jobIds) {
+      if (KV_KEEP_STATUSES.has(statuses.get(jobId))) continue;
+      if (await cleanupAnalysisFromKV(env.ANALYSIS_KV, userId, jobId)) stats.kvOrphansDeleted++;
+    }
+  }
+}
+
+export async function runMaintenance(env, cron = null) {
+  const startedAt = Date.now();
+  const cfg = getMaintenanceConfig(env);
+  const stats = {
+    stuckRequeued: 0,
+    stuckFailed: 0,
+    errorJobsPurged: 0,
+    analysesPurged: 0,
+    historyPurged: 0,
+    kvOrphansDeleted: 0,
+    batchesClosed: 0,
+    batchesPurged: 0,
+    aiLimiterRowsPurged: 0
+  };
+  const errors = [];
+
+  // Each step is independent: one failure must not block the others
+  const step = async (name, fn) => {
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`[Maintenance] ${name} failed:`, safeError(e));
+      errors.push(`${name}: ${String(e?.message || e)}`);
+    }
+  };
+
+  await step('stuck_jobs', async () => {
+    const res = await reapStuckJobs(env, startedAt - cfg.stuckJobMs, cfg.maxAttempts);
+    stats.stuckRequeued = res.requeued.length;
+    stats.stuckFailed = res.failed.length;
+
+    // Wake the consumer for users whose job went back to the queue
+    for (const userId of new Set(res.requeued.map(j => j.user_id))) {
+      await scheduleUserQueue(userId, env);
+    }
+  });
+
+  await step('error_jobs', async () => {
+    const purged = await purgeErrorJobs(env, startedAt - cfg.errorJobRetentionMs);
+    stats.errorJobsPurged = purged.length;
+    if (env.ANALYSIS_KV) {
+      for (const job of purged) {
+        await cleanupAnalysisFromKV(env.ANALYSIS_KV, job.user_id, job.job_id);
+      }
+    }
+  });
+
+  await step('expired_analyses', async () => {
+    stats.analysesPurged = await purgeExpiredAnalyses(env, startedAt - cfg.analysisRetentionMs);
+    stats.historyPurged = await purgeAnalysisHistory(env, startedAt - cfg.historyRetentionMs);
+  });
+
+  await step('kv_orphans', () => cleanupOrphanedKV(env, stats));
+
+  await step('batches', async () => {
+    stats.batchesClosed = await closeStaleBatches(env, startedAt - cfg.stuckJobMs);
+    stats.batchesPurged = await purgeOldBatches(env, startedAt - cfg.historyRetentionMs);
+  });
+
+  await step('ai_limiter', async () => {
+    stats.aiLimiterRowsPurged = await purgeAiLimiterState(env);
+  });
+
+  const finishedAt = Date.now();
+  console.log(`[Maintenance] Done in ${finishedAt - startedAt}ms`, JSON.stringify(stats));
+
+  try {
+    await saveMaintenanceRun(env, {
+      startedAt,
+      finishedAt,
+      cron,
+      stats,
+      error: errors.length ? errors.join(' | ').slice(0, 800) : null
+    });
+  } catch (e) {
+    console.error('[Maintenance] Failed to record run:', safeError(e));
+  }
+
+  return { startedAt, finishedAt, stats, errors };
+}
@@ -1,56 +1,90 @@
-import { CANCEL_TEXT, MAIN_MENU_TEXT } from './config.js';
+import { MAIN_MENU_TEXT } from './config.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
 
 // --- MENUS ---
-export const mainMenu = {
-  items: [
-    {
-      type: "action",
-      action: {
-        type: "message",
-        label: "📊 สถานะข้อมูล",
-        text: "STATUS"
-      }
-    },
-    {
-      type: "action",
-      action: {
-        type: "message",
-        label: "📌 สรุปผลวิเคราะห์",
-        text: "SUMMARY"
-      }
-    },
-    {
-      type: "action",
-      action: {
-        type: "message",
-        label: "⚡ เล่นสั้น/สวิง",
-        text: "TRADE_STYLE"
-      }
-    },
-    {
-      type: "action",
-      action: {
-        type: "message",
-        label: "🔧 แก้ไข/ลบ ข้อมูล",
-        text: "MANAGE_DATA"
+// Labels come from the message catalog; the command texts are the same in every language
+
+const MAIN_MENU_ITEMS = [
+  ['menu.status', 'STATUS'],
+  ['menu.summary', 'SUMMARY'],
+  ['menu.trade_style', 'TRADE_STYLE'],
+  ['menu.dashboard', 'DASHBOARD'],
+  ['menu.levels', 'LEVELS'],
+  ['menu.manage_data', 'MANAGE_DATA'],
+  ['menu.history', 'HISTORY'],
+  ['menu.queue', 'QUEUE'],
+  ['menu.failed', 'FAILED'],
+  ['menu.settings', 'SETTINGS']
+];
+
+// One instance per language: line.js recognizes the main menu by identity (no Cancel item)
+const mainMenus = new Map();
+
+export function buildMainMenu(lang = DEFAULT_LANGUAGE) {
+  if (!mainMenus.has(lang)) {
+    mainMenus.set(lang, {
+      items: MAIN_MENU_ITEMS.map(([key, command]) => ({
+        type: "action",
+        action: { type: "message", label: t(lang, key), text: command }
+      }))
+    });
+  }
+  return mainMenus.get(lang);
+}
+
+export function isMainMenu(quickReply) {
+  return [...mainMenus.values()].includes(quickReply);
+}
+
+// Under chat answers: "new topic" (clears the chat memory) + the main menu items
+export function buildChatMenu(lang = DEFAULT_LANGUAGE) {
+  return {
+    items: [
+      { type: "action", action: { type: "message", label: t(lang, 'menu.new_topic'), text: 'NEW_TOPIC' } },
+      ...buildMainMenu(lang).items
+    ]
+  };
+}
+
+// The only way into REANALYZE from free text (typed command or chat answer)
+export function buildReanalyzeConfirmMenu(symbol, lang = DEFAULT_LANGUAGE) {
+  return {
+    items: [
+      { type: "action", action: { type: "message", label: t(lang, 'data.confirm_reanalyze_button'), text: `REANALYZE:${symbol}` } }
+    ]
+  };
+}
+
+export function buildTradeStyleMenu(symbol, lang = DEFAULT_LANGUAGE) {
+  const suffix = symbol ? `:${symbol}` : '';
+  return {
+    items: [
+      {
+        type: "action",
+        action: { type: "message", label: t(lang, 'menu.scalp'), text: `TRADE_STYLE:SCALP${suffix}` }
+      },
+      {
+        type: "action",
+        action: { type: "message", label: t(lang, 'menu.swing'), text: `TRADE_STYLE:SWING${suffix}` }
+      },
+      {
+        type: "action",
+        action: { type: "message", label: "🧮 Confluence", text: `CONFLUENCE${suffix}` }
+      },
+      {
+        type: "action",
+        action: { type: "message", label: t(lang, 'menu.back_main_long'), text: MAIN_MENU_TEXT }
       }
-    }
-  ]
-};
+    ]
+  };
+}
 
-export const tradeStyleMenu = {
-  items: [
-    {
-      type: "action",
-      action: { type: "message", label: "⚡ เล่นสั้น (Scalp)", text: "TRADE_STYLE:SCALP" }
-    },
-    {
-      type: "action",
-      action: { type: "message", label: "🌊 เล่นสวิง (Swing)", text: "TRADE_STYLE:SWING" }
-    },
-    {
+// Pair picker shown before per-pair menus (STATUS / SUMMARY / DASHBOARD / TRADE_STYLE / LEVELS / MANAGE_DATA)
+export function buildPairMenu(command, symbols) {
+  return {
+    items: (symbols || []).slice(0, 12).map(symbol => ({
       type: "action",
-      action: { type: "message", label: "⬅️ กลับเมนูหลัก", text: MAIN_MENU_TEXT }
-    }
-  ]
-};
\ No newline at end of file
+      action: { type: "message", label: `💱 ${symbol}`, text: `${command}:${symbol}` }
+    }))
+  };
+}
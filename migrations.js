@@ -0,0 +1,346 @@
+import { UNKNOWN_SYMBOL, SYSTEM_SYMBOL } from './config.js';
+
+// --- SCHEMA MIGRATIONS (D1) ---
+// Ordered, append-only list. Each migration runs exactly once per database; the applied
+// version is recorded in schema_migrations inside the same batch (transaction), so a
+// concurrent cold start that loses the race rolls back instead of applying twice.
+//
+// To change the data model: add a new entry with the next version. Never edit an applied one.
+// `up(env)` returns the prepared statements to run (it may inspect the live schema first).
+
+const ANALYSIS_LOGS_COLUMNS = `
+      user_id TEXT,
+      symbol TEXT NOT NULL DEFAULT '${UNKNOWN_SYMBOL}',
+      tf TEXT,
+      timestamp INTEGER,
+      timestamp_readable TEXT,
+      analysis_json TEXT,
+      PRIMARY KEY (user_id, symbol, tf)
+`;
+
+async function hasColumn(env, table, column) {
+  const { results } = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+  return (results || []).some(c => c.name === column);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // Original (pre-migration) schema; IF NOT EXISTS keeps it a no-op on existing databases
+    up: async (env) => [
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS user_analysis_logs (
+          user_id TEXT,
+          tf TEXT,
+          timestamp INTEGER,
+          timestamp_readable TEXT,
+          analysis_json TEXT,
+          PRIMARY KEY (user_id, tf)
+        )
+      `),
+      // FIFO queue for sequential image analysis (per-user)
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS analysis_jobs (
+          job_id TEXT PRIMARY KEY,
+          user_id TEXT,
+          message_id TEXT,
+          created_at INTEGER,
+          status TEXT,
+          attempt INTEGER,
+          started_at INTEGER,
+          finished_at INTEGER,
+          result_tf TEXT,
+          last_error TEXT
+        )
+      `),
+      env.DB.prepare(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_status_created
+        ON analysis_jobs(user_id, status, created_at)
+      `)
+    ]
+  },
+  {
+    version: 2,
+    name: 'analysis_logs_symbol_key',
+    // Re-key user_analysis_logs by (user_id, symbol, tf); markers move to SYSTEM_SYMBOL
+    up: async (env) => {
+      if (await hasColumn(env, 'user_analysis_logs', 'symbol')) return [];
+      return [
+        env.DB.prepare(`CREATE TABLE user_analysis_logs_new (${ANALYSIS_LOGS_COLUMNS})`),
+        env.DB.prepare(`
+          INSERT INTO user_analysis_logs_new (user_id, symbol, tf, timestamp, timestamp_readable, analysis_json)
+          SELECT user_id,
+                 CASE WHEN substr(tf, 1, 1) = '_' THEN '${SYSTEM_SYMBOL}' ELSE '${UNKNOWN_SYMBOL}' END,
+                 tf, timestamp, timestamp_readable, analysis_json
+          FROM user_analysis_logs
+        `),
+        env.DB.prepare("DROP TABLE user_analysis_logs"),
+        env.DB.prepare("ALTER TABLE user_analysis_logs_new RENAME TO user_analysis_logs")
+      ];
+    }
+  },
+  {
+    version: 3,
+    name: 'analysis_history',
+    // Append-only history: one row per analysis. user_analysis_logs stays the "current" view.
+    up: async (env) => [
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS analysis_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT,
+          symbol TEXT,
+          tf TEXT,
+          timestamp INTEGER,
+          timestamp_readable TEXT,
+          source TEXT,
+          analysis_json TEXT
+        )
+      `),
+      env.DB.prepare(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_history_user_symbol_tf_ts
+        ON analysis_history(user_id, symbol, tf, timestamp)
+      `),
+      // Seed history from current rows (only when the table is still empty)
+      env.DB.prepare(`
+        INSERT INTO analysis_history (user_id, symbol, tf, timestamp, timestamp_readable, source, analysis_json)
+        SELECT user_id, symbol, tf, timestamp, timestamp_readable, 'seed', analysis_json
+        FROM user_analysis_logs
+        WHERE substr(tf, 1, 1) != '_'
+          AND NOT EXISTS (SELECT 1 FROM analysis_history)
+      `)
+    ]
+  },
+  {
+    version: 4,
+    name: 'maintenance_runs',
+    // Audit log for the scheduled maintenance worker + index for cross-user job sweeps
+    up: async (env) => [
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS maintenance_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          started_at INTEGER,
+          finished_at INTEGER,
+          cron TEXT,
+          stats_json TEXT,
+          error TEXT
+        )
+      `),
+      env.DB.prepare(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status_started
+        ON analysis_jobs(status, started_at)
+      `)
+    ]
+  },
+  {
+    version: 5,
+    name: 'analysis_jobs_leases',
+    // Lease-based claiming: owner + expiry, renewed by the running analysis (heartbeat)
+    up: async (env) => {
+      const statements = [];
+      if (!(await hasColumn(env, 'analysis_jobs', 'lease_owner'))) {
+        statements.push(env.DB.prepare("ALTER TABLE analysis_jobs ADD COLUMN lease_owner TEXT"));
+      }
+      if (!(await hasColumn(env, 'analysis_jobs', 'lease_expires_at'))) {
+        statements.push(env.DB.prepare("ALTER TABLE analysis_jobs ADD COLUMN lease_expires_at INTEGER"));
+      }
+      return statements;
+    }
+  },
+  {
+    version: 6,
+    name: 'analysis_jobs_queue_order',
+    // Explicit claim order (defaults to created_at) so a queued job can be moved to the front
+    up: async (env) => {
+      const statements = [];
+      if (!(await hasColumn(env, 'analysis_jobs', 'queue_order'))) {
+        statements.push(env.DB.prepare("ALTER TABLE analysis_jobs ADD COLUMN queue_order INTEGER"));
+      }
+      statements.push(
+        env.DB.prepare("UPDATE analysis_jobs SET queue_order = created_at WHERE queue_order IS NULL"),
+        env.DB.prepare(`
+          CREATE INDEX IF NOT EXISTS idx_analysis_jobs_user_status_order
+          ON analysis_jobs(user_id, status, queue_order)
+        `)
+      );
+      return statements;
+    }
+  },
+  {
+    version: 7,
+    name: 'user_settings',
+    // Per-user preferences as one JSON document (see settings.js for defaults)
+    up: async (env) => [
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS user_settings (
+          user_id TEXT PRIMARY KEY,
+          settings_json TEXT,
+          updated_at INTEGER
+        )
+      `)
+    ]
+  },
+  {
+    version: 8,
+    name: 'analysis_batches',
+    // Burst uploads grouped into one top-down batch (see batches.js)
+    up: async (env) => {
+      const statements = [
+        env.DB.prepare(`
+          CREATE TABLE IF NOT EXISTS analysis_batches (
+            batch_id TEXT PRIMARY KEY,
+            user_id TEXT,
+            created_at INTEGER,
+            window_ends_at INTEGER,
+            status TEXT,
+            finished_at INTEGER,
+            summary_text TEXT
+          )
+        `),
+        // At most one open (collecting) batch per user; a racing second insert fails and joins instead
+        env.DB.prepare(`
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_batches_user_collecting
+          ON analysis_batches(user_id) WHERE status = 'collecting'
+        `),
+        env.DB.prepare(`
+          CREATE INDEX IF NOT EXISTS idx_analysis_batches_user_status
+          ON analysis_batches(user_id, status, window_ends_at)
+        `)
+      ];
+      for (const column of ['batch_id', 'pre_tf', 'pre_symbol', 'result_symbol']) {
+        if (!(await hasColumn(env, 'analysis_jobs', column))) {
+          statements.push(env.DB.prepare(`ALTER TABLE analysis_jobs ADD COLUMN ${column} TEXT`));
+        }
+      }
+      statements.push(env.DB.prepare(`
+        CREATE INDEX IF NOT EXISTS idx_analysis_jobs_batch
+        ON analysis_jobs(batch_id)
+      `));
+      return statements;
+    }
+  },
+  {
+    version: 9,
+    name: 'ai_rate_limiter',
+    // Global model-call limiter shared by all isolates (see ratelimit.js)
+    up: async (env) => [
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS ai_rate_limit (
+          bucket TEXT PRIMARY KEY,
+          tokens REAL,
+          updated_at INTEGER,
+          last_grant TEXT
+        )
+      `),
+      // updated_at = 0 -> the first acquire refills the bucket to its burst size
+      env.DB.prepare("INSERT OR IGNORE INTO ai_rate_limit (bucket, tokens, updated_at) VALUES ('gemini', 0, 0)"),
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS ai_inflight (
+          slot_id TEXT PRIMARY KEY,
+          user_id TEXT,
+          kind TEXT,
+          acquired_at INTEGER,
+          expires_at INTEGER
+        )
+      `),
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS ai_waiters (
+          waiter_id TEXT PRIMARY KEY,
+          user_id TEXT,
+          kind TEXT,
+          created_at INTEGER,
+          expires_at INTEGER
+        )
+      `),
+      env.DB.prepare(`
+        CREATE TABLE IF NOT EXISTS ai_user_turns (
+          user_id TEXT PRIMARY KEY,
+          last_served_at INTEGER
+        )
+      `)
+    ]
+  },
+  {
+    version: 10,
+    name: 'analysis_jobs_not_before',
+    // Retry backoff: a queued job is not claimed before not_before (epoch ms, NULL = now)
+    up: async (env) => {
+      if (await hasColumn(env, 'analysis_jobs', 'not_before')) return [];
+      return [env.DB.prepare("ALTER TABLE analysis_jobs ADD COLUMN not_before INTEGER")];
+    }
+  },
+  {
+    version: 11,
+    name: 'drop_timestamp_readable',
+    // Only epoch ms is stored; readable times are rendered per user at display time (settings.js)
+    up: async (env) => {
+      const statements = [];
+      for (const table of ['user_analysis_logs', 'analysis_history']) {
+        if (await hasColumn(env, table, 'timestamp_readable')) {
+          statements.push(env.DB.prepare(`ALTER TABLE ${table} DROP COLUMN timestamp_readable`));
+        }
+      }
+      return statements;
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Per-isolate cache: once the schema is current, later requests skip the DB round-trip entirely
+let schemaCurrent = false;
+
+export async function getSchemaVersion(env) {
+  try {
+    const row = await env.DB.prepare("SELECT MAX(version) AS v FROM schema_migrations").first();
+    return Number(row?.v || 0);
+  } catch (_) {
+    // schema_migrations does not exist yet
+    return 0;
+  }
+}
+
+export async function runMigrations(env) {
+  if (!env.DB || schemaCurrent) return;
+
+  let current = await getSchemaVersion(env);
+  if (current >= LATEST_SCHEMA_VERSION) {
+    schemaCurrent = true;
+    return;
+  }
+
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT,
+      applied_at INTEGER
+    )
+  `).run();
+
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+
+    const statements = await m.up(env);
+    statements.push(
+      env.DB.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+        .bind(m.version, m.name, Date.now())
+    );
+
+    try {
+      await env.DB.batch(statements);
+      console.log(`[Migrations] Applied v${m.version} (${m.name})`);
+      current = m.version;
+    } catch (e) {
+      // Another invocation may have applied it first (PK conflict rolls back our batch)
+      const applied = await getSchemaVersion(env);
+      if (applied >= m.version) {
+        current = applied;
+        continue;
+      }
+      console.error(`[Migrations] v${m.version} (${m.name}) failed:`, e);
+      throw e;
+    }
+  }
+
+  schemaCurrent = true;
+}
@@ -0,0 +1,85 @@
+import { MAIN_MENU_TEXT } from './config.js';
+import { pushText } from './line.js';
+import { getUserSettings } from './settings.js';
+import { formatAnalysisSummary, describeJobError } from './formatters.js';
+import { safeError } from './utils.js';
+import { t, normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- PUSH NOTIFICATIONS (LINE push API) ---
+// Sent by the job runner once a queued chart is stored or has failed for good.
+// Pushes count against the LINE channel's monthly message quota, hence the per-user NOTIFY setting.
+// Never throws: a failed push must not fail the job.
+
+export function shouldNotifyResult(mode, action) {
+  if (mode === 'off') return false;
+  if (mode === 'signals') return ['BUY', 'SELL'].includes(String(action || '').toUpperCase());
+  return true;
+}
+
+export async function notifyAnalysisDone(userId, row, data, env) {
+  try {
+    const settings = await getUserSettings(userId, env);
+    const setup = data?.trade_setup || data?.detailed_technical_data?.trade_setup || {};
+    if (!shouldNotifyResult(settings.notify, setup.action || 'WAIT')) return false;
+
+    const lang = normalizeLanguage(settings.language) || DEFAULT_LANGUAGE;
+    const text = t(lang, 'analysis.done_push', { summary: formatAnalysisSummary(data, row, settings) });
+    const quickReply = {
+      items: [
+        { type: "action", action: { type: "message", label: t(lang, 'menu.other_tf_summary'), text: `SUMMARY:${row.symbol}` } },
+        { type: "action", action: { type: "message", label: t(lang, 'menu.tf_history'), text: `HISTORY_TF:${row.tf}:${row.symbol}` } },
+        { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
+      ]
+    };
+    await pushText(userId, text, env, quickReply, lang);
+    return true;
+  } catch (e) {
+    console.error('[Notify] Push (done) failed:', safeError(e));
+    return false;
+  }
+}
+
+// Failures are pushed in both 'all' and 'signals' mode: otherwise the user waits for a result that never comes
+export async function notifyAnalysisFailed(userId, job, errorMsg, env) {
+  try {
+    const { notify, language } = await getUserSettings(userId, env);
+    if (notify === 'off') return false;
+
+    const lang = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+    const shortId = String(job?.message_id || '').slice(-6);
+    const text = t(lang, 'analysis.failed_push', { id: shortId, reason: describeJobError(errorMsg, lang) });
+    const quickReply = {
+      items: [
+        { type: "action", action: { type: "message", label: t(lang, 'menu.retry'), text: `FAILED_RETRY:${job.job_id}` } },
+        { type: "action", action: { type: "message", label: t(lang, 'menu.failed'), text: "FAILED" } },
+        { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
+      ]
+    };
+    await pushText(userId, text, env, quickReply, lang);
+    return true;
+  } catch (e) {
+    console.error('[Notify] Push (failed) failed:', safeError(e));
+    return false;
+  }
+}
+
+// Combined top-down summary of a multi-image batch ('signals' mode: only when a plan is BUY/SELL)
+export async function notifyBatchSummary(userId, summary, env) {
+  try {
+    const { notify, language } = await getUserSettings(userId, env);
+    if (notify === 'off' || (notify === 'signals' && !summary.hasSignal)) return false;
+
+    const lang = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+    const quickReply = {
+      items: [
+        { type: "action", action: { type: "message", label: t(lang, 'menu.summary'), text: "SUMMARY" } },
+        { type: "action", action: { type: "message", label: t(lang, 'menu.back_main'), text: MAIN_MENU_TEXT } }
+      ]
+    };
+    await pushText(userId, summary.text, env, quickReply, lang);
+    return true;
+  } catch (e) {
+    console.error('[Notify] Push (batch) failed:', safeError(e));
+    return false;
+  }
+}
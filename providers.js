@@ -0,0 +1,594 @@
+import { getModelId, httpError, TimeoutError, safeParseJsonLoosely } from './utils.js';
+import { TF_ORDER, TF_VALIDITY_MS } from './config.js';
+import { withAiSlot } from './ratelimit.js';
+import { validateSchema, toGeminiSchema, toJsonSchema } from './schemas.js';
+
+// --- AI PROVIDERS ---
+// Every model call goes through generateText(env, request).
+//
+// request = {
+//   kind:      'chart' | 'prescan' | 'chat' | 'trade_style' | 'reanalyze' | 'intent'  (selects provider + model)
+//   messages:  [{ role: 'user' | 'assistant', parts: [{ text } | { image: { base64, mimeType } }
+//                | { toolCall: { id, name, args } } (assistant) | { toolResult: { id, name, result } } (user)] }]
+//   temperature, topP, topK, maxOutputTokens
+//   signal:    caller abort signal;  timeoutMs: own deadline for the HTTP call (-> TimeoutError)
+//   budgetMs:  total time for the fallback chain (each attempt gets a share, see AI_FALLBACK_RESERVE_MS)
+//   parse:     optional (text) => value; a throw counts as unparseable output -> next model
+//   schema:    optional output schema (schemas.js): parse (default safeParseJsonLoosely) + validate,
+//              and the provider's structured-output (JSON) mode where available
+//   userId, slot: global rate limiter (ratelimit.js); slot = already held by the caller
+//   tools:     optional [{ name, description, parameters (schemas.js object node) }] the model may call
+//   toolChoice: 'auto' (default) | 'none' (tools stay declared for the history, the model must answer)
+// }
+// -> { text, toolCalls: [{ id, name, args }], parsed, provider, model, attempts }
+//
+// Provider per call type: AI_PROVIDER_<KIND> || AI_PROVIDER || 'gemini'   (gemini | openai | mock)
+// Model per call type:    MODEL_ID_<KIND>    || the provider's default model
+//
+// Fallback chain: MODEL_FALLBACKS_<KIND> || MODEL_FALLBACKS, comma-separated "model" (same provider)
+// or "provider:model". A timeout, 429, 5xx, network error or unparseable output (request.parse
+// throws) moves on to the next model; request.budgetMs bounds the whole chain.
+//
+// Schema repair: output that fails request.schema is sent back to the same model with the list of
+// problems, up to AI_REPAIR_ATTEMPTS times (default 1), before the next model is tried.
+//
+// Structured output (AI_STRUCTURED_OUTPUT = auto | on | off): 'auto' uses Gemini's responseSchema
+// (not for gemma* models, which reject JSON mode); OpenAI-compatible servers only with 'on'.
+//
+// Tool calling (AI_TOOL_CALLING = auto | off): with request.tools, models that can call functions
+// (Gemini except gemma*, OpenAI-compatible, mock) may answer with toolCalls instead of text; the
+// caller runs them and sends the results back as toolResult parts. Models without it are skipped
+// in the chain (see supportsToolCalls).
+//
+// Errors are classified here (err.category, err.retryable) so callers treat all providers alike.
+
+export const AI_CALL_KINDS = ['chart', 'prescan', 'chat', 'trade_style', 'reanalyze', 'intent'];
+
+function toApiError(response, errText) {
+  return httpError('AI API Error: ' + response.status + ' ' + (errText ? ('- ' + errText.slice(0, 200)) : ''), response, errText);
+}
+
+// --- Gemini (generateContent REST) ---
+const geminiProvider = {
+  name: 'gemini',
+  rateLimited: true,
+  defaultModel: (env) => getModelId(env),
+  supportsStructuredOutput: (model) => !/^gemma/i.test(model),
+  // gemma* models reject function declarations
+  supportsTools: (model) => !/^gemma/i.test(model),
+
+  async generate(env, model, request, signal) {
+    const apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/' + model + ':generateContent?key=' + env.GEMINI_API_KEY;
+    const toGeminiPart = (p) => {
+      if (p.image) return { inline_data: { mime_type: p.image.mimeType || 'image/jpeg', data: p.image.base64 } };
+      if (p.toolCall) {
+        const part = { functionCall: { name: p.toolCall.name, args: p.toolCall.args || {} } };
+        // Thinking models require their signature back with the call
+        return p.toolCall.thoughtSignature ? { ...part, thoughtSignature: p.toolCall.thoughtSignature } : part;
+      }
+      if (p.toolResult) return { functionResponse: { name: p.toolResult.name, response: { result: p.toolResult.result } } };
+      return { text: p.text };
+    };
+    const payload = {
+      contents: request.messages.map(m => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: m.parts.map(toGeminiPart)
+      })),
+      generationConfig: {
+        temperature: request.temperature,
+        topK: request.topK,
+        topP: request.topP,
+        maxOutputTokens: request.maxOutputTokens
+      }
+    };
+    if (useStructuredOutput(env, this, model, request)) {
+      payload.generationConfig.responseMimeType = 'application/json';
+      payload.generationConfig.responseSchema = toGeminiSchema(request.schema);
+    }
+    if (request.tools?.length) {
+      payload.tools = [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          // An empty OBJECT schema is rejected: tools without arguments declare none
+          ...(Object.keys(tool.parameters?.properties || {}).length ? { parameters: toGeminiSchema(tool.parameters) } : {})
+        }))
+      }];
+      if (request.toolChoice === 'none') payload.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+    }
+
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal
+    });
+    if (!response.ok) throw toApiError(response, await response.text().catch(() => ''));
+
+    const data = await response.json();
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    if (!request.tools) return parts[0]?.text || '';
+    return {
+      text: parts.map(p => p.text || '').join(''),
+      toolCalls: parts.filter(p => p.functionCall).map((p, i) => ({
+        id: p.functionCall.id || `call_${i + 1}`,
+        name: p.functionCall.name,
+        args: p.functionCall.args || {},
+        ...(p.thoughtSignature ? { thoughtSignature: p.thoughtSignature } : {})
+      }))
+    };
+  }
+};
+
+// --- OpenAI-compatible /chat/completions (OpenAI, vLLM, llama.cpp, Ollama, LM Studio, ...) ---
+const openAiCompatibleProvider = {
+  name: 'openai',
+  rateLimited: true,
+  defaultModel: (env) => {
+    const model = env.OPENAI_MODEL_ID || env.MODEL_ID;
+    if (!model) throw new Error('OPENAI_MODEL_ID (or MODEL_ID) is required for AI_PROVIDER=openai');
+    return model;
+  },
+  // json_schema support varies across compatible servers: opt in with AI_STRUCTURED_OUTPUT=on
+  supportsStructuredOutput: () => false,
+  // Servers without "tools" support: AI_TOOL_CALLING=off
+  supportsTools: () => true,
+
+  async generate(env, model, request, signal) {
+    const baseUrl = String(env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const messages = request.messages.flatMap(m => {
+      // Tool traffic: one assistant message carrying tool_calls, one "tool" message per result
+      const toolCalls = m.parts.filter(p => p.toolCall).map(p => p.toolCall);
+      const toolResults = m.parts.filter(p => p.toolResult).map(p => p.toolResult);
+      if (toolCalls.length) {
+        return [{
+          role: 'assistant',
+          content: m.parts.filter(p => p.text).map(p => p.text).join('\n') || null,
+          tool_calls: toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.args || {}) } }))
+        }];
+      }
+      if (toolResults.length) {
+        return toolResults.map(r => ({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.result) }));
+      }
+
+      const hasImage = m.parts.some(p => p.image);
+      // Text-only messages as a plain string: accepted by every compatible server
+      const content = hasImage
+        ? m.parts.map(p => p.image
+          ? { type: 'image_url', image_url: { url: `data:${p.image.mimeType || 'image/jpeg'};base64,${p.image.base64}` } }
+          : { type: 'text', text: p.text })
+        : m.parts.map(p => p.text).join('\n');
+      return { role: m.role === 'assistant' ? 'assistant' : 'user', content };
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (env.OPENAI_API_KEY) headers['Authorization'] = `Bearer ${env.OPENAI_API_KEY}`;
+
+    const body = {
+      model,
+      messages,
+      temperature: request.temperature,
+      top_p: request.topP,
+      max_tokens: request.maxOutputTokens
+    };
+    if (useStructuredOutput(env, this, model, request)) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: request.schema.name || 'output', schema: toJsonSchema(request.schema) }
+      };
+    }
+    if (request.tools?.length) {
+      body.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: toJsonSchema(tool.parameters || { type: 'object', properties: {} }) }
+      }));
+      if (request.toolChoice === 'none') body.tool_choice = 'none';
+    }
+
+    const response = await fetch(baseUrl + '/chat/completions', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!response.ok) throw toApiError(response, await response.text().catch(() => ''));
+
+    const data = await response.json();
+    const message = data?.choices?.[0]?.message || {};
+    const text = Array.isArray(message.content) ? message.content.map(c => c?.text || '').join('') : (message.content || '');
+    if (!request.tools) return text;
+    return {
+      text,
+      toolCalls: (message.tool_calls || []).filter(c => c?.function?.name).map((c, i) => {
+        let args = {};
+        try { args = JSON.parse(c.function.arguments || '{}') || {}; } catch (_) { args = {}; }
+        return { id: c.id || `call_${i + 1}`, name: c.function.name, args };
+      })
+    };
+  }
+};
+
+// --- Mock (AI_PROVIDER=mock): deterministic and offline. Same input -> same output, no network ---
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  const s = String(str || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+const MOCK_BIASES = [
+  { trend: 'Bullish', action: 'BUY', structure: 'HH/HL', entry: '2650-2655', tp: '2680', sl: '2640' },
+  { trend: 'Bearish', action: 'SELL', structure: 'LH/LL', entry: '2650-2655', tp: '2620', sl: '2665' },
+  { trend: 'Sideway', action: 'WAIT', structure: 'Range', entry: null, tp: null, sl: null }
+];
+
+// Shared by every mock TF (shifted a little per TF) so the LEVELS command has something to cluster
+const MOCK_LEVELS = [
+  { price: 2640, type: 'support', strength: 'strong', label: 'mock swing low' },
+  { price: 2660, type: 'fib', strength: 'weak', label: 'mock Fib 50%' },
+  { price: 2680, type: 'resistance', strength: 'medium', label: 'mock swing high' }
+];
+
+// TF + bias derived from the image bytes, so the prescan and the analysis of one image agree
+function mockChartFacts(image, env) {
+  const h = fnv1a(String(image?.base64 || '').slice(0, 4096));
+  return {
+    symbol: env.MOCK_SYMBOL || 'XAUUSD',
+    tf: TF_ORDER[h % TF_ORDER.length],
+    bias: MOCK_BIASES[h % MOCK_BIASES.length]
+  };
+}
+
+function mockResponse(env, request) {
+  const parts = request.messages.flatMap(m => m.parts);
+  const images = parts.filter(p => p.image).map(p => p.image);
+  const prompt = parts.filter(p => p.text).map(p => p.text).join('\n');
+
+  switch (request.kind) {
+    case 'prescan':
+      return JSON.stringify({
+        charts: images.map((img, i) => {
+          const f = mockChartFacts(img, env);
+          return { index: i + 1, symbol: f.symbol, tf: f.tf };
+        })
+      });
+
+    case 'chart': {
+      const f = mockChartFacts(images[0], env);
+      const b = f.bias;
+      return JSON.stringify({
+        symbol: f.symbol,
+        detected_tf: f.tf,
+        tfs_used_for_confluence: [f.tf],
+        request_update_for_tf: null,
+        reasoning_trace: ['P1: mock structure', 'P2: mock value', 'P3: mock trigger'],
+        detailed_technical_data: {
+          trend_bias: b.trend,
+          structure: { parent_bias: b.trend, market_structure: b.structure },
+          value: { at_key_level: b.action !== 'WAIT', key_levels_summary: 'mock levels' },
+          trigger: { candlestick_patterns: [], divergence: 'none', indicator_snapshot: {} },
+          key_levels: MOCK_LEVELS.map(l => ({ ...l, price: l.price + TF_ORDER.indexOf(f.tf) * 0.5 })),
+          trade_setup: { action: b.action, entry_zone: b.entry, target_price: b.tp, stop_loss: b.sl, confidence: 'Medium', risk_flags: [] }
+        },
+        user_response_text: `📢 สถานะ: ${b.action} (Medium)\n💱 คู่เงิน: ${f.symbol}\n⏱️ TF: ${f.tf}\n\n💡 สรุป: ผลวิเคราะห์จำลอง (mock provider)`
+      });
+    }
+
+    case 'trade_style':
+      return JSON.stringify({
+        mode: prompt.includes('(Scalp)') ? 'SCALP' : 'SWING',
+        tfs_used_for_confluence: [],
+        request_update_for_tf: null,
+        reasoning_trace: ['P1: mock', 'P2: mock', 'P3: mock'],
+        trade_plan: { action: 'WAIT', entry_zone: null, target_price: null, stop_loss: null, confidence: 'Low', probability_pct: 0 },
+        risk_notes: ['mock provider'],
+        user_response_text: '⚡ แผนเทรดจำลอง (mock provider)\n📢 **สถานะ:** WAIT (Low)'
+      });
+
+    case 'reanalyze': {
+      const tfs = [...prompt.matchAll(/\[TF (\w+)\]/g)].map(m => m[1]).filter(tf => TF_VALIDITY_MS[tf]);
+      return JSON.stringify({
+        results: tfs.map(tf => ({
+          detected_tf: tf,
+          tfs_used_for_confluence: tfs,
+          request_update_for_tf: null,
+          reasoning_trace: ['mock re-evaluation'],
+          detailed_technical_data: { trend_bias: 'Sideway', trade_setup: { action: 'WAIT', confidence: 'Low' } },
+          user_response_text: `(mock) ${tf}: WAIT`
+        }))
+      });
+    }
+
+    // Offline: never turns chat into an action (the keyword rules still run)
+    case 'intent':
+      return JSON.stringify({ intent: 'CHAT', tf: null, to_tf: null, symbol: null, mode: null, confidence: 'Low' });
+
+    default:
+      return `🤖 (mock) คำตอบทดสอบจากระบบจำลอง #${(fnv1a(prompt) % 10000).toString().padStart(4, '0')}`;
+  }
+}
+
+// With tools: first call the first declared tool (no arguments), then answer naming the tools used
+function mockToolResponse(env, request) {
+  const results = request.messages.flatMap(m => m.parts).filter(p => p.toolResult).map(p => p.toolResult);
+  if (results.length === 0 && request.toolChoice !== 'none') {
+    return { text: '', toolCalls: [{ id: 'mock_1', name: request.tools[0].name, args: {} }] };
+  }
+  return { text: `${mockResponse(env, request)} (tools: ${results.map(r => r.name).join(', ') || '-'})`, toolCalls: [] };
+}
+
+const mockProvider = {
+  name: 'mock',
+  rateLimited: false,
+  defaultModel: () => 'mock',
+  supportsStructuredOutput: () => false,
+  supportsTools: () => true,
+  async generate(env, model, request, signal) {
+    if (signal?.aborted) {
+      const err = new Error('Mock call aborted');
+      err.name = 'AbortError';
+      throw err;
+    }
+    return request.tools ? mockToolResponse(env, request) : mockResponse(env, request);
+  }
+};
+
+function useStructuredOutput(env, provider, model, request) {
+  if (!request.schema) return false;
+  const mode = String(env.AI_STRUCTURED_OUTPUT || 'auto').trim().toLowerCase();
+  if (mode === 'off') return false;
+  return mode === 'on' || provider.supportsStructuredOutput(model);
+}
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openAiCompatibleProvider,
+  mock: mockProvider
+};
+
+export function resolveProvider(env, kind) {
+  const key = String(kind || 'chat').toUpperCase();
+  const name = String(env[`AI_PROVIDER_${key}`] || env.AI_PROVIDER || 'gemini').trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    const err = new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    err.category = 'config';
+    err.retryable = false;
+    throw err;
+  }
+  const model = String(env[`MODEL_ID_${key}`] || provider.defaultModel(env)).replace(/^models\//, '');
+  return { provider, model };
+}
+
+// [primary, ...fallbacks] as { provider, model }, without duplicates
+export function resolveModelChain(env, kind) {
+  const key = String(kind || 'chat').toUpperCase();
+  const primary = resolveProvider(env, kind);
+  const chain = [primary];
+
+  const raw = env[`MODEL_FALLBACKS_${key}`] ?? env.MODEL_FALLBACKS ?? '';
+  for (const entry of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    // Only a known provider name counts as a prefix (model ids like "llava:13b" contain ':' too)
+    const idx = entry.indexOf(':');
+    const prefix = idx > 0 ? entry.slice(0, idx).toLowerCase() : null;
+    const provider = PROVIDERS[prefix] || primary.provider;
+    const model = (PROVIDERS[prefix] ? entry.slice(idx + 1) : entry).replace(/^models\//, '');
+    if (model && !chain.some(c => c.provider === provider && c.model === model)) chain.push({ provider, model });
+  }
+  return chain;
+}
+
+function canCallTools(env, { provider, model }) {
+  if (String(env.AI_TOOL_CALLING || 'auto').trim().toLowerCase() === 'off') return false;
+  return provider.supportsTools(model);
+}
+
+// Whether a request with tools has any model to go to (callers fall back to a tool-less prompt)
+export function supportsToolCalls(env, kind) {
+  return resolveModelChain(env, kind).some(c => canCallTools(env, c));
+}
+
+// Callers that pre-acquire a limiter slot (outside their timeout budget) skip it for unlimited providers
+export function isRateLimitedCall(env, kind) {
+  return resolveModelChain(env, kind).some(c => c.provider.rateLimited);
+}
+
+// --- ERROR CLASSIFICATION ---
+// category: rate_limit | server | timeout | network | auth | bad_request | bad_output | config | unknown
+
+function categoryForStatus(status) {
+  if (status === 429) return 'rate_limit';
+  if (status === 408) return 'timeout';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'bad_request';
+  return 'unknown';
+}
+
+const RETRYABLE_CATEGORIES = new Set(['rate_limit', 'server', 'timeout', 'network']);
+
+export function classifyAiError(err, providerName = null) {
+  if (!err || typeof err !== 'object') err = new Error(String(err));
+  if (!err.category) {
+    if (err.name === 'TimeoutError' || err.name === 'AbortError') err.category = 'timeout';
+    else if (err.status) err.category = categoryForStatus(Number(err.status));
+    // fetch() itself failed (DNS, connection reset, ...)
+    else if (err.name === 'TypeError' && /fetch|network/i.test(String(err.message))) err.category = 'network';
+    else err.category = 'unknown';
+  }
+  if (typeof err.retryable !== 'boolean') err.retryable = RETRYABLE_CATEGORIES.has(err.category);
+  if (providerName && !err.provider) err.provider = providerName;
+  return err;
+}
+
+// Abort on the caller's signal or on our own deadline, whichever comes first
+function linkDeadline(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  const timer = timeoutMs ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    cleanup() {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Errors worth trying the next model for (auth/bad_request/config would fail the same way again)
+const FALLBACK_CATEGORIES = new Set(['rate_limit', 'server', 'timeout', 'network', 'bad_output']);
+const MIN_ATTEMPT_MS = 2000;
+
+function getFallbackReserveMs(env) {
+  return Math.max(0, Number(env.AI_FALLBACK_RESERVE_MS || 5000));
+}
+
+async function callModel(env, provider, model, request, kind, timeoutMs) {
+  // The deadline starts when the HTTP call starts, not while waiting for a limiter slot
+  const call = async () => {
+    const deadline = linkDeadline(request.signal, timeoutMs);
+    try {
+      return await provider.generate(env, model, request, deadline.signal);
+    } catch (e) {
+      if (deadline.timedOut()) throw new TimeoutError(`AI ${kind} call (${provider.name}:${model}) timed out after ${timeoutMs}ms`);
+      throw e;
+    } finally {
+      deadline.cleanup();
+    }
+  };
+
+  return provider.rateLimited
+    ? await withAiSlot(env, { userId: request.userId, kind, slot: request.slot, signal: request.signal }, call)
+    : await call();
+}
+
+// --- OUTPUT PARSING + REPAIR ---
+
+// How much of an invalid reply is echoed back in the repair prompt
+const MAX_REPAIR_ECHO_CHARS = 8000;
+const MAX_REPAIR_ISSUES = 15;
+
+function getRepairAttempts(env) {
+  return Math.max(0, Math.min(3, Number(env.AI_REPAIR_ATTEMPTS ?? 1)));
+}
+
+function badOutputError(message, output, issues) {
+  const err = new Error(message);
+  err.category = 'bad_output';
+  err.retryable = false;
+  err.output = String(output || '').slice(0, MAX_REPAIR_ECHO_CHARS);
+  err.issues = issues;
+  return err;
+}
+
+function parseModelOutput(text, request, label) {
+  if (!request.parse && !request.schema) return undefined;
+  let parsed;
+  try {
+    parsed = (request.parse || safeParseJsonLoosely)(text);
+  } catch (parseErr) {
+    const reason = String(parseErr?.message || parseErr).slice(0, 200);
+    throw badOutputError(`Unparseable AI output (${label}): ${reason}`, text, [`$: not a valid JSON object (${reason})`]);
+  }
+  if (!request.schema) return parsed;
+
+  const { ok, value, issues } = validateSchema(parsed, request.schema);
+  if (!ok) throw badOutputError(`Invalid AI output (${label}): ${issues.slice(0, 5).join('; ')}`, text, issues);
+  return value;
+}
+
+// Original conversation + the invalid reply + what is wrong with it
+function buildRepairMessages(request, err) {
+  const issues = err.issues.slice(0, MAX_REPAIR_ISSUES).map(i => '- ' + i).join('\n');
+  const messages = [...request.messages];
+  if (err.output) messages.push({ role: 'assistant', parts: [{ text: err.output }] });
+  messages.push({
+    role: 'user',
+    parts: [{ text: `Your previous reply does not match the required JSON output:\n${issues}\n\nReply again with the corrected JSON object ONLY (no markdown, no commentary). Keep the same analysis, fix only the listed problems, and include every required field.` }]
+  });
+  return messages;
+}
+
+export async function generateText(env, request) {
+  const kind = request.kind || 'chat';
+  // A misspelled kind would silently ignore its AI_PROVIDER_<KIND> / MODEL_ID_<KIND> overrides
+  if (!AI_CALL_KINDS.includes(kind)) {
+    const err = new Error(`Unknown AI call kind "${kind}" (expected one of: ${AI_CALL_KINDS.join(', ')})`);
+    err.category = 'config';
+    err.retryable = false;
+    throw err;
+  }
+  // A model that cannot call the tools would answer without the data they fetch: skip it
+  const chain = resolveModelChain(env, kind).filter(c => !request.tools || canCallTools(env, c));
+  const budgetMs = Math.max(0, Number(request.budgetMs || 0));
+  const maxRepairs = request.schema ? getRepairAttempts(env) : 0;
+  const startedAt = Date.now();
+  const attempts = [];
+  let lastError = null;
+
+  // Within a budget, keep a reserve for the models still to come; null = not enough time left
+  const attemptTimeoutMs = (i) => {
+    const timeoutMs = Number(request.timeoutMs || 0);
+    if (!budgetMs) return timeoutMs;
+    const remaining = budgetMs - (Date.now() - startedAt);
+    const reserve = i < chain.length - 1 ? Math.min(remaining / 2, getFallbackReserveMs(env)) : 0;
+    const attemptMs = Math.floor(remaining - reserve);
+    if (attemptMs < MIN_ATTEMPT_MS) return null;
+    return timeoutMs ? Math.min(timeoutMs, attemptMs) : attemptMs;
+  };
+
+  for (let i = 0; i < chain.length; i++) {
+    const { provider, model } = chain[i];
+    const label = `${provider.name}:${model}`;
+    let messages = request.messages;
+    let repairs = 0;
+
+    for (;;) {
+      const timeoutMs = attemptTimeoutMs(i);
+      if (timeoutMs === null) break;
+
+      try {
+        const output = await callModel(env, provider, model, { ...request, messages }, kind, timeoutMs);
+        const { text, toolCalls = [] } = typeof output === 'string' ? { text: output } : output;
+        const parsed = toolCalls.length ? undefined : parseModelOutput(text, request, label);
+        attempts.push({ model: label, ok: true, repair: repairs });
+        if (i > 0) console.log(`[AI] ${kind}: fallback model ${label} answered after ${i} failed attempt(s)`);
+        if (repairs) console.log(`[AI] ${kind}: ${label} output valid after ${repairs} repair prompt(s)`);
+        return { text, toolCalls, parsed, provider: provider.name, model, attempts };
+      } catch (e) {
+        lastError = classifyAiError(e, provider.name);
+        lastError.model = label;
+        attempts.push({ model: label, ok: false, category: lastError.category, repair: repairs });
+
+        // Invalid output: show the model its mistakes (bounded) before giving up on it
+        if (lastError.category !== 'bad_output' || !lastError.issues || repairs >= maxRepairs || request.signal?.aborted) break;
+        repairs++;
+        console.warn(`[AI] ${kind}: ${label} returned invalid output, repair prompt ${repairs}/${maxRepairs}`);
+        messages = buildRepairMessages(request, lastError);
+      }
+    }
+
+    // Out of time before this model could even start
+    if (attempts.length === 0 || attempts[attempts.length - 1].model !== label) break;
+
+    // Caller gave up, the global limiter had no slot (same for every model), or a hard error
+    if (request.signal?.aborted || lastError.limiter || !FALLBACK_CATEGORIES.has(lastError.category)) break;
+    if (i < chain.length - 1) console.warn(`[AI] ${kind}: ${label} failed (${lastError.category}), trying next model`);
+  }
+
+  if (!lastError) {
+    lastError = classifyAiError(new TimeoutError(`AI ${kind} time budget (${budgetMs}ms) exhausted`));
+  }
+  lastError.attempts = attempts;
+  throw lastError;
+}
@@ -1,3 +1,7 @@
+import { getAiLimiterConfig } from './ratelimit.js';
+import { formatDateTime } from './settings.js';
+import { t, formatDuration, normalizeLanguage, DEFAULT_LANGUAGE } from './i18n.js';
+
 // --- JOB QUEUE (D1) : FIFO sequential image processing ---
 
 function makeJobId(userId, messageId) {
@@ -5,15 +9,16 @@ function makeJobId(userId, messageId) {
   return `${Date.now()}_${userId.slice(-6)}_${messageId}`;
 }
 
-export async function enqueueAnalysisJob(userId, messageId, env) {
+// options.batchId: the upload batch this image belongs to (see batches.js)
+export async function enqueueAnalysisJob(userId, messageId, env, options = {}) {
   if (!env.DB) throw new Error("No DB");
   const jobId = makeJobId(userId, messageId);
   const createdAt = Date.now();
   await env.DB.prepare(`
     INSERT OR IGNORE INTO analysis_jobs
-      (job_id, user_id, message_id, created_at, status, attempt, started_at, finished_at, result_tf, last_error)
-    VALUES (?, ?, ?, ?, 'queued', 0, NULL, NULL, NULL, NULL)
-  `).bind(jobId, userId, messageId, createdAt).run();
+      (job_id, user_id, message_id, created_at, queue_order, batch_id, status, attempt, started_at, finished_at, result_tf, last_error)
+    VALUES (?, ?, ?, ?, ?, ?, 'queued', 0, NULL, NULL, NULL, NULL)
+  `).bind(jobId, userId, messageId, createdAt, createdAt, options.batchId || null).run();
   return { jobId, createdAt };
 }
 
@@ -29,16 +34,6 @@ export async function getUserQueueStats(userId, env) {
   };
 }
 
-function formatDurationTH(seconds) {
-  const s = Math.max(0, Math.round(Number(seconds || 0)));
-  if (s < 60) return `${s} วินาที`;
-  const mins = Math.round(s / 60);
-  if (mins < 60) return `${mins} นาที`;
-  const hours = Math.floor(mins / 60);
-  const remMins = mins % 60;
-  return remMins ? `${hours} ชม. ${remMins} นาที` : `${hours} ชม.`;
-}
-
 function shortMessageId(messageId) {
   if (!messageId) return "??????";
   const s = String(messageId);
@@ -78,6 +73,34 @@ export async function estimateSecondsPerImage(userId, env) {
   }
 }
 
+// Pending images of every other user (the global AI limiter serves users round-robin)
+export async function getOtherUsersPendingCounts(userId, env) {
+  if (!env.DB) return [];
+  try {
+    const { results } = await env.DB.prepare(`
+      SELECT user_id, COUNT(*) AS c
+      FROM analysis_jobs
+      WHERE user_id != ? AND status IN ('queued','processing')
+      GROUP BY user_id
+    `).bind(userId).all();
+    return (results || []).map(r => Number(r.c || 0)).filter(c => c > 0);
+  } catch (_) {
+    return [];
+  }
+}
+
+// Seconds until the user's image at `yourPos` starts. Round-robin: before it starts every other
+// user gets up to `yourPos` turns; throughput is capped by AI_MAX_CONCURRENCY and AI_RATE_PER_MINUTE.
+function estimateStartSeconds(yourPos, perImageSec, otherCounts, env) {
+  const ownWait = (yourPos - 1) * perImageSec;
+  const cfg = getAiLimiterConfig(env);
+  if (!cfg.enabled) return ownWait;
+
+  const ahead = (yourPos - 1) + otherCounts.reduce((sum, c) => sum + Math.min(c, yourPos), 0);
+  const imagesPerSec = Math.min(cfg.maxConcurrency / perImageSec, cfg.ratePerMinute / 60);
+  return Math.max(ownWait, ahead / imagesPerSec);
+}
+
 export async function getQueueProgressForAck(userId, jobId, createdAt, env) {
   const stats = await getUserQueueStats(userId, env);
 
@@ -97,34 +120,24 @@ export async function getQueueProgressForAck(userId, jobId, createdAt, env) {
     LIMIT 1
   `).bind(userId).first();
 
-  let processingOrder = null;
-  if (processing?.created_at != null) {
-    const ord = await env.DB.prepare(`
-      SELECT COUNT(*) AS c
-      FROM analysis_jobs
-      WHERE user_id = ?
-        AND status IN ('queued','processing')
-        AND created_at <= ?
-    `).bind(userId, processing.created_at).first();
-    processingOrder = Number(ord?.c || 1);
-  }
+  // Claim order puts the processing job first
+  const processingOrder = processing ? 1 : null;
 
-  // your position in the combined pending list (processing + queued), ordered by created_at
+  // your position in the combined pending list (processing + queued), in claim order
   let yourPosition = null;
   try {
-    let ca = createdAt;
-    if (ca == null && jobId) {
-      const r = await env.DB.prepare(`SELECT created_at FROM analysis_jobs WHERE job_id = ?`).bind(jobId).first();
-      ca = r?.created_at ?? null;
+    let order = createdAt;
+    if (jobId) {
+      const r = await env.DB.prepare(`SELECT COALESCE(queue_order, created_at) AS o FROM analysis_jobs WHERE job_id = ?`).bind(jobId).first();
+      order = r?.o ?? order;
     }
-    if (ca != null) {
+    if (order != null) {
       const pos = await env.DB.prepare(`
         SELECT COUNT(*) AS c
         FROM analysis_jobs
         WHERE user_id = ?
-          AND status IN ('queued','processing')
-          AND created_at <= ?
-      `).bind(userId, ca).first();
+          AND (status = 'processing' OR (status = 'queued' AND COALESCE(queue_order, created_at) <= ?))
+      `).bind(userId, order).first();
       yourPosition = Number(pos?.c || 0);
     }
   } catch (_) {
@@ -141,87 +154,282 @@ export async function getQueueProgressForAck(userId, jobId, createdAt, env) {
   };
 }
 
-export async function buildQueueAckMessage(userId, jobId, createdAt, env) {
+// options.notify: the user's push setting ('off' keeps the "check SUMMARY" hint)
+// options.settings: user settings, renders the message in the user's language and the receive time
+// in the user's timezone/format
+export async function buildQueueAckMessage(userId, jobId, createdAt, env, options = {}) {
+  const lang = normalizeLanguage(options.settings?.language) || DEFAULT_LANGUAGE;
   const perImageSec = await estimateSecondsPerImage(userId, env);
   const q = await getQueueProgressForAck(userId, jobId, createdAt, env);
+  const otherCounts = await getOtherUsersPendingCounts(userId, env);
+  const otherPending = otherCounts.reduce((sum, c) => sum + c, 0);
 
   const total = q.totalPending || (q.queued_count + q.processing_count) || 1;
   const yourPos = q.yourPosition || null;
 
   const lines = [];
-  lines.push("✅ ได้รับรูปแล้วครับ");
+  lines.push(t(lang, 'ack.received'));
+  if (options.settings) lines.push(`🕒 ${formatDateTime(createdAt, options.settings)}`);
   lines.push("");
-  lines.push(`📥 คิว: รอ ${q.queued_count} รูป (รวมรูปนี้) | กำลังประมวลผล ${q.processing_count} รูป`);
+  lines.push(t(lang, 'ack.queue', { queued: q.queued_count, processing: q.processing_count }));
 
   if (q.processing?.message_id) {
-    lines.push(`⚙️ กำลังทำ: รูปที่ ${(q.processingOrder || 1)}/${total} (ID …${shortMessageId(q.processing.message_id)})`);
+    lines.push(t(lang, 'ack.processing', { order: q.processingOrder || 1, total, id: shortMessageId(q.processing.message_id) }));
   } else {
-    lines.push(`⚙️ กำลังทำ: ยังไม่มีงานที่กำลังประมวลผล (กำลังเริ่มคิว)`);
+    lines.push(t(lang, 'ack.processing_none'));
+  }
+
+  if (otherPending > 0) {
+    lines.push(t(lang, 'ack.others', { users: otherCounts.length, images: otherPending }));
   }
 
-  lines.push(`🧮 ประมาณการ: ~${formatDurationTH(perImageSec)}/รูป`);
+  lines.push(t(lang, 'ack.per_image', { duration: formatDuration(perImageSec, lang) }));
 
   if (yourPos) {
-    const etaStart = Math.max(0, (yourPos - 1) * perImageSec);
-    const etaDone = Math.max(0, yourPos * perImageSec);
-    lines.push(`📌 รูปนี้อยู่ลำดับที่ ${yourPos}/${Math.max(total, yourPos)}`);
-    lines.push(`⏱️ คาดเริ่ม ~${formatDurationTH(etaStart)} | เสร็จ ~${formatDurationTH(etaDone)}`);
+    const etaStart = Math.max(0, estimateStartSeconds(yourPos, perImageSec, otherCounts, env));
+    const etaDone = etaStart + perImageSec;
+    lines.push(t(lang, 'ack.position', { pos: yourPos, total: Math.max(total, yourPos) }));
+    lines.push(t(lang, 'ack.eta', { start: formatDuration(etaStart, lang), done: formatDuration(etaDone, lang) }));
   }
 
   lines.push("");
-  lines.push("📌 เข้าเมนู **สรุปผลวิเคราะห์** เพื่อดูผลลัพธ์ครับ");
+  if (options.notify === 'all') {
+    lines.push(t(lang, 'ack.notify_all'));
+  } else if (options.notify === 'signals') {
+    lines.push(t(lang, 'ack.notify_signals'));
+  } else {
+    lines.push(t(lang, 'ack.notify_off'));
+  }
+  lines.push(t(lang, 'ack.queue_hint'));
 
   return lines.join("\n");
 }
 
-export async function claimNextQueuedJob(userId, env) {
+// --- USER QUEUE MANAGEMENT (QUEUE menu) ---
+// Pending = processing + queued, listed in claim order. Cancelling deletes the row: a runner still
+// working on a cancelled 'processing' job fails its lease check and discards the result.
+
+const PENDING_ORDER_SQL = `CASE WHEN status = 'processing' THEN 0 ELSE 1 END, COALESCE(queue_order, created_at) ASC`;
+
+export async function listPendingJobs(userId, env, limit = 20) {
   if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    SELECT job_id, message_id, created_at, status, attempt, started_at, last_error, not_before
+    FROM analysis_jobs
+    WHERE user_id = ? AND status IN ('queued','processing')
+    ORDER BY ${PENDING_ORDER_SQL}
+    LIMIT ?
+  `).bind(userId, Math.max(1, Number(limit) || 20)).all();
+
+  return (results || []).map((r, i) => ({
+    ...r,
+    attempt: Number(r.attempt || 0),
+    position: i + 1
+  }));
+}
 
-  // Enforce single processing job per-user
-  const proc = await env.DB.prepare(`SELECT COUNT(*) AS c FROM analysis_jobs WHERE user_id = ? AND status = 'processing'`)
-    .bind(userId).first();
-  if (Number(proc?.c || 0) > 0) return null;
+// Returns the deleted { job_id, status } or null if the job is not pending (or not the user's)
+export async function cancelPendingJob(userId, jobId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`
+    DELETE FROM analysis_jobs
+    WHERE job_id = ? AND user_id = ? AND status IN ('queued','processing')
+    RETURNING job_id, status, batch_id
+  `).bind(jobId, userId).first();
+  return row?.job_id ? row : null;
+}
+
+export async function cancelAllPendingJobs(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    DELETE FROM analysis_jobs
+    WHERE user_id = ? AND status IN ('queued','processing')
+    RETURNING job_id, status, batch_id
+  `).bind(userId).all();
+  return results || [];
+}
+
+// Moves a queued job ahead of the user's other queued jobs (a processing job keeps running)
+export async function moveJobToFront(userId, jobId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const res = await env.DB.prepare(`
+    UPDATE analysis_jobs
+    SET queue_order = (
+      SELECT MIN(COALESCE(queue_order, created_at)) - 1
+      FROM analysis_jobs
+      WHERE user_id = ? AND status = 'queued'
+    )
+    WHERE job_id = ? AND user_id = ? AND status = 'queued'
+  `).bind(userId, jobId, userId).run();
+  return Number(res?.meta?.changes || 0) > 0;
+}
+
+export async function buildQueueListMessage(userId, jobs, env, lang = DEFAULT_LANGUAGE) {
+  if (jobs.length === 0) {
+    return t(lang, 'queue.empty');
+  }
+
+  const perImageSec = await estimateSecondsPerImage(userId, env);
+  const now = Date.now();
+  const lines = [t(lang, 'queue.title', { count: jobs.length })];
+
+  for (const job of jobs) {
+    const age = formatDuration((now - Number(job.created_at || now)) / 1000, lang);
+    const state = t(lang, job.status === 'processing' ? 'queue.state_processing' : 'queue.state_queued');
+    lines.push('');
+    lines.push(`${job.position}. ${state} (ID …${shortMessageId(job.message_id)})`);
+    lines.push(t(lang, 'queue.item_age', { age, attempt: job.attempt + 1 }));
+    if (job.last_error) lines.push(t(lang, 'queue.item_error', { error: String(job.last_error).slice(0, 80) }));
+    if (job.status === 'queued' && Number(job.not_before) > now) {
+      lines.push(t(lang, 'queue.item_retry', { duration: formatDuration((Number(job.not_before) - now) / 1000, lang) }));
+    }
+  }
 
-  const next = await env.DB.prepare(`
-    SELECT job_id, message_id, created_at, attempt
+  lines.push('');
+  lines.push(t(lang, 'queue.eta_all', { duration: formatDuration(jobs.length * perImageSec, lang) }));
+  return lines.join("\n");
+}
+
+// --- FAILED JOBS (inbox + manual retry) ---
+// Error jobs keep their KV-cached image until maintenance purges them, so a retry can run
+// even after the LINE content has expired.
+
+export async function listFailedJobs(userId, env, limit = 10) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    SELECT job_id, message_id, created_at, finished_at, attempt, last_error
     FROM analysis_jobs
-    WHERE user_id = ? AND status = 'queued'
-    ORDER BY created_at ASC
-    LIMIT 1
-  `).bind(userId).first();
+    WHERE user_id = ? AND status = 'error'
+    ORDER BY COALESCE(finished_at, created_at) DESC
+    LIMIT ?
+  `).bind(userId, Math.max(1, Number(limit) || 10)).all();
+  return (results || []).map(r => ({ ...r, attempt: Number(r.attempt || 0) }));
+}
 
-  if (!next?.job_id) return null;
+export async function countFailedJobs(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`SELECT COUNT(*) AS c FROM analysis_jobs WHERE user_id = ? AND status = 'error'`)
+    .bind(userId).first();
+  return Number(row?.c || 0);
+}
 
-  const startedAt = Date.now();
+// Puts failed jobs back at the end of the queue with a fresh attempt budget.
+// jobId = null retries all of the user's failed jobs. Returns the number of re-queued jobs.
+export async function retryFailedJobs(userId, env, jobId = null) {
+  if (!env.DB) throw new Error("No DB");
   const res = await env.DB.prepare(`
     UPDATE analysis_jobs
-    SET status = 'processing', started_at = ?, last_error = NULL
-    WHERE job_id = ? AND status = 'queued'
-  `).bind(startedAt, next.job_id).run();
+    SET status = 'queued',
+        attempt = 0,
+        queue_order = ?,
+        started_at = NULL,
+        finished_at = NULL,
+        not_before = NULL,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE user_id = ? AND status = 'error' AND (? IS NULL OR job_id = ?)
+  `).bind(Date.now(), userId, jobId, jobId).run();
+  return Number(res?.meta?.changes || 0);
+}
+
+// --- LEASES ---
+// A claimed job carries lease_owner (one id per runner invocation) and lease_expires_at.
+// The running analysis renews the lease (heartbeat); once it expires, the next invocation
+// takes the job over. Completion writes only apply while the caller still owns the lease.
+
+export function getJobLeaseMs(env) {
+  return Math.max(20000, Number(env.JOB_LEASE_MS || 60000));
+}
+
+export function newLeaseOwner() {
+  return (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+// Atomic claim (single UPDATE ... RETURNING): picks the user's next queued job (queue order), or takes over a
+// 'processing' job whose lease expired. Returns null while another runner holds a live lease.
+// Queued jobs of a batch that is still collecting/being ordered are held back until batchGraceMs
+// past the batch window; after that they run in arrival order (orderer crashed).
+export async function claimNextQueuedJob(userId, env, leaseOwner = newLeaseOwner(), batchGraceMs = 0) {
+  if (!env.DB) throw new Error("No DB");
 
-  // If update did not apply (race), return null
-  // D1 meta may not always include changes; be defensive:
-  if (res?.meta?.changes === 0) return null;
+  const now = Date.now();
+  const leaseExpiresAt = now + getJobLeaseMs(env);
+
+  const row = await env.DB.prepare(`
+    UPDATE analysis_jobs
+    SET status = 'processing',
+        started_at = ?,
+        last_error = CASE WHEN status = 'processing' THEN 'Lease expired; taken over' ELSE NULL END,
+        attempt = CASE WHEN status = 'processing' THEN COALESCE(attempt, 0) + 1 ELSE COALESCE(attempt, 0) END,
+        lease_owner = ?,
+        lease_expires_at = ?
+    WHERE job_id = (
+      SELECT job_id FROM analysis_jobs
+      WHERE user_id = ?
+        AND (status = 'queued' OR (status = 'processing' AND COALESCE(lease_expires_at, 0) < ?))
+        AND (status = 'processing' OR COALESCE(not_before, 0) <= ?)
+        AND (status = 'processing' OR batch_id IS NULL OR NOT EXISTS (
+          SELECT 1 FROM analysis_batches b
+          WHERE b.batch_id = analysis_jobs.batch_id
+            AND b.status IN ('collecting','ready','ordering')
+            AND b.window_ends_at > ?
+        ))
+      ORDER BY ${PENDING_ORDER_SQL}
+      LIMIT 1
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM analysis_jobs live
+      WHERE live.user_id = ?
+        AND live.status = 'processing'
+        AND COALESCE(live.lease_expires_at, 0) >= ?
+    )
+    RETURNING job_id, message_id, created_at, attempt, started_at, lease_owner, lease_expires_at, last_error, batch_id, pre_tf
+  `).bind(now, leaseOwner, leaseExpiresAt, userId, now, now, now - batchGraceMs, userId, now).first();
+
+  if (!row?.job_id) return null;
 
   return {
-    job_id: next.job_id,
-    message_id: next.message_id,
-    created_at: next.created_at,
-    attempt: Number(next.attempt || 0),
-    started_at: startedAt
+    job_id: row.job_id,
+    message_id: row.message_id,
+    created_at: row.created_at,
+    attempt: Number(row.attempt || 0),
+    started_at: row.started_at,
+    lease_owner: row.lease_owner,
+    lease_expires_at: row.lease_expires_at,
+    taken_over: Boolean(row.last_error),
+    batch_id: row.batch_id || null,
+    pre_tf: row.pre_tf || null
   };
 }
 
-export async function requeueJob(jobId, env, attempt, lastError) {
+// Heartbeat: extend the lease. Returns false if the lease was lost (expired and taken over).
+export async function renewJobLease(jobId, leaseOwner, env) {
   if (!env.DB) throw new Error("No DB");
-  await env.DB.prepare(`
+  const res = await env.DB.prepare(`
+    UPDATE analysis_jobs
+    SET lease_expires_at = ?
+    WHERE job_id = ? AND lease_owner = ? AND status = 'processing'
+  `).bind(Date.now() + getJobLeaseMs(env), jobId, leaseOwner).run();
+  return Number(res?.meta?.changes || 0) > 0;
+}
+
+// notBefore: earliest claim time (epoch ms) for retry backoff; null = claimable right away
+export async function requeueJob(jobId, env, attempt, lastError, leaseOwner = null, notBefore = null) {
+  if (!env.DB) throw new Error("No DB");
+  const res = await env.DB.prepare(`
     UPDATE analysis_jobs
     SET status = 'queued',
         attempt = ?,
         started_at = NULL,
-        last_error = ?
-    WHERE job_id = ?
-  `).bind(attempt, lastError ? String(lastError).slice(0, 800) : null, jobId).run();
+        last_error = ?,
+        not_before = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE job_id = ? AND (? IS NULL OR (lease_owner = ? AND status = 'processing'))
+  `).bind(attempt, lastError ? String(lastError).slice(0, 800) : null, notBefore, jobId, leaseOwner, leaseOwner).run();
+  return Number(res?.meta?.changes || 0) > 0;
 }
 
 export async function pruneDoneJobHistory(userId, env, keepCount = 5) {
@@ -235,6 +443,7 @@ export async function pruneDoneJobHistory(userId, env, keepCount = 5) {
       DELETE FROM analysis_jobs
       WHERE user_id = ?
         AND status = 'done'
+        AND (batch_id IS NULL OR batch_id NOT IN (SELECT batch_id FROM analysis_batches WHERE status != 'done'))
         AND job_id NOT IN (
           SELECT job_id FROM analysis_jobs
           WHERE user_id = ?
@@ -249,16 +458,25 @@ export async function pruneDoneJobHistory(userId, env, keepCount = 5) {
   }
 }
 
-export async function markJobDone(jobId, env, resultTF) {
+// leaseOwner: when given, the update is ignored (returns false) if that owner lost the lease
+export async function markJobDone(jobId, env, resultTF, leaseOwner = null, resultSymbol = null) {
   if (!env.DB) throw new Error("No DB");
   const finishedAt = Date.now();
-  await env.DB.prepare(`
+  const res = await env.DB.prepare(`
     UPDATE analysis_jobs
     SET status = 'done',
         finished_at = ?,
-        result_tf = ?
-    WHERE job_id = ?
-  `).bind(finishedAt, resultTF || null, jobId).run();
+        result_tf = ?,
+        result_symbol = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE job_id = ? AND (? IS NULL OR (lease_owner = ? AND status = 'processing'))
+  `).bind(finishedAt, resultTF || null, resultSymbol || null, jobId, leaseOwner, leaseOwner).run();
+
+  if (leaseOwner && Number(res?.meta?.changes || 0) === 0) {
+    console.warn(`[markJobDone] Lease lost for job ${jobId}; ignoring`);
+    return false;
+  }
 
   // Prune completed job history: keep only the latest 5 'done' jobs for ETA averaging.
   try {
@@ -269,18 +487,27 @@ export async function markJobDone(jobId, env, resultTF) {
   } catch (e) {
     console.warn('[markJobDone prune] ' + e);
   }
+  return true;
 }
 
-export async function markJobError(jobId, env, errMsg) {
+export async function markJobError(jobId, env, errMsg, leaseOwner = null) {
   if (!env.DB) throw new Error("No DB");
   const finishedAt = Date.now();
-  await env.DB.prepare(`
+  const res = await env.DB.prepare(`
     UPDATE analysis_jobs
     SET status = 'error',
         finished_at = ?,
-        last_error = ?
-    WHERE job_id = ?
-  `).bind(finishedAt, String(errMsg || '').slice(0, 800), jobId).run();
+        last_error = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE job_id = ? AND (? IS NULL OR (lease_owner = ? AND status = 'processing'))
+  `).bind(finishedAt, String(errMsg || '').slice(0, 800), jobId, leaseOwner, leaseOwner).run();
+
+  if (leaseOwner && Number(res?.meta?.changes || 0) === 0) {
+    console.warn(`[markJobError] Lease lost for job ${jobId}; ignoring`);
+    return false;
+  }
+  return true;
 }
 
 export async function hasQueuedJobs(userId, env) {
@@ -288,4 +515,99 @@ export async function hasQueuedJobs(userId, env) {
   const row = await env.DB.prepare(`SELECT COUNT(*) AS c FROM analysis_jobs WHERE user_id = ? AND status = 'queued'`)
     .bind(userId).first();
   return Number(row?.c || 0) > 0;
-}
\ No newline at end of file
+}
+
+// Earliest time a queued job of this user may be claimed (epoch ms), or null when nothing is queued
+export async function getNextQueuedDueAt(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`
+    SELECT MIN(COALESCE(not_before, 0)) AS due
+    FROM analysis_jobs
+    WHERE user_id = ? AND status = 'queued'
+  `).bind(userId).first();
+  return row?.due == null ? null : Number(row.due);
+}
+
+// Queued jobs waiting out a retry backoff: { count, nextAt }
+export async function getBackoffJobsInfo(userId, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`
+    SELECT COUNT(*) AS c, MIN(not_before) AS next_at
+    FROM analysis_jobs
+    WHERE user_id = ? AND status = 'queued' AND not_before > ?
+  `).bind(userId, Date.now()).first();
+  return { count: Number(row?.c || 0), nextAt: row?.next_at == null ? null : Number(row.next_at) };
+}
+
+// --- MAINTENANCE (cross-user sweeps, used by the scheduled worker) ---
+
+// Jobs stuck in 'processing' (worker died / timed out): requeue while attempts remain, else fail them.
+// `startedBefore` is compared with the lease expiry (falls back to started_at for lease-less rows).
+export async function reapStuckJobs(env, startedBefore, maxAttempts) {
+  if (!env.DB) throw new Error("No DB");
+  const reason = 'Stuck in processing; reset by maintenance';
+
+  const requeued = await env.DB.prepare(`
+    UPDATE analysis_jobs
+    SET status = 'queued',
+        attempt = COALESCE(attempt, 0) + 1,
+        started_at = NULL,
+        last_error = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE status = 'processing'
+      AND COALESCE(lease_expires_at, started_at) < ?
+      AND COALESCE(attempt, 0) + 1 < ?
+    RETURNING job_id, user_id
+  `).bind(reason, startedBefore, maxAttempts).all();
+
+  const failed = await env.DB.prepare(`
+    UPDATE analysis_jobs
+    SET status = 'error',
+        finished_at = ?,
+        last_error = ?,
+        lease_owner = NULL,
+        lease_expires_at = NULL
+    WHERE status = 'processing'
+      AND COALESCE(lease_expires_at, started_at) < ?
+    RETURNING job_id, user_id
+  `).bind(Date.now(), reason + ' (max attempts reached)', startedBefore).all();
+
+  return {
+    requeued: requeued?.results || [],
+    failed: failed?.results || []
+  };
+}
+
+export async function purgeErrorJobs(env, finishedBefore) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`
+    DELETE FROM analysis_jobs
+    WHERE status = 'error'
+      AND COALESCE(finished_at, created_at) < ?
+    RETURNING job_id, user_id
+  `).bind(finishedBefore).all();
+  return results || [];
+}
+
+export async function getJobStatusesByIds(jobIds, env) {
+  if (!env.DB) throw new Error("No DB");
+  const ids = (jobIds || []).filter(Boolean);
+  const statuses = new Map();
+  // Keep well under D1's bound-parameter limit
+  for (let i = 0; i < ids.length; i += 50) {
+    const chunk = ids.slice(i, i + 50);
+    const { results } = await env.DB.prepare(`
+      SELECT job_id, status FROM analysis_jobs
+      WHERE job_id IN (${chunk.map(() => '?').join(',')})
+    `).bind(...chunk).all();
+    for (const r of results || []) statuses.set(r.job_id, r.status);
+  }
+  return statuses;
+}
+
+export async function listUsersWithJobs(env) {
+  if (!env.DB) throw new Error("No DB");
+  const { results } = await env.DB.prepare(`SELECT DISTINCT user_id FROM analysis_jobs`).all();
+  return (results || []).map(r => r.user_id).filter(Boolean);
+}
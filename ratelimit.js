@@ -0,0 +1,165 @@
+// --- GLOBAL AI RATE LIMITER (D1) ---
+// Every model call goes through withAiSlot(): a token bucket (AI_RATE_PER_MINUTE, burst AI_BURST)
+// plus a concurrency cap (AI_MAX_CONCURRENCY) shared by all users and isolates.
+//
+// Fair scheduling: callers register as waiters; a waiter is granted only when fewer waiters rank
+// ahead of it than there are free slots/tokens. Waiters rank by their user's last grant (least
+// recently served user first), then arrival - i.e. round-robin across users, so one user's burst
+// cannot starve the others.
+//
+// Crash safety: slots and waiters carry an expiry, so a dead holder/waiter stops counting on its own.
+
+const BUCKET = 'gemini';
+
+export function getAiLimiterConfig(env) {
+  const ratePerMinute = Number(env.AI_RATE_PER_MINUTE ?? 10);
+  const maxConcurrency = Math.max(1, Number(env.AI_MAX_CONCURRENCY || 2));
+  return {
+    enabled: Number.isFinite(ratePerMinute) && ratePerMinute > 0,
+    ratePerMinute,
+    maxConcurrency,
+    burst: Math.max(1, Number(env.AI_BURST || maxConcurrency + 1)),
+    maxWaitMs: Math.max(1000, Number(env.AI_LIMITER_MAX_WAIT_MS || 25000)),
+    pollMs: Math.max(100, Number(env.AI_LIMITER_POLL_MS || 500)),
+    slotTtlMs: Math.max(10000, Number(env.AI_SLOT_TTL_MS || 90000))
+  };
+}
+
+function newSlotId() {
+  return (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One transaction: take a token + a slot if this waiter's turn has come
+async function tryGrant(env, cfg, waiterId, userId, kind) {
+  const now = Date.now();
+  const ratePerMs = cfg.ratePerMinute / 60000;
+
+  const results = await env.DB.batch([
+    env.DB.prepare(`
+      WITH me AS (
+        SELECT w.created_at AS created_at, COALESCE(t.last_served_at, 0) AS served
+        FROM ai_waiters w LEFT JOIN ai_user_turns t ON t.user_id = w.user_id
+        WHERE w.waiter_id = ?1
+      ),
+      ahead AS (
+        SELECT COUNT(*) AS n
+        FROM ai_waiters w
+        LEFT JOIN ai_user_turns t ON t.user_id = w.user_id
+        CROSS JOIN me
+        WHERE w.expires_at > ?2
+          AND w.waiter_id != ?1
+          AND (COALESCE(t.last_served_at, 0) < me.served
+               OR (COALESCE(t.last_served_at, 0) = me.served AND w.created_at < me.created_at))
+      )
+      UPDATE ai_rate_limit
+      SET tokens = MIN(?3, tokens + (?2 - updated_at) * ?4) - 1,
+          updated_at = ?2,
+          last_grant = ?1
+      WHERE bucket = ?5
+        AND EXISTS (SELECT 1 FROM me)
+        AND MIN(?3, tokens + (?2 - updated_at) * ?4) >= 1 + (SELECT n FROM ahead)
+        AND (SELECT COUNT(*) FROM ai_inflight WHERE expires_at > ?2) + (SELECT n FROM ahead) < ?6
+    `).bind(waiterId, now, cfg.burst, ratePerMs, BUCKET, cfg.maxConcurrency),
+    env.DB.prepare(`
+      INSERT INTO ai_inflight (slot_id, user_id, kind, acquired_at, expires_at)
+      SELECT ?1, ?2, ?3, ?4, ?5
+      WHERE EXISTS (SELECT 1 FROM ai_rate_limit WHERE bucket = ?6 AND last_grant = ?1)
+    `).bind(waiterId, userId, kind, now, now + cfg.slotTtlMs, BUCKET),
+    env.DB.prepare(`
+      DELETE FROM ai_waiters
+      WHERE waiter_id = ?1 AND EXISTS (SELECT 1 FROM ai_inflight WHERE slot_id = ?1)
+    `).bind(waiterId),
+    env.DB.prepare(`
+      INSERT INTO ai_user_turns (user_id, last_served_at)
+      SELECT ?1, ?2
+      WHERE EXISTS (SELECT 1 FROM ai_inflight WHERE slot_id = ?3)
+      ON CONFLICT(user_id) DO UPDATE SET last_served_at = excluded.last_served_at
+    `).bind(userId, now, waiterId)
+  ]);
+
+  return Number(results?.[1]?.meta?.changes || 0) > 0;
+}
+
+// Waits (polling) for a slot. Returns a slot handle, or null when limiting is off / no DB.
+// Throws a 429-style error after AI_LIMITER_MAX_WAIT_MS so callers treat it as retryable.
+export async function acquireAiSlot(env, { userId = null, kind = 'ai', signal = null } = {}) {
+  if (!env.DB) return null;
+  const cfg = getAiLimiterConfig(env);
+  if (!cfg.enabled) return null;
+
+  const owner = userId || '_anon';
+  const waiterId = newSlotId();
+  const startedAt = Date.now();
+  const waiterTtlMs = cfg.pollMs * 4;
+
+  await env.DB.prepare(`
+    INSERT INTO ai_waiters (waiter_id, user_id, kind, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(waiterId, owner, kind, startedAt, startedAt + waiterTtlMs).run();
+
+  try {
+    while (true) {
+      if (await tryGrant(env, cfg, waiterId, owner, kind)) {
+        return { slotId: waiterId, userId: owner, kind };
+      }
+      if (signal?.aborted) {
+        const err = new Error('AI slot wait aborted');
+        err.name = 'AbortError';
+        throw err;
+      }
+      if (Date.now() - startedAt > cfg.maxWaitMs) {
+        const err = new Error(`AI rate limit: no free slot within ${cfg.maxWaitMs}ms (429)`);
+        err.status = 429;
+        err.limiter = true;
+        throw err;
+      }
+
+      await sleep(cfg.pollMs + Math.floor(Math.random() * cfg.pollMs / 2));
+      await env.DB.prepare(`UPDATE ai_waiters SET expires_at = ? WHERE waiter_id = ?`)
+        .bind(Date.now() + waiterTtlMs, waiterId).run();
+    }
+  } catch (e) {
+    await env.DB.prepare(`DELETE FROM ai_waiters WHERE waiter_id = ?`).bind(waiterId).run().catch(() => {});
+    throw e;
+  }
+}
+
+export async function releaseAiSlot(env, slot) {
+  if (!slot || !env.DB) return;
+  try {
+    await env.DB.prepare(`DELETE FROM ai_inflight WHERE slot_id = ? OR expires_at < ?`)
+      .bind(slot.slotId, Date.now()).run();
+  } catch (e) {
+    // The slot expires on its own (AI_SLOT_TTL_MS)
+    console.warn('[RateLimit] Failed to release slot:', e?.message || e);
+  }
+}
+
+// Runs `fn` holding a slot. meta.slot: a slot the caller already holds (no second acquire).
+export async function withAiSlot(env, meta, fn) {
+  if (meta?.slot) return await fn();
+  const slot = await acquireAiSlot(env, meta);
+  try {
+    return await fn();
+  } finally {
+    await releaseAiSlot(env, slot);
+  }
+}
+
+// Maintenance: drop expired slots/waiters and turn records of users idle for a day
+export async function purgeAiLimiterState(env) {
+  if (!env.DB) return 0;
+  const now = Date.now();
+  const results = await env.DB.batch([
+    env.DB.prepare(`DELETE FROM ai_inflight WHERE expires_at < ?`).bind(now),
+    env.DB.prepare(`DELETE FROM ai_waiters WHERE expires_at < ?`).bind(now),
+    env.DB.prepare(`DELETE FROM ai_user_turns WHERE last_served_at < ?`).bind(now - 24 * 60 * 60 * 1000)
+  ]);
+  return results.reduce((sum, r) => sum + Number(r?.meta?.changes || 0), 0);
+}
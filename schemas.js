@@ -0,0 +1,270 @@
+import { TF_ORDER } from './config.js';
+import { normalizeTF } from './utils.js';
+import { LEVEL_TYPES, LEVEL_STRENGTHS } from './levels.js';
+
+// --- MODEL OUTPUT SCHEMAS ---
+// A small JSON-Schema subset (no dependencies) describing what the model must return:
+// 1. validateSchema(value, schema) checks required fields, types and enums -> { ok, value, issues }
+// 2. toGeminiSchema / toJsonSchema turn the same schema into the providers' structured-output formats
+// 3. the issues are quoted back to the model in the repair re-prompt (providers.js)
+//
+// Node keys: type ('object' | 'array' | 'string' | 'number' | 'boolean'), nullable, enum, aliases,
+// coerce (string -> string, before the enum check), properties, required, items, minLength, minimum, maximum,
+// description (passed to the model, e.g. for tool arguments).
+// Lenient where it is harmless: enum case ("buy" -> "BUY"), a number where a price string is expected,
+// a numeric string where a number is expected. Properties not in the schema are kept untouched.
+// Optional properties may be missing or null; required ones must be present and non-null.
+
+const ACTIONS = ['BUY', 'SELL', 'WAIT', 'HOLD'];
+const CONFIDENCES = ['High', 'Medium', 'Low'];
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const strList = () => ({ type: 'array', items: str() });
+const tfEnum = () => ({ type: 'string', enum: TF_ORDER, coerce: normalizeTF });
+const tfList = () => ({ type: 'array', items: tfEnum() });
+
+const TREND_BIAS = {
+  type: 'string',
+  enum: ['Bullish', 'Bearish', 'Sideway'],
+  aliases: { sideways: 'Sideway', range: 'Sideway', ranging: 'Sideway', neutral: 'Sideway' }
+};
+
+// Prices stay strings: models write zones ("2650-2655") as often as single levels
+const TRADE_SETUP = {
+  type: 'object',
+  required: ['action', 'confidence'],
+  properties: {
+    action: { type: 'string', enum: ACTIONS },
+    entry_zone: str(),
+    target_price: str(),
+    stop_loss: str(),
+    confidence: { type: 'string', enum: CONFIDENCES },
+    risk_flags: strList()
+  }
+};
+
+const KEY_LEVELS = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['price', 'type'],
+    properties: {
+      price: { type: 'number', minimum: 0 },
+      type: { type: 'string', enum: LEVEL_TYPES, aliases: { demand: 'support', supply: 'resistance', fibonacci: 'fib' } },
+      strength: { type: 'string', enum: LEVEL_STRENGTHS },
+      label: str()
+    }
+  }
+};
+
+const DETAILED_TECHNICAL_DATA = {
+  type: 'object',
+  required: ['trend_bias', 'trade_setup'],
+  properties: {
+    trend_bias: TREND_BIAS,
+    structure: {
+      type: 'object',
+      properties: { parent_bias: str(), market_structure: str() }
+    },
+    value: {
+      type: 'object',
+      properties: { at_key_level: { type: 'boolean' }, key_levels_summary: str() }
+    },
+    trigger: {
+      type: 'object',
+      properties: { candlestick_patterns: strList(), divergence: str() }
+    },
+    key_levels: KEY_LEVELS,
+    trade_setup: TRADE_SETUP
+  }
+};
+
+export const CHART_ANALYSIS_SCHEMA = {
+  name: 'chart_analysis',
+  type: 'object',
+  required: ['detected_tf', 'reasoning_trace', 'detailed_technical_data', 'user_response_text'],
+  properties: {
+    symbol: str({ nullable: true }),
+    detected_tf: tfEnum(),
+    tfs_used_for_confluence: tfList(),
+    request_update_for_tf: { ...tfList(), nullable: true },
+    reasoning_trace: strList(),
+    detailed_technical_data: DETAILED_TECHNICAL_DATA,
+    user_response_text: str({ minLength: 1 })
+  }
+};
+
+export const TRADE_STYLE_SCHEMA = {
+  name: 'trade_style_plan',
+  type: 'object',
+  required: ['mode', 'reasoning_trace', 'trade_plan', 'user_response_text'],
+  properties: {
+    mode: { type: 'string', enum: ['SCALP', 'SWING'] },
+    tfs_used_for_confluence: tfList(),
+    request_update_for_tf: { ...tfList(), nullable: true },
+    reasoning_trace: strList(),
+    trade_plan: {
+      ...TRADE_SETUP,
+      properties: {
+        ...TRADE_SETUP.properties,
+        probability_pct: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    risk_notes: strList(),
+    user_response_text: str({ minLength: 1 })
+  }
+};
+
+export const REANALYZE_SCHEMA = {
+  name: 'reanalysis',
+  type: 'object',
+  required: ['results'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['detected_tf', 'detailed_technical_data'],
+        properties: {
+          detected_tf: tfEnum(),
+          tfs_used_for_confluence: tfList(),
+          request_update_for_tf: { ...tfList(), nullable: true },
+          reasoning_trace: strList(),
+          detailed_technical_data: DETAILED_TECHNICAL_DATA,
+          user_response_text: str()
+        }
+      }
+    }
+  }
+};
+
+// Free-text command classification (intents.js): the action and its arguments, or CHAT
+export const INTENT_SCHEMA = {
+  name: 'intent',
+  type: 'object',
+  required: ['intent', 'confidence'],
+  properties: {
+    intent: { type: 'string', enum: ['DELETE_TF', 'CHANGE_TF', 'REANALYZE', 'SUMMARY_TF', 'TRADE_STYLE', 'CHAT'] },
+    tf: { ...tfEnum(), nullable: true },
+    to_tf: { ...tfEnum(), nullable: true },
+    symbol: str({ nullable: true }),
+    mode: { type: 'string', enum: ['SCALP', 'SWING'], nullable: true },
+    confidence: { type: 'string', enum: CONFIDENCES }
+  }
+};
+
+// --- VALIDATION ---
+
+function matchEnum(value, node) {
+  const key = String(value).trim().toLowerCase();
+  const hit = node.enum.find(e => String(e).toLowerCase() === key);
+  if (hit !== undefined) return hit;
+  return node.aliases?.[key];
+}
+
+function validateNode(value, node, path, issues) {
+  switch (node.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(`${path}: must be an object`);
+        return value;
+      }
+      const out = { ...value };
+      for (const key of node.required || []) {
+        if (out[key] === undefined || out[key] === null) issues.push(`${path}.${key}: is required`);
+      }
+      for (const [key, child] of Object.entries(node.properties || {})) {
+        if (out[key] === undefined || out[key] === null) continue;
+        out[key] = validateNode(out[key], child, `${path}.${key}`, issues);
+      }
+      return out;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        issues.push(`${path}: must be an array`);
+        return value;
+      }
+      return value.map((item, i) => validateNode(item, node.items, `${path}[${i}]`, issues));
+
+    case 'string': {
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') {
+        issues.push(`${path}: must be a string`);
+        return value;
+      }
+      if (node.coerce) value = node.coerce(value) ?? value;
+      if (node.enum) {
+        const hit = matchEnum(value, node);
+        if (hit === undefined) {
+          issues.push(`${path}: "${value.slice(0, 40)}" is not one of ${node.enum.join(', ')}`);
+          return value;
+        }
+        value = hit;
+      }
+      if (node.minLength && value.trim().length < node.minLength) issues.push(`${path}: must not be empty`);
+      return value;
+    }
+
+    case 'number': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) {
+        issues.push(`${path}: must be a number`);
+        return value;
+      }
+      if (node.minimum !== undefined && n < node.minimum) issues.push(`${path}: must be >= ${node.minimum}`);
+      if (node.maximum !== undefined && n > node.maximum) issues.push(`${path}: must be <= ${node.maximum}`);
+      return n;
+    }
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (typeof value !== 'boolean') issues.push(`${path}: must be true or false`);
+      return value;
+
+    default:
+      return value;
+  }
+}
+
+export function validateSchema(value, schema) {
+  const issues = [];
+  if (value === null || value === undefined) {
+    issues.push('$: must be an object');
+    return { ok: false, value, issues };
+  }
+  const normalized = validateNode(value, schema, '$', issues);
+  return { ok: issues.length === 0, value: normalized, issues };
+}
+
+// --- STRUCTURED-OUTPUT FORMATS ---
+
+// Gemini responseSchema (OpenAPI subset): upper-case types, no free-form objects
+export function toGeminiSchema(node) {
+  const out = { type: node.type.toUpperCase() };
+  if (node.description) out.description = node.description;
+  if (node.nullable) out.nullable = true;
+  if (node.enum) out.enum = node.enum.map(String);
+  if (node.type === 'array') out.items = toGeminiSchema(node.items);
+  if (node.type === 'object') {
+    out.properties = Object.fromEntries(Object.entries(node.properties || {}).map(([k, v]) => [k, toGeminiSchema(v)]));
+    if (node.required?.length) out.required = node.required;
+  }
+  return out;
+}
+
+// Standard JSON Schema for OpenAI-compatible response_format: { type: 'json_schema' }
+export function toJsonSchema(node) {
+  const out = { type: node.nullable ? [node.type, 'null'] : node.type };
+  if (node.description) out.description = node.description;
+  if (node.enum) out.enum = node.nullable ? [...node.enum, null] : [...node.enum];
+  if (node.minLength) out.minLength = node.minLength;
+  if (node.minimum !== undefined) out.minimum = node.minimum;
+  if (node.maximum !== undefined) out.maximum = node.maximum;
+  if (node.type === 'array') out.items = toJsonSchema(node.items);
+  if (node.type === 'object') {
+    out.properties = Object.fromEntries(Object.entries(node.properties || {}).map(([k, v]) => [k, toJsonSchema(v)]));
+    if (node.required?.length) out.required = node.required;
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+import { DEFAULT_LANGUAGE, normalizeLanguage } from './i18n.js';
+
+// --- USER SETTINGS (D1: user_settings) ---
+// One JSON document per user, merged over DEFAULT_USER_SETTINGS on read, so adding a
+// setting only needs a new default here (no migration).
+
+// Push notification modes: off | all (every result + failures) | signals (BUY/SELL results + failures)
+export const NOTIFY_MODES = ['off', 'all', 'signals'];
+
+// Date formats for display: th = Thai locale (Buddhist year), en = DD/MM/YYYY, iso = YYYY-MM-DD (24h everywhere)
+export const DATE_FORMATS = ['th', 'en', 'iso'];
+
+// Offered in the SETTINGS menu; any IANA zone can be typed as TIMEZONE:<Area/City>
+export const TIMEZONE_PRESETS = ['Asia/Bangkok', 'Asia/Tokyo', 'Asia/Singapore', 'Europe/London', 'America/New_York', 'UTC'];
+
+export const DEFAULT_USER_SETTINGS = {
+  language: DEFAULT_LANGUAGE,
+  notify: 'all',
+  timezone: 'Asia/Bangkok',
+  date_format: 'th'
+};
+
+function parseSettings(json) {
+  try {
+    const parsed = JSON.parse(json || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+export async function getUserSettings(userId, env) {
+  if (!env.DB) return { ...DEFAULT_USER_SETTINGS };
+  const row = await env.DB.prepare(`SELECT settings_json FROM user_settings WHERE user_id = ?`)
+    .bind(userId).first();
+  return { ...DEFAULT_USER_SETTINGS, ...parseSettings(row?.settings_json) };
+}
+
+// UI + AI output language of the user (i18n.js LANGUAGES)
+export async function getUserLanguage(userId, env) {
+  const { language } = await getUserSettings(userId, env);
+  return normalizeLanguage(language) || DEFAULT_LANGUAGE;
+}
+
+// Merges `patch` into the stored settings and returns the full (defaulted) settings
+export async function updateUserSettings(userId, patch, env) {
+  if (!env.DB) throw new Error("No DB");
+  const row = await env.DB.prepare(`SELECT settings_json FROM user_settings WHERE user_id = ?`)
+    .bind(userId).first();
+  const next = { ...parseSettings(row?.settings_json), ...(patch || {}) };
+
+  await env.DB.prepare(`
+    INSERT INTO user_settings (user_id, settings_json, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET settings_json = excluded.settings_json, updated_at = excluded.updated_at
+  `).bind(userId, JSON.stringify(next), Date.now()).run();
+
+  return { ...DEFAULT_USER_SETTINGS, ...next };
+}
+
+export function normalizeNotifyMode(mode) {
+  const m = String(mode || '').trim().toLowerCase();
+  return NOTIFY_MODES.includes(m) ? m : null;
+}
+
+// "asia/tokyo" -> "Asia/Tokyo"; null when the runtime does not know the zone
+export function normalizeTimezone(tz) {
+  const t = String(tz || '').trim();
+  if (!t) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: t }).resolvedOptions().timeZone;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function normalizeDateFormat(format) {
+  const f = String(format || '').trim().toLowerCase();
+  return DATE_FORMATS.includes(f) ? f : null;
+}
+
+// --- DISPLAY TIME ---
+// Only epoch ms is stored; every readable time is rendered here, in the reader's timezone and format.
+export function formatDateTime(timestamp, settings = DEFAULT_USER_SETTINGS) {
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || ts <= 0) return '-';
+  const timeZone = normalizeTimezone(settings?.timezone) || DEFAULT_USER_SETTINGS.timezone;
+  const date = new Date(ts);
+
+  switch (normalizeDateFormat(settings?.date_format) || DEFAULT_USER_SETTINGS.date_format) {
+    case 'en':
+      return date.toLocaleString('en-GB', { timeZone, hour12: false });
+    case 'iso': {
+      const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(date).map(p => [p.type, p.value]));
+      return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+    }
+    default:
+      return date.toLocaleString('th-TH', { timeZone });
+  }
+}
+
+// Model-facing timestamps: one unambiguous form whatever the user's display settings
+export function formatDateTimeUTC(timestamp) {
+  const s = formatDateTime(timestamp, { timezone: 'UTC', date_format: 'iso' });
+  return s === '-' ? s : `${s} UTC`;
+}
@@ -0,0 +1,129 @@
+import { normalizeSymbol } from './utils.js';
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+// --- TRADE SETUP VALIDATOR (deterministic, no AI) ---
+// The model writes entry_zone / target_price / stop_loss as free text. checkTradeSetup() parses them
+// into numbers, checks that they point the way the action does (BUY: SL < Entry < TP,
+// SELL: TP < Entry < SL) and attaches the result to the setup:
+//   setup_status: 'ok' | 'inconsistent' | 'incomplete'
+//   risk_reward (reward / risk, from the middle of the entry zone and the nearest target), sl_pips, tp_pips
+// An inconsistent BUY/SELL is downgraded to WAIT (Low) with a risk flag; original_action keeps the model's call.
+
+// A level further than this from the entry is treated as a misread, not a plan
+const MAX_LEVEL_DISTANCE = 0.25;
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Price units per pip for the pairs the bot sees; unknown instruments fall back to the price magnitude
+export function pipSize(symbol, price) {
+  const s = normalizeSymbol(symbol);
+  if (s.includes('JPY')) return 0.01;
+  if (s.startsWith('XAU')) return 0.1;
+  if (s.startsWith('XAG')) return 0.01;
+  if (/^(BTC|ETH)/.test(s)) return 1;
+  if (/^[A-Z]{6}$/.test(s)) return 0.0001;
+  if (price < 10) return 0.0001;
+  if (price < 300) return 0.01;
+  return 0.1;
+}
+
+// "2650-2655", "2,650.5", "1.0850 / 1.0860", "TP1 2680, TP2 2700", "2650-55", "1.0850-60" -> { low, high }; null when no price
+export function parsePriceRange(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? { low: value, high: value } : null;
+
+  const cleaned = String(value)
+    .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')                         // thousands separators
+    .replace(/[A-Za-z]+\d+/g, ' ')                                   // labels: TP1, SL2, M15, H4
+    .replace(/\d+(?:\.\d+)?\s*(?:pips?|points?|pts|จุด|%)/gi, ' ');  // distances, not prices
+  const tokens = (cleaned.match(/\d+(?:\.\d+)?/g) || []).filter(n => Number(n) > 0);
+  if (tokens.length === 0) return null;
+
+  const a = Number(tokens[0]);
+  let b = tokens.length > 1 ? Number(tokens[1]) : a;
+  // Shorthand zone "2650-55", "1.0850-60": the second number replaces the last digits of the first
+  if (tokens.length > 1 && /^\d+$/.test(tokens[1]) && Math.abs(b - a) / a > MAX_LEVEL_DISTANCE) {
+    b = expandShorthand(tokens[0], tokens[1]) ?? b;
+  }
+  return { low: Math.min(a, b), high: Math.max(a, b) };
+}
+
+// "1.0850" + "60" -> 1.0860, "2650" + "55" -> 2655; a tail that would cross the decimal point
+// replaces the last digits of the integer part ("2650.5" + "55" -> 2655)
+function expandShorthand(full, tail) {
+  const tailEnd = full.slice(-tail.length);
+  if (tail.length < full.length && /^\d+$/.test(tailEnd)) return Number(full.slice(0, -tail.length) + tail);
+  const head = full.split('.')[0];
+  if (tail.length < head.length) return Number(head.slice(0, -tail.length) + tail);
+  return null;
+}
+
+const formatPrice = (n) => String(round(n, 5));
+
+export function checkTradeSetup(setup, symbol) {
+  const out = { ...(setup || {}) };
+  const action = String(out.action || '').toUpperCase();
+  // WAIT/HOLD carry no trade to check
+  if (action !== 'BUY' && action !== 'SELL') return out;
+
+  const flags = Array.isArray(out.risk_flags) ? [...out.risk_flags] : [];
+  const entry = parsePriceRange(out.entry_zone);
+  const target = parsePriceRange(out.target_price);
+  const stop = parsePriceRange(out.stop_loss);
+
+  if (!entry || !target || !stop) {
+    out.setup_status = 'incomplete';
+    out.risk_flags = [...flags, 'Setup incomplete: Entry/TP/SL not all numeric, R:R not computed'];
+    return out;
+  }
+
+  const isBuy = action === 'BUY';
+  const entryPrice = (entry.low + entry.high) / 2;
+  // Nearest target (TP1) and the middle of a stop zone
+  const tp = isBuy ? target.low : target.high;
+  const sl = (stop.low + stop.high) / 2;
+
+  if (Math.abs(tp - entryPrice) / entryPrice > MAX_LEVEL_DISTANCE || Math.abs(sl - entryPrice) / entryPrice > MAX_LEVEL_DISTANCE) {
+    out.setup_status = 'incomplete';
+    out.risk_flags = [...flags, 'Setup levels implausible (too far from entry), R:R not computed'];
+    return out;
+  }
+
+  const consistent = isBuy
+    ? sl < entry.low && tp > entry.high
+    : sl > entry.high && tp < entry.low;
+
+  if (!consistent) {
+    const rule = isBuy ? 'SL < Entry < TP' : 'TP < Entry < SL';
+    out.original_action = action;
+    out.action = 'WAIT';
+    out.confidence = 'Low';
+    out.setup_status = 'inconsistent';
+    out.risk_flags = [...flags, `Inconsistent ${action} setup (needs ${rule}; Entry ${formatPrice(entryPrice)}, TP ${formatPrice(tp)}, SL ${formatPrice(sl)}) -> WAIT`];
+    return out;
+  }
+
+  const risk = Math.abs(entryPrice - sl);
+  const reward = Math.abs(tp - entryPrice);
+  const pip = pipSize(symbol, entryPrice);
+  out.setup_status = 'ok';
+  out.risk_reward = round(reward / risk, 2);
+  out.sl_pips = round(risk / pip, 1);
+  out.tp_pips = round(reward / pip, 1);
+  if (out.risk_reward < 1) out.risk_flags = [...flags, `R:R below 1:1 (1:${out.risk_reward})`];
+  return out;
+}
+
+// Lines for summaries / replies (empty for WAIT/HOLD that were never BUY/SELL)
+export function describeSetupCheck(setup, lang = DEFAULT_LANGUAGE) {
+  switch (setup?.setup_status) {
+    case 'ok':
+      return [t(lang, 'setup.ok', { rr: setup.risk_reward, sl: setup.sl_pips, tp: setup.tp_pips })];
+    case 'inconsistent':
+      return [t(lang, 'setup.inconsistent', { action: setup.original_action })];
+    case 'incomplete':
+      return [t(lang, 'setup.incomplete')];
+    default:
+      return [];
+  }
+}
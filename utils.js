@@ -1,4 +1,4 @@
-import { TF_VALIDITY_MS, TF_ORDER, PARENT_TF_MAP } from './config.js';
+import { TF_VALIDITY_MS, TF_ORDER, PARENT_TF_MAP, UNKNOWN_SYMBOL, SYSTEM_SYMBOL, CURRENCY_CODES, SYMBOL_ALIASES } from './config.js';
 
 // --- HELPER: Signature Verification & Utils ---
 
@@ -61,14 +61,76 @@ export function normalizeTF(tf) {
   return t; // fall back (still stored), but may be "Unknown_TF"
 }
 
+export function normalizeSymbol(symbol) {
+  if (!symbol) return UNKNOWN_SYMBOL;
+  const raw = String(symbol).trim().toUpperCase();
+  // Marker rows keep their key, or isSystemSymbol could not tell them from a pair named "SYS"
+  if (raw === SYSTEM_SYMBOL) return SYSTEM_SYMBOL;
+  if (SYMBOL_ALIASES[raw]) return SYMBOL_ALIASES[raw];
+
+  // Drop separators: "EUR/USD", "EUR-USD", "XAUUSD.pro" -> letters/digits only
+  const s = raw.replace(/[^A-Z0-9]/g, '');
+  if (!s || s === 'NULL' || s === 'UNKNOWN' || s === 'NA') return UNKNOWN_SYMBOL;
+  if (SYMBOL_ALIASES[s]) return SYMBOL_ALIASES[s];
+
+  // Broker suffixes (EURUSDm, XAUUSDPRO, GBPJPY_i) -> keep the 6-letter pair
+  const base = s.slice(0, 6);
+  if (CURRENCY_CODES.includes(base.slice(0, 3)) && CURRENCY_CODES.includes(base.slice(3, 6))) return base;
+
+  return s.slice(0, 12);
+}
+
+export function isSystemSymbol(symbol) {
+  return String(symbol || '').startsWith('_');
+}
+
+// Find a pair mentioned in free text ("xau/usd", "gold", "EURUSD"), preferring pairs the user already has
+export function detectSymbolInText(text, knownSymbols = []) {
+  if (!text) return null;
+  const upper = String(text).toUpperCase();
+  const compact = upper.replace(/[\/\-\s]/g, '');
+
+  for (const sym of knownSymbols || []) {
+    if (sym && !isSystemSymbol(sym) && sym !== UNKNOWN_SYMBOL && compact.includes(sym)) return sym;
+  }
+
+  const pairMatch = compact.match(new RegExp('(' + CURRENCY_CODES.join('|') + ')(' + CURRENCY_CODES.join('|') + ')'));
+  if (pairMatch) return normalizeSymbol(pairMatch[0]);
+
+  for (const alias of Object.keys(SYMBOL_ALIASES)) {
+    if (new RegExp('(^|[^A-Z])' + alias + '([^A-Z]|$)').test(upper)) return SYMBOL_ALIASES[alias];
+  }
+  return null;
+}
+
+// Distinct user-visible pairs, most recently updated first
+export function listSymbolsFromRows(rows) {
+  const latest = new Map();
+  for (const r of rows || []) {
+    const sym = normalizeSymbol(r.symbol);
+    if (isSystemSymbol(sym) || String(r.tf || '').startsWith('_')) continue;
+    latest.set(sym, Math.max(latest.get(sym) || 0, Number(r.timestamp || 0)));
+  }
+  return [...latest.entries()].sort((a, b) => b[1] - a[1]).map(([sym]) => sym);
+}
+
+// Context must never mix pairs: keep only rows of `symbol` (or of the most recently updated pair)
+export function filterRowsBySymbol(rows, symbol = null) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+  const target = symbol ? normalizeSymbol(symbol) : listSymbolsFromRows(rows)[0];
+  if (!target) return [];
+  return rows.filter(r => normalizeSymbol(r.symbol) === target);
+}
+
 export function inferLikelyCurrentTF(existingRows) {
   if (!Array.isArray(existingRows) || existingRows.length === 0) return null;
   const sorted = [...existingRows].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
   return normalizeTF(sorted[0]?.tf);
 }
 
-export function selectSmartContextRows(validRows, likelyTf) {
-  if (!Array.isArray(validRows) || validRows.length === 0) return [];
+export function selectSmartContextRows(allValidRows, likelyTf, symbol = null) {
+  const validRows = filterRowsBySymbol(allValidRows, symbol);
+  if (validRows.length === 0) return [];
   const tfSet = new Set();
 
   if (likelyTf && PARENT_TF_MAP[likelyTf]) {
@@ -106,6 +168,29 @@ export function promiseWithTimeout(promise, ms) {
   return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
 }
 
+// Server back-off hint in ms: Retry-After header (delta-seconds or HTTP date), else Gemini's
+// google.rpc.RetryInfo in the error body ("retryDelay": "30s"). null when absent.
+export function parseRetryAfterMs(headers, bodyText = '') {
+  const header = headers?.get ? headers.get('retry-after') : null;
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.round(seconds * 1000);
+    const at = Date.parse(header);
+    if (Number.isFinite(at)) return Math.max(0, at - Date.now());
+  }
+  const m = String(bodyText || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+  return m ? Math.round(Number(m[1]) * 1000) : null;
+}
+
+// Error for a non-2xx response, carrying the HTTP status and any Retry-After hint for the retry policy
+export function httpError(message, response, bodyText = '') {
+  const err = new Error(message);
+  err.status = response.status;
+  const retryAfterMs = parseRetryAfterMs(response.headers, bodyText);
+  if (retryAfterMs != null) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
 export function safeParseJsonLoosely(rawText) {
   if (!rawText) throw new Error('Empty AI response text');
   // Remove markdown fences if present
@@ -1,6 +1,8 @@
 import { initDatabase } from './database.js';
-import { handleEvent, handleInternalAnalyze } from './handlers.js';
-import { verifyLineSignature } from './utils.js';
+import { handleEvent } from './handlers.js';
+import { verifyLineSignature, safeError } from './utils.js';
+import { runMaintenance } from './maintenance.js';
+import { handleQueueBatch } from './jobs.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -8,15 +10,6 @@ export default {
       return new Response('Method Not Allowed', { status: 405 });
     }
 
-    // Internal endpoint for background analysis (Free-plan friendly: self-invocation)
-    const url = new URL(request.url);
-    const isInternal = (url.pathname === '/internal/analyze') || (url.searchParams.get('__internal') === 'analyze');
-    if (isInternal) {
-      // Initialize database for internal handler as well
-      await initDatabase(env);
-      return await handleInternalAnalyze(request, env, ctx);
-    }
-
     try {
       // 1. Verify LINE Signature
       const signature = request.headers.get('x-line-signature');
@@ -53,5 +46,23 @@ export default {
       console.error(err);
       return new Response('Internal Server Error', { status: 500 });
     }
+  },
+
+  // Cloudflare Queues consumer: background image analysis (one job per message, chained per user)
+  async queue(batch, env, ctx) {
+    await initDatabase(env);
+    await handleQueueBatch(batch, env, ctx);
+  },
+
+  // Cron Trigger: periodic cleanup (stuck jobs, expired data, orphaned KV entries)
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil((async () => {
+      try {
+        await initDatabase(env);
+        await runMaintenance(env, event?.cron || null);
+      } catch (err) {
+        console.error('Scheduled maintenance failed:', safeError(err));
+      }
+    })());
   }
 };
\ No newline at end of file